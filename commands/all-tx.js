@@ -2,19 +2,40 @@ const { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } = r
 const { ethers } = require("ethers");
 const log = require("../utils/logger");
 const { openDatumDb } = require("../utils/db");
-const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { getUserWallets, walletChainFilter, requireWalletsOrReply } = require("../utils/sentinel");
+const { loadOwnedTroves, ownerAt } = require("../utils/troveOwnership");
 const { toCsv } = require("../utils/csv");
+const { loadLoanTokenMeta, loadPoolTokenMeta } = require("../utils/tokenMeta");
+const { accrueOwnedTroves, interestAppliedAt } = require("../utils/interestAccrual");
+const { batchUpdatesLoader, troveUpdateState } = require("../utils/batches");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
 
-const CDP_SYMBOL = "CDP";
-const CDP_DECIMALS = 18;
 const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
 
-function getCollMeta(contractKey) {
-  const key = String(contractKey || "").toLowerCase();
-  if (key.includes("fxrp")) return { symbol: "FXRP", decimals: 6 };
-  if (key.includes("wflr")) return { symbol: "WFLR", decimals: 18 };
-  return { symbol: "COLL", decimals: 18 };
-}
+// Amount columns valued in the report currency, with the column holding each one's symbol.
+// Accrual rows are valued at their year or period end.
+const VALUE_COLUMNS = [
+  ["sold_amount", "sold_symbol"],
+  ["bought_amount", "bought_symbol"],
+  ["debt_delta_cdp", "debt_symbol"],
+  ["coll_delta", "coll_symbol"],
+  ["debt_now_cdp", "debt_symbol"],
+  ["coll_now", "coll_symbol"],
+  ["cdp_topup_withdrawal", "debt_symbol"],
+  ["cdp_yield_gain_since", "debt_symbol"],
+  ["cdp_yield_gain_claimed", "debt_symbol"],
+  ["coll_gain_since", "coll_symbol"],
+  ["coll_gain_claimed", "coll_symbol"],
+  ["upfront_fee_cdp", "debt_symbol"],
+  ["debt_redist_cdp", "debt_symbol"],
+  ["estimated_loan_interest_cost_cdp", "debt_symbol"],
+  ["interest_accrued_cdp", "debt_symbol"],
+  ["interest_unrealized_cdp", "debt_symbol"],
+  ["batch_fee_cdp", "debt_symbol"],
+  ["batch_fee_accrued_cdp", "debt_symbol"],
+  ["batch_fee_unrealized_cdp", "debt_symbol"],
+];
 
 function parseSigned(value) {
   if (value == null) return null;
@@ -45,12 +66,13 @@ function formatPct(value) {
   return n.toFixed(4);
 }
 
-function formatNumber(value, decimals) {
-  if (value == null || !Number.isFinite(value)) return "";
-  return new Intl.NumberFormat("en-US", {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  }).format(value);
+function shortId(troveId) {
+  const s = String(troveId);
+  return s.length > 10 ? `…${s.slice(-8)}` : s;
+}
+
+function shortAddr(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
 }
 
 function parseJsonSafe(raw) {
@@ -141,31 +163,20 @@ module.exports = {
     const db = openDatumDb();
     try {
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
       const period = interaction.options.getString("period", true);
       const range = buildPeriod(period);
       const wallets = getUserWallets(db, interaction.user.id);
       const ok = await requireWalletsOrReply(interaction, wallets);
       if (!ok) return;
 
-      const walletLower = wallets.map((w) => w.address_eip55.toLowerCase());
-      const placeholders = walletLower.map(() => "?").join(",");
-
-      const troves = db
-        .prepare(
-          `
-          SELECT DISTINCT contract_key, token_id
-          FROM loan_nft_transfers
-          WHERE from_addr IN (${placeholders})
-             OR to_addr IN (${placeholders})
-        `
-        )
-        .all(...walletLower, ...walletLower);
-
-      const byContract = new Map();
-      for (const t of troves) {
-        if (!byContract.has(t.contract_key)) byContract.set(t.contract_key, new Set());
-        byContract.get(t.contract_key).add(t.token_id);
-      }
+      const tokenMeta = loadLoanTokenMeta(db);
+      const poolMeta = loadPoolTokenMeta(db);
+      const owned = loadOwnedTroves(db, wallets);
+      const nowTs = Math.floor(Date.now() / 1000);
+      const accrualEnd = range.end != null ? Math.min(Math.floor(range.end / 1000) + 1, nowTs) : nowTs;
+      const accrual = accrueOwnedTroves(db, owned, range.start != null ? range.start / 1000 : null, accrualEnd);
+      const loadBatch = batchUpdatesLoader(db);
 
       const combined = [];
       const loanOpsSummary = new Map();
@@ -174,13 +185,13 @@ module.exports = {
       const spSummary = new Map();
       let minTs = null;
       let maxTs = null;
-      for (const [contractKey, tokenSet] of byContract.entries()) {
-        const ids = Array.from(tokenSet);
+      for (const [contractKey, periodsById] of owned.entries()) {
+        const ids = Array.from(periodsById.keys());
         const idPlaceholders = ids.map(() => "?").join(",");
         const rows = db
           .prepare(
             `
-            SELECT te.contract_key, te.trove_id, te.block_number, te.block_timestamp,
+            SELECT te.chain_id, te.contract_key, te.trove_id, te.block_number, te.block_timestamp,
                    te.tx_hash, te.log_index, te.event_name, te.data_json
             FROM trove_events te
             WHERE te.contract_key = ?
@@ -191,6 +202,8 @@ module.exports = {
           .all(contractKey, ...ids);
         const grouped = new Map();
         for (const row of rows) {
+          row.owner = ownerAt(periodsById.get(row.trove_id), row.block_number, row.log_index);
+          if (!row.owner) continue;
           const key = `${row.contract_key}:${row.trove_id}:${row.tx_hash}`;
           if (!grouped.has(key)) grouped.set(key, []);
           grouped.get(key).push(row);
@@ -205,9 +218,11 @@ module.exports = {
           if (!Number.isInteger(opCode)) continue;
 
           const updated = [...group]
-            .filter((r) => r.event_name === "TroveUpdated")
+            .filter((r) => r.event_name === "TroveUpdated" || r.event_name === "BatchedTroveUpdated")
             .sort((a, b) => b.log_index - a.log_index)[0];
-          const updatedData = updated ? parseJsonSafe(updated.data_json) : null;
+          const updatedState = updated
+            ? troveUpdateState(loadBatch, troveOp.contract_key, updated, parseJsonSafe(updated.data_json))
+            : null;
 
           const feeRow = group.find((r) => r.event_name === "RedemptionFeePaidToTrove");
           const feeData = feeRow ? parseJsonSafe(feeRow.data_json) : null;
@@ -221,7 +236,7 @@ module.exports = {
             maxTs = maxTs == null ? blockTs : Math.max(maxTs, blockTs);
           }
 
-          const collMeta = getCollMeta(troveOp.contract_key);
+          const collMeta = tokenMeta(troveOp.contract_key);
           const debtDelta = parseSigned(op?._debtChangeFromOperation);
           const collDelta = parseSigned(op?._collChangeFromOperation);
           const fee = parseSigned(feeData?._ETHFee);
@@ -231,7 +246,7 @@ module.exports = {
           const sold = collDeltaAbs != null && fee != null ? collDeltaAbs - fee : collDeltaAbs;
           const soldNonNeg = sold != null && sold > 0n ? sold : 0n;
 
-          const debtAmount = debtDeltaAbs ? Number(ethers.formatUnits(debtDeltaAbs, CDP_DECIMALS)) : 0;
+          const debtAmount = debtDeltaAbs ? Number(ethers.formatUnits(debtDeltaAbs, collMeta.debtDecimals)) : 0;
           const collAmount = collDeltaAbs
             ? Number(ethers.formatUnits(collDeltaAbs, collMeta.decimals))
             : 0;
@@ -242,6 +257,7 @@ module.exports = {
               summaryMap.set(troveOp.contract_key, {
                 contractKey: troveOp.contract_key,
                 collSymbol: collMeta.symbol,
+                debtSymbol: collMeta.debtSymbol,
                 count: 0,
                 debtTotal: 0,
                 collTotal: 0,
@@ -259,6 +275,7 @@ module.exports = {
               loanOpsSummary.set(troveOp.contract_key, {
                 contractKey: troveOp.contract_key,
                 collSymbol: collMeta.symbol,
+                debtSymbol: collMeta.debtSymbol,
                 count: 0,
                 borrowedTotal: 0,
                 repaidTotal: 0,
@@ -267,14 +284,13 @@ module.exports = {
                 feeAdjustTotal: 0,
                 feeIrChangeTotal: 0,
                 feeOtherTotal: 0,
-                inferredInterestTotal: 0,
               });
             }
             const agg = loanOpsSummary.get(troveOp.contract_key);
             agg.count += 1;
-            agg.borrowedTotal += Number(ethers.formatUnits(borrowedRaw, CDP_DECIMALS));
-            agg.repaidTotal += Number(ethers.formatUnits(repaidRaw, CDP_DECIMALS));
-            const feeAmt = Number(ethers.formatUnits(feeRaw || 0n, CDP_DECIMALS));
+            agg.borrowedTotal += Number(ethers.formatUnits(borrowedRaw, collMeta.debtDecimals));
+            agg.repaidTotal += Number(ethers.formatUnits(repaidRaw, collMeta.debtDecimals));
+            const feeAmt = Number(ethers.formatUnits(feeRaw || 0n, collMeta.debtDecimals));
             agg.feeTotal += feeAmt;
             if (opCode === 0) agg.feeOpenTotal += feeAmt;
             else if (opCode === 2) agg.feeAdjustTotal += feeAmt;
@@ -287,75 +303,79 @@ module.exports = {
           const txType = opCode === 6 ? "REDEMPTION" : opCode === 5 ? "LIQUIDATION" : "LOAN_OP";
           const feeRaw = parseSigned(op?._debtIncreaseFromUpfrontFee);
           const debtRedistRaw = parseSigned(op?._debtIncreaseFromRedist);
+          const applied = updated
+            ? interestAppliedAt(accrual.segmentsByTrove.get(`${troveOp.contract_key}:${troveOp.trove_id}`) || [], {
+                block: updated.block_number,
+                logIndex: updated.log_index,
+              })
+            : { interest: 0n, fees: 0n };
           const soldCdp = debtDelta != null && debtDelta < 0n ? -debtDelta : null;
           const boughtCdp = debtDelta != null && debtDelta > 0n ? debtDelta : null;
 
           combined.push({
             tx_type: txType,
             datetime_utc: blockTs ? new Date(blockTs * 1000).toISOString() : "",
+            chain: troveOp.chain_id,
             tx_hash: troveOp.tx_hash,
             block_number: troveOp.block_number,
             contract_key: troveOp.contract_key,
             trove_or_pool_id: troveOp.trove_id,
             wallet: "",
+            owner: troveOp.owner,
             sold_amount:
-              txType === "LOAN_OP" ? formatAmount(soldCdp, CDP_DECIMALS) : formatAmount(soldNonNeg, collMeta.decimals),
-            sold_symbol: txType === "LOAN_OP" ? CDP_SYMBOL : collMeta.symbol,
+              txType === "LOAN_OP"
+                ? formatAmount(soldCdp, collMeta.debtDecimals)
+                : formatAmount(soldNonNeg, collMeta.decimals),
+            sold_symbol: txType === "LOAN_OP" ? collMeta.debtSymbol : collMeta.symbol,
             bought_amount:
-              txType === "LOAN_OP" ? formatAmount(boughtCdp, CDP_DECIMALS) : formatAmount(debtDeltaAbs, CDP_DECIMALS),
-            bought_symbol: CDP_SYMBOL,
-            debt_delta_cdp: formatSigned(debtDelta, CDP_DECIMALS),
+              txType === "LOAN_OP"
+                ? formatAmount(boughtCdp, collMeta.debtDecimals)
+                : formatAmount(debtDeltaAbs, collMeta.debtDecimals),
+            bought_symbol: collMeta.debtSymbol,
+            debt_delta_cdp: formatSigned(debtDelta, collMeta.debtDecimals),
             coll_delta: formatSigned(collDelta, collMeta.decimals),
             coll_symbol: collMeta.symbol,
+            debt_symbol: collMeta.debtSymbol,
             op_code: String(opCode),
             op_label: getTroveOpLabel(opCode),
-            debt_now_cdp: updatedData?._debt ? formatAmount(BigInt(updatedData._debt), CDP_DECIMALS) : "",
-            coll_now: updatedData?._coll ? formatAmount(BigInt(updatedData._coll), collMeta.decimals) : "",
-            ir_pct: updatedData?._annualInterestRate
-              ? formatPct(BigInt(updatedData._annualInterestRate))
-              : "",
+            debt_now_cdp: formatAmount(updatedState?.debt, collMeta.debtDecimals),
+            coll_now: formatAmount(updatedState?.coll, collMeta.decimals),
+            ir_pct: formatPct(updatedState?.rate),
             operation_code: "",
             operation_label: "",
-            cdp_loss: txType === "LOAN_OP" ? formatAmount(feeRaw, CDP_DECIMALS) : "",
+            cdp_loss: txType === "LOAN_OP" ? formatAmount(feeRaw, collMeta.debtDecimals) : "",
             cdp_topup_withdrawal: "",
             cdp_yield_gain_since: "",
             cdp_yield_gain_claimed: "",
             coll_gain_since: "",
             coll_gain_claimed: "",
-            trade_cdp_spent: txType === "LOAN_OP" ? formatAmount(debtRedistRaw, CDP_DECIMALS) : "",
+            trade_cdp_spent: txType === "LOAN_OP" ? formatAmount(debtRedistRaw, collMeta.debtDecimals) : "",
             trade_coll_received: "",
-            upfront_fee_cdp: txType === "LOAN_OP" ? formatAmount(feeRaw, CDP_DECIMALS) : "",
-            debt_redist_cdp: txType === "LOAN_OP" ? formatAmount(debtRedistRaw, CDP_DECIMALS) : "",
-            estimated_loan_interest_cost_cdp:
-              txType === "LOAN_OP" ? formatAmount(0n, CDP_DECIMALS) : "",
-            _debtDeltaRaw: txType === "LOAN_OP" ? debtDelta || 0n : 0n,
-            _feeRaw: txType === "LOAN_OP" ? feeRaw || 0n : 0n,
-            _redistRaw: txType === "LOAN_OP" ? debtRedistRaw || 0n : 0n,
-            _debtNowRaw:
-              txType === "LOAN_OP" && updatedData?._debt ? BigInt(updatedData._debt) : null,
-            _troveKey:
-              txType === "LOAN_OP" ? `${troveOp.contract_key}:${troveOp.trove_id}` : "",
+            upfront_fee_cdp: txType === "LOAN_OP" ? formatAmount(feeRaw, collMeta.debtDecimals) : "",
+            debt_redist_cdp: txType === "LOAN_OP" ? formatAmount(debtRedistRaw, collMeta.debtDecimals) : "",
+            estimated_loan_interest_cost_cdp: formatAmount(applied.interest, collMeta.debtDecimals),
+            batch_fee_cdp: formatAmount(applied.fees, collMeta.debtDecimals),
+            batch_manager: updatedState?.manager || "",
           });
         }
       }
 
+      const spFilter = walletChainFilter(wallets, ["lower(s.depositor)"], "s.chain_id");
       const spRows = db
         .prepare(
           `
-          SELECT s.pool_key, s.depositor, s.block_number, s.block_timestamp,
+          SELECT s.chain_id, s.pool_key, s.depositor, s.block_number, s.block_timestamp,
                  s.tx_hash, s.log_index,
                  s.operation,
                  s.deposit_loss, s.topup_or_withdrawal,
                  s.yield_gain_since, s.yield_gain_claimed,
-                 s.coll_gain_since, s.coll_gain_claimed,
-                 p.coll_symbol, p.coll_decimals
+                 s.coll_gain_since, s.coll_gain_claimed
           FROM sp_deposit_ops s
-          LEFT JOIN stability_pools p ON p.pool_key = s.pool_key
-          WHERE lower(s.depositor) IN (${placeholders})
+          WHERE ${spFilter.sql}
           ORDER BY s.block_number DESC, s.log_index DESC
         `
         )
-        .all(...walletLower);
+        .all(...spFilter.params);
 
       for (const r of spRows) {
         const blockTs = r.block_timestamp;
@@ -367,8 +387,7 @@ module.exports = {
           maxTs = maxTs == null ? blockTs : Math.max(maxTs, blockTs);
         }
 
-        const collDecimals = Number.isFinite(r.coll_decimals) ? r.coll_decimals : 18;
-        const collSymbol = r.coll_symbol || "COLL";
+        const { symbol: collSymbol, decimals: collDecimals, debtSymbol, debtDecimals } = poolMeta(r.pool_key);
 
         const depositLoss = BigInt(r.deposit_loss);
         const collGain = BigInt(r.coll_gain_since);
@@ -378,6 +397,7 @@ module.exports = {
             spSummary.set(r.pool_key, {
               poolKey: r.pool_key,
               collSymbol,
+              debtSymbol,
               count: 0,
               cdpTotal: 0,
               collTotal: 0,
@@ -385,25 +405,28 @@ module.exports = {
           }
           const agg = spSummary.get(r.pool_key);
           agg.count += 1;
-          agg.cdpTotal += Number(ethers.formatUnits(depositLoss, CDP_DECIMALS));
+          agg.cdpTotal += Number(ethers.formatUnits(depositLoss, debtDecimals));
           agg.collTotal += Number(ethers.formatUnits(collGain, collDecimals));
         }
 
         combined.push({
           tx_type: "SP",
           datetime_utc: blockTs ? new Date(blockTs * 1000).toISOString() : "",
+          chain: r.chain_id,
           tx_hash: r.tx_hash,
           block_number: r.block_number,
           contract_key: r.pool_key,
           trove_or_pool_id: r.pool_key,
           wallet: r.depositor,
-          sold_amount: formatAmount(depositLoss, CDP_DECIMALS),
-          sold_symbol: CDP_SYMBOL,
+          owner: "",
+          sold_amount: formatAmount(depositLoss, debtDecimals),
+          sold_symbol: debtSymbol,
           bought_amount: formatAmount(collGain, collDecimals),
           bought_symbol: collSymbol,
-          debt_delta_cdp: formatSigned(-depositLoss, CDP_DECIMALS),
+          debt_delta_cdp: formatSigned(-depositLoss, debtDecimals),
           coll_delta: formatSigned(collGain, collDecimals),
           coll_symbol: collSymbol,
+          debt_symbol: debtSymbol,
           op_code: "",
           op_label: "",
           debt_now_cdp: "",
@@ -411,13 +434,13 @@ module.exports = {
           ir_pct: "",
           operation_code: r.operation,
           operation_label: getOpLabel(r.operation),
-          cdp_loss: formatAmount(depositLoss, CDP_DECIMALS),
-          cdp_topup_withdrawal: formatSigned(BigInt(r.topup_or_withdrawal), CDP_DECIMALS),
-          cdp_yield_gain_since: formatAmount(BigInt(r.yield_gain_since), CDP_DECIMALS),
-          cdp_yield_gain_claimed: formatAmount(BigInt(r.yield_gain_claimed), CDP_DECIMALS),
+          cdp_loss: formatAmount(depositLoss, debtDecimals),
+          cdp_topup_withdrawal: formatSigned(BigInt(r.topup_or_withdrawal), debtDecimals),
+          cdp_yield_gain_since: formatAmount(BigInt(r.yield_gain_since), debtDecimals),
+          cdp_yield_gain_claimed: formatAmount(BigInt(r.yield_gain_claimed), debtDecimals),
           coll_gain_since: formatAmount(BigInt(r.coll_gain_since), collDecimals),
           coll_gain_claimed: formatAmount(BigInt(r.coll_gain_claimed), collDecimals),
-          trade_cdp_spent: formatAmount(depositLoss, CDP_DECIMALS),
+          trade_cdp_spent: formatAmount(depositLoss, debtDecimals),
           trade_coll_received: formatAmount(collGain, collDecimals),
           upfront_fee_cdp: "",
           debt_redist_cdp: "",
@@ -426,40 +449,72 @@ module.exports = {
 
       combined.sort((a, b) => b.block_number - a.block_number);
 
-      const prevDebtByTrove = new Map();
-      const ascLoanRows = combined
-        .filter((r) => r.tx_type === "LOAN_OP")
-        .sort((a, b) => a.block_number - b.block_number);
-      for (const row of ascLoanRows) {
-        const nowDebt = row._debtNowRaw;
-        if (nowDebt == null) continue;
-        const prevDebt = prevDebtByTrove.get(row._troveKey);
-        if (prevDebt != null) {
-          const residual =
-            nowDebt -
-            prevDebt -
-            (row._debtDeltaRaw || 0n) -
-            (row._feeRaw || 0n) -
-            (row._redistRaw || 0n);
-          if (residual > 0n) {
-            const agg = loanOpsSummary.get(row.contract_key);
-            if (agg) {
-              agg.inferredInterestTotal += Number(ethers.formatUnits(residual, CDP_DECIMALS));
-            }
-            row.estimated_loan_interest_cost_cdp = formatAmount(residual, CDP_DECIMALS);
-          }
+      // One row per trove, batch manager and tax year: interest and batch
+      // management fees accrued by time, whether or not an update applied them yet.
+      const interestByContract = new Map();
+      const accrualRows = [];
+      for (const a of accrual.rows) {
+        const collMeta = tokenMeta(a.contractKey);
+        accrualRows.push({
+          tx_type: "INTEREST_ACCRUAL",
+          datetime_utc: new Date((a.to - 1) * 1000).toISOString(),
+          chain: a.chainId,
+          contract_key: a.contractKey,
+          trove_or_pool_id: a.troveId,
+          owner: a.owner,
+          coll_symbol: collMeta.symbol,
+          debt_symbol: collMeta.debtSymbol,
+          interest_accrued_cdp: formatAmount(a.accrued, collMeta.debtDecimals),
+          interest_unrealized_cdp: formatAmount(a.unrealized, collMeta.debtDecimals),
+          batch_fee_accrued_cdp: formatAmount(a.fees, collMeta.debtDecimals),
+          batch_fee_unrealized_cdp: formatAmount(a.unrealizedFees, collMeta.debtDecimals),
+          batch_manager: a.manager || "",
+        });
+        if (!interestByContract.has(a.contractKey)) {
+          interestByContract.set(a.contractKey, {
+            meta: collMeta,
+            accrued: 0n,
+            unrealized: 0n,
+            fees: 0n,
+            unrealizedFees: 0n,
+          });
+        }
+        const agg = interestByContract.get(a.contractKey);
+        agg.accrued += a.accrued;
+        agg.fees += a.fees;
+        if (a.to === accrualEnd) {
+          agg.unrealized += a.unrealized;
+          agg.unrealizedFees += a.unrealizedFees;
         }
-        prevDebtByTrove.set(row._troveKey, nowDebt);
       }
 
+      // Batch managers each trove was delegated to while held, in order.
+      const batchManagers = [];
+      for (const [key, segments] of accrual.segmentsByTrove.entries()) {
+        const managers = [...new Set(segments.map((seg) => seg.manager).filter(Boolean))];
+        if (!managers.length) continue;
+        const [contractKey, troveId] = key.split(":");
+        batchManagers.push(
+          `${tokenMeta(contractKey).symbol} ${shortId(troveId)}: ${managers.map(shortAddr).join(" → ")}`
+        );
+      }
+
+      const allRows = [...combined, ...accrualRows];
+      const priceAt = loadPriceLookup(db, fmt.currency);
+      const valueHeaders = addValueColumns(allRows, VALUE_COLUMNS, priceAt, fmt.currency, (r) =>
+        r.datetime_utc ? Date.parse(r.datetime_utc) / 1000 : null
+      );
+
       const headers = [
         "tx_type",
         "datetime_utc",
+        "chain",
         "tx_hash",
         "block_number",
         "contract_key",
         "trove_or_pool_id",
         "wallet",
+        "owner",
         "sold_amount",
         "sold_symbol",
         "bought_amount",
@@ -485,11 +540,19 @@ module.exports = {
         "upfront_fee_cdp",
         "debt_redist_cdp",
         "estimated_loan_interest_cost_cdp",
+        "interest_accrued_cdp",
+        "interest_unrealized_cdp",
+        "batch_fee_cdp",
+        "batch_fee_accrued_cdp",
+        "batch_fee_unrealized_cdp",
+        "batch_manager",
+        ...valueHeaders,
       ];
 
       const csv = toCsv(
         headers,
-        combined.map((r) => headers.map((h) => r[h]))
+        allRows.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
       );
 
       const filename = `all_tx_${interaction.user.id}_${Date.now()}.csv`;
@@ -510,7 +573,6 @@ module.exports = {
         )
         .get();
       const dataCapturedTs = parseSqliteTimestamp(scanRow?.updated_at);
-      const nowTs = Math.floor(Date.now() / 1000);
       const isStale =
         DATA_STALE_MINUTES > 0 && dataCapturedTs != null
           ? nowTs - dataCapturedTs > DATA_STALE_MINUTES * 60
@@ -520,14 +582,14 @@ module.exports = {
       const rangeLabel =
         range.start == null
           ? "ALL"
-          : `${new Date(range.start).toISOString().slice(0, 10)} → ${new Date(range.end).toISOString().slice(0, 10)}`;
+          : `${fmt.date(range.start)} → ${fmt.date(range.end)}`;
 
       const toSummaryRows = (map) => {
         const rows = Array.from(map.values());
         if (!rows.length) return { col1: "NONE", col2: "", col3: "" };
         const col1 = rows.map((s) => `${s.collSymbol} (${s.count})`).join("\n");
-        const col2 = rows.map((s) => `${formatNumber(s.debtTotal, 2)} ${CDP_SYMBOL}`).join("\n");
-        const col3 = rows.map((s) => `${formatNumber(s.collTotal, 4)} ${s.collSymbol}`).join("\n");
+        const col2 = rows.map((s) => `${fmt.number(s.debtTotal, 2)} ${s.debtSymbol}`).join("\n");
+        const col3 = rows.map((s) => `${fmt.number(s.collTotal, 4)} ${s.collSymbol}`).join("\n");
         return { col1, col2, col3 };
       };
 
@@ -542,7 +604,8 @@ module.exports = {
         const rows = Array.from(keys).map((key) => {
           const loan = loanOpsSummary.get(key) || {
             contractKey: key,
-            collSymbol: getCollMeta(key).symbol,
+            collSymbol: tokenMeta(key).symbol,
+            debtSymbol: tokenMeta(key).debtSymbol,
             count: 0,
             borrowedTotal: 0,
             repaidTotal: 0,
@@ -551,7 +614,6 @@ module.exports = {
             feeAdjustTotal: 0,
             feeIrChangeTotal: 0,
             feeOtherTotal: 0,
-            inferredInterestTotal: 0,
           };
           const red = redemptionSummary.get(key);
           const liq = liquidationSummary.get(key);
@@ -560,6 +622,7 @@ module.exports = {
           const effectiveRepaid = loan.repaidTotal + repaidByRed + repaidByLiq;
           return {
             collSymbol: loan.collSymbol,
+            debtSymbol: loan.debtSymbol,
             count: loan.count,
             borrowedTotal: loan.borrowedTotal,
             repaidTotal: loan.repaidTotal,
@@ -571,51 +634,56 @@ module.exports = {
             feeAdjustTotal: loan.feeAdjustTotal,
             feeIrChangeTotal: loan.feeIrChangeTotal,
             feeOtherTotal: loan.feeOtherTotal,
-            inferredInterestTotal: loan.inferredInterestTotal,
           };
         });
         if (!rows.length) return { col1: "NONE", col2: "", col3: "", fees: "" };
         const col1 = rows.map((s) => `${s.collSymbol} (${s.count})`).join("\n");
-        const col2 = rows.map((s) => `${formatNumber(s.borrowedTotal, 2)} ${CDP_SYMBOL}`).join("\n");
-        const col3 = rows.map((s) => `${formatNumber(s.effectiveRepaid, 2)} ${CDP_SYMBOL}`).join("\n");
+        const col2 = rows.map((s) => `${fmt.number(s.borrowedTotal, 2)} ${s.debtSymbol}`).join("\n");
+        const col3 = rows.map((s) => `${fmt.number(s.effectiveRepaid, 2)} ${s.debtSymbol}`).join("\n");
         const fees = rows
-          .map((s) => `${s.collSymbol}: ${formatNumber(s.feeTotal, 2)} ${CDP_SYMBOL}`)
+          .map((s) => `${s.collSymbol}: ${fmt.number(s.feeTotal, 2)} ${s.debtSymbol}`)
           .join("\n");
         const breakdown = rows
           .map(
             (s) =>
-              `${s.collSymbol}: direct ${formatNumber(s.repaidTotal, 2)} + redemption ${formatNumber(
+              `${s.collSymbol}: direct ${fmt.number(s.repaidTotal, 2)} + redemption ${fmt.number(
                 s.repaidByRed,
                 2
-              )} + liquidation ${formatNumber(s.repaidByLiq, 2)} ${CDP_SYMBOL}`
+              )} + liquidation ${fmt.number(s.repaidByLiq, 2)} ${s.debtSymbol}`
           )
           .join("\n");
         const feeBreakdown = rows
           .map(
             (s) =>
-              `${s.collSymbol}: open ${formatNumber(s.feeOpenTotal, 2)} | adjust ${formatNumber(
+              `${s.collSymbol}: open ${fmt.number(s.feeOpenTotal, 2)} | adjust ${fmt.number(
                 s.feeAdjustTotal,
                 2
-              )} | IR-change ${formatNumber(s.feeIrChangeTotal, 2)} | other ${formatNumber(
+              )} | IR-change ${fmt.number(s.feeIrChangeTotal, 2)} | other ${fmt.number(
                 s.feeOtherTotal,
                 2
-              )} ${CDP_SYMBOL}`
+              )} ${s.debtSymbol}`
           )
           .join("\n");
-        const interestApplied = rows
-          .map(
-            (s) =>
-              `${s.collSymbol}: ${formatNumber(s.inferredInterestTotal, 2)} ${CDP_SYMBOL}`
-          )
-          .join("\n");
-        return { col1, col2, col3, fees, breakdown, feeBreakdown, interestApplied };
+        return { col1, col2, col3, fees, breakdown, feeBreakdown };
       })();
+      const interestAccrued = Array.from(interestByContract.values())
+        .map(
+          (i) =>
+            `${i.meta.symbol}: ${fmt.number(Number(ethers.formatUnits(i.accrued, i.meta.debtDecimals)), 2)} ` +
+            `${i.meta.debtSymbol} (${fmt.number(Number(ethers.formatUnits(i.unrealized, i.meta.debtDecimals)), 2)} ` +
+            "not yet applied at period end)" +
+            (i.fees > 0n
+              ? `; batch fees ${fmt.number(Number(ethers.formatUnits(i.fees, i.meta.debtDecimals)), 2)} ` +
+                `(${fmt.number(Number(ethers.formatUnits(i.unrealizedFees, i.meta.debtDecimals)), 2)} not yet applied)`
+              : "")
+        )
+        .join("\n");
       const spCols = (() => {
         const rows = Array.from(spSummary.values());
         if (!rows.length) return { col1: "NONE", col2: "", col3: "" };
         const col1 = rows.map((s) => `${s.collSymbol} (${s.count})`).join("\n");
-        const col2 = rows.map((s) => `${formatNumber(s.cdpTotal, 2)} ${CDP_SYMBOL}`).join("\n");
-        const col3 = rows.map((s) => `${formatNumber(s.collTotal, 4)} ${s.collSymbol}`).join("\n");
+        const col2 = rows.map((s) => `${fmt.number(s.cdpTotal, 2)} ${s.debtSymbol}`).join("\n");
+        const col3 = rows.map((s) => `${fmt.number(s.collTotal, 4)} ${s.collSymbol}`).join("\n");
         return { col1, col2, col3 };
       })();
 
@@ -650,11 +718,6 @@ module.exports = {
           value: loanCols.feeBreakdown,
           inline: false,
         });
-        embed.addFields({
-          name: "Estimated Loan Interest Cost",
-          value: loanCols.interestApplied,
-          inline: false,
-        });
         embed.addFields({
           name: "Loan Debt Reduction Breakdown",
           value: loanCols.breakdown,
@@ -662,6 +725,24 @@ module.exports = {
         });
       }
 
+      if (interestAccrued) {
+        embed.addFields({ name: "Loan Interest Accrued", value: interestAccrued.slice(0, 1024), inline: false });
+      }
+      if (batchManagers.length) {
+        embed.addFields({ name: "Batch Managers", value: batchManagers.join("\n").slice(0, 1024), inline: false });
+      }
+      if (allRows.length) {
+        embed.addFields(
+          valueTotalsField(allRows, fmt, [
+            ["upfront_fee_cdp", "Upfront fees"],
+            ["interest_accrued_cdp", "Interest accrued"],
+            ["batch_fee_accrued_cdp", "Batch fees accrued"],
+            ["cdp_yield_gain_since", "SP yield earned"],
+            ["coll_gain_since", "SP coll received"],
+          ])
+        );
+      }
+
       const noTx = combined.length === 0;
       const hasNonExchangeOnly =
         combined.length > 0 &&
@@ -695,7 +776,7 @@ module.exports = {
 
       await interaction.editReply({
         embeds: [embed],
-        files: combined.length ? [attachment] : [],
+        files: combined.length || accrualRows.length ? [attachment] : [],
       });
     } finally {
       db.close();
@@ -0,0 +1,73 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require("discord.js");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const {
+  ALERT_TYPES,
+  ALERT_MODES,
+  DIGEST_HOURS,
+  setSubscription,
+  getSubscriptions,
+} = require("../utils/alerts");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("datum-alerts")
+    .setDescription("Turn Datum DM alerts for your wallets on or off.")
+    .addStringOption((opt) =>
+      opt
+        .setName("alert")
+        .setDescription("Alert type")
+        .setRequired(true)
+        .addChoices(...Object.entries(ALERT_TYPES).map(([value, t]) => ({ name: t.label, value })))
+    )
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("On or off").setRequired(true))
+    .addStringOption((opt) =>
+      opt
+        .setName("mode")
+        .setDescription("A DM per event (default) or a periodic summary")
+        .setRequired(false)
+        .addChoices(...Object.entries(ALERT_MODES).map(([value, name]) => ({ name, value })))
+    ),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const alertType = interaction.options.getString("alert", true);
+      const enabled = interaction.options.getBoolean("enabled", true);
+      const mode = interaction.options.getString("mode") || "event";
+      if (enabled) {
+        const wallets = getUserWallets(db, interaction.user.id);
+        const ok = await requireWalletsOrReply(interaction, wallets);
+        if (!ok) return;
+      }
+
+      setSubscription(db, interaction.user.id, alertType, enabled, mode);
+
+      const active = getSubscriptions(db, interaction.user.id)
+        .filter((s) => s.enabled && ALERT_TYPES[s.alert_type])
+        .map((s) => `${ALERT_TYPES[s.alert_type].label}${s.mode === "digest" ? " (summary)" : ""}`);
+      const delivery =
+        mode === "digest"
+          ? `You'll get a DM summary of new events on your wallets every ${DIGEST_HOURS}h`
+          : "You'll get a DM for new events on your wallets";
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — Alerts")
+        .setDescription(
+          enabled
+            ? `${ALERT_TYPES[alertType].label}: on. ${delivery}; keep DMs from server members open.`
+            : `${ALERT_TYPES[alertType].label}: off.`
+        )
+        .addFields({ name: "Active alerts", value: active.length ? active.join("\n") : "NONE", inline: false });
+      await interaction.editReply({ embeds: [embed] });
+    } finally {
+      db.close();
+    }
+  },
+};
@@ -0,0 +1,83 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require("discord.js");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { resolveLocale, decimalSeparator } = require("../utils/intlNumberFormats");
+const { REPORT_CURRENCIES, getReportPrefs, setReportPrefs, createReportFormat } = require("../utils/reportPrefs");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("datum-settings")
+    .setDescription("Set the currency and locale of your Datum reports.")
+    .addStringOption((opt) =>
+      opt
+        .setName("currency")
+        .setDescription("Currency report values are converted to")
+        .setRequired(false)
+        .addChoices(...Object.entries(REPORT_CURRENCIES).map(([value, name]) => ({ name: `${value} — ${name}`, value })))
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("locale")
+        .setDescription("Number and date format, e.g. en-US, en-GB, de-DE, fr-FR")
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName("reset").setDescription("Go back to the server defaults").setRequired(false)
+    ),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const currency = interaction.options.getString("currency");
+      const rawLocale = interaction.options.getString("locale");
+      const reset = interaction.options.getBoolean("reset") === true;
+
+      const locale = rawLocale != null ? resolveLocale(rawLocale) : undefined;
+      if (rawLocale != null && !locale) {
+        await interaction.editReply({ content: `Unknown locale "${rawLocale}"; use a tag like en-GB or de-DE.` });
+        return;
+      }
+
+      if (reset) {
+        setReportPrefs(db, interaction.user.id, { currency: null, locale: null });
+      } else if (currency || locale) {
+        setReportPrefs(db, interaction.user.id, { currency: currency ?? undefined, locale });
+      }
+
+      const prefs = getReportPrefs(db, interaction.user.id);
+      const fmt = createReportFormat(prefs);
+      const fields = [
+        { name: "Currency", value: `${prefs.currency} (${fmt.money(1234.5)})`, inline: true },
+        { name: "Locale", value: `${prefs.locale} (${fmt.number(1234.5, 2)} · ${fmt.date(Date.now())})`, inline: true },
+      ];
+      if (prefs.currency !== "USD") {
+        const fx = db.prepare("SELECT MAX(rate_timestamp) AS latest FROM fx_rates WHERE currency = ?").get(prefs.currency);
+        fields.push({
+          name: "FX rates",
+          value: fx?.latest
+            ? `USD → ${prefs.currency} rates up to <t:${fx.latest}:d>`
+            : `No USD → ${prefs.currency} rates imported yet; value columns stay blank until they are.`,
+          inline: false,
+        });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — Settings")
+        .setDescription(
+          (prefs.isDefault ? "Using the server defaults. " : "") +
+            `Report values are shown in ${prefs.currency}, and numbers and dates in the ${prefs.locale} format.` +
+            (decimalSeparator(prefs.locale) === "," ? " CSV files use a decimal comma and ; between columns." : "")
+        )
+        .addFields(...fields);
+      await interaction.editReply({ embeds: [embed] });
+    } finally {
+      db.close();
+    }
+  },
+};
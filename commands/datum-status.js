@@ -0,0 +1,193 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require("discord.js");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { buildProvider, hasRpcConfig } = require("../utils/rpc");
+const { resolveBlockTimestamps } = require("../utils/blockTimestamps");
+const { latestRunsByCursor } = require("../utils/scanRuns");
+
+const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
+const HEAD_TIMEOUT_MS = 10000;
+const MAX_FIELDS = 24;
+
+const providers = new Map();
+
+function getProvider(chain) {
+  if (!providers.has(chain)) providers.set(chain, buildProvider(chain));
+  return providers.get(chain);
+}
+
+function parseSqliteTimestamp(ts) {
+  if (!ts) return null;
+  const raw = String(ts);
+  const iso = raw.includes("T") ? raw : raw.replace(" ", "T");
+  const ms = Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+  if (!Number.isFinite(ms)) return null;
+  return Math.floor(ms / 1000);
+}
+
+function formatDuration(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return "n/a";
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 120) return `${s}s`;
+  if (s < 7200) return `${Math.round(s / 60)}m`;
+  if (s < 172800) return `${Math.round(s / 3600)}h`;
+  return `${Math.round(s / 86400)}d`;
+}
+
+// Returns { head, error }; error is set when the RPC is misconfigured or unreachable.
+async function getChainHead(chain) {
+  if (!hasRpcConfig(chain)) return { head: null, error: null };
+  let timer = null;
+  try {
+    const head = await Promise.race([
+      getProvider(chain).getBlockNumber(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("head timeout")), HEAD_TIMEOUT_MS);
+      }),
+    ]);
+    return { head, error: null };
+  } catch (err) {
+    log.warn(`[datum-status] Failed to read ${chain} chain head: ${err.message || err}`);
+    return { head: null, error: err.message || String(err) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function getBlockTimes(db, chain, blockNumbers) {
+  if (!hasRpcConfig(chain)) return new Map();
+  try {
+    return await resolveBlockTimestamps(db, getProvider(chain), blockNumbers);
+  } catch (err) {
+    log.warn(`[datum-status] Failed to resolve ${chain} block timestamps: ${err.message || err}`);
+    return new Map();
+  }
+}
+
+function loadCursors(db) {
+  return db
+    .prepare(
+      `
+      SELECT chain_id, cursor_key, start_block, last_scanned_block, updated_at FROM scan_cursors
+      UNION ALL
+      SELECT chain_id, cursor_key, start_block, last_scanned_block, updated_at FROM sp_cursors
+      ORDER BY chain_id, cursor_key
+    `
+    )
+    .all();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("datum-status")
+    .setDescription("Show scan progress, lag and health for every Datum source."),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const cursors = loadCursors(db);
+      if (!cursors.length) {
+        const embed = new EmbedBuilder()
+          .setTitle("Datum — Status")
+          .setDescription("No scan cursors found in Datum DB. Has the scanner run yet?");
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const chains = Array.from(new Set(cursors.map((c) => c.chain_id)));
+      const heads = new Map();
+      const rpcErrors = [];
+      const blockTimes = new Map();
+      for (const chain of chains) {
+        const { head, error } = await getChainHead(chain);
+        heads.set(chain, head);
+        if (error) rpcErrors.push(`⚠️ ${chain} RPC: ${error}`);
+        blockTimes.set(
+          chain,
+          await getBlockTimes(
+            db,
+            chain,
+            cursors.filter((c) => c.chain_id === chain && c.last_scanned_block > 0).map((c) => c.last_scanned_block)
+          )
+        );
+      }
+      const runs = new Map(latestRunsByCursor(db).map((r) => [r.cursor_key, r]));
+      const nowTs = Math.floor(Date.now() / 1000);
+
+      let staleCount = 0;
+      const fields = cursors.map((c) => {
+        const head = heads.get(c.chain_id);
+        const blockTs = c.last_scanned_block > 0 ? blockTimes.get(c.chain_id).get(c.last_scanned_block) ?? null : null;
+        const lagBlocks = head != null && c.last_scanned_block > 0 ? Math.max(0, head - c.last_scanned_block) : null;
+        const lagSeconds = blockTs != null ? nowTs - blockTs : null;
+        const run = runs.get(c.cursor_key);
+        const runFailed = run && run.status !== "ok";
+
+        const isStale =
+          c.last_scanned_block === 0 ||
+          runFailed ||
+          (DATA_STALE_MINUTES > 0 && lagSeconds != null && lagSeconds > DATA_STALE_MINUTES * 60);
+        if (isStale) staleCount += 1;
+
+        const lines = [];
+        lines.push(
+          c.last_scanned_block > 0
+            ? `Block ${c.last_scanned_block}${blockTs != null ? ` (<t:${blockTs}:f>)` : ""}`
+            : "Not scanned yet"
+        );
+        lines.push(
+          `Lag: ${lagBlocks != null ? `${lagBlocks} blocks` : "n/a"} · ${formatDuration(lagSeconds)}`
+        );
+        if (run) {
+          const finishedTs = parseSqliteTimestamp(run.finished_at);
+          const when = finishedTs ? ` <t:${finishedTs}:R>` : "";
+          const err = run.error_class ? ` — ${run.error_class}` : "";
+          lines.push(`Last run: ${run.status}${when}${err}`);
+        } else {
+          lines.push("Last run: none recorded");
+        }
+
+        return {
+          name: `${isStale ? "⚠️" : "✅"} ${c.chain_id} · ${c.cursor_key}`,
+          value: lines.join("\n").slice(0, 1024),
+          inline: false,
+        };
+      });
+
+      const summary = [
+        `Sources: ${cursors.length}`,
+        `Stale: ${staleCount}`,
+        `Chain head: ${chains.map((chain) => `${chain} ${heads.get(chain) ?? "unavailable"}`).join(", ")}`,
+        DATA_STALE_MINUTES > 0 ? `Threshold: ${DATA_STALE_MINUTES}m` : "Threshold: off",
+      ].join(" · ");
+      const description = [summary, ...rpcErrors].join("\n").slice(0, 4096);
+
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — Status")
+        .setThumbnail(interaction.client.user.displayAvatarURL())
+        .setDescription(description)
+        .addFields(...fields.slice(0, MAX_FIELDS));
+
+      if (fields.length > MAX_FIELDS) {
+        embed.addFields({
+          name: "Note",
+          value: `${fields.length - MAX_FIELDS} more sources not shown.`,
+          inline: false,
+        });
+      }
+
+      embed.setTimestamp(new Date(nowTs * 1000));
+
+      await interaction.editReply({ embeds: [embed] });
+    } finally {
+      db.close();
+    }
+  },
+};
@@ -0,0 +1,302 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } = require("discord.js");
+const { ethers } = require("ethers");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { toCsv } = require("../utils/csv");
+const { loadLoanTokenMeta, loadPoolTokenMeta } = require("../utils/tokenMeta");
+const { loadOwnedTroves, ownerAt } = require("../utils/troveOwnership");
+const { troveStateAt } = require("../utils/trackedTroves");
+const { lastBlockAtOrBefore } = require("../utils/blockTimestamps");
+const { depositorPositionAt } = require("../utils/spMath");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
+
+const MAX_FIELDS = 20;
+const HELD_STATUSES = new Set(["open", "redeemed_to_zero", "zombie"]);
+
+// Amount columns valued in the report currency as of the chosen date, with their symbol columns.
+const VALUE_COLUMNS = [
+  ["coll_amount", "coll_symbol"],
+  ["debt_cdp", "debt_symbol"],
+  ["sp_stashed_coll", "coll_symbol"],
+  ["sp_deposit_compounded_cdp", "debt_symbol"],
+  ["sp_coll_gain_pending", "coll_symbol"],
+  ["sp_yield_gain_pending_cdp", "debt_symbol"],
+];
+
+function formatAmount(value, decimals) {
+  if (value == null) return "";
+  return ethers.formatUnits(value, decimals);
+}
+
+function formatPct(value) {
+  if (value == null) return "";
+  const n = Number(ethers.formatUnits(value, 18)) * 100;
+  if (!Number.isFinite(n)) return "";
+  return n.toFixed(4);
+}
+
+function shortId(troveId) {
+  const s = String(troveId);
+  return s.length > 10 ? `…${s.slice(-8)}` : s;
+}
+
+function shortAddr(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
+}
+
+// End of the given UTC day in unix seconds, or null for anything but a real YYYY-MM-DD date.
+function parseDate(raw) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(raw || "").trim());
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const ms = Date.UTC(y, mo - 1, d, 23, 59, 59);
+  const check = new Date(ms);
+  if (check.getUTCFullYear() !== y || check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) return null;
+  return Math.floor(ms / 1000);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("my-holdings-at")
+    .setDescription("Rebuild your trove and stability pool holdings as of a date (CSV).")
+    .addStringOption((opt) =>
+      opt.setName("date").setDescription("UTC date, YYYY-MM-DD (end of day)").setRequired(true)
+    ),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
+      const rawDate = interaction.options.getString("date", true);
+      const asOfTs = parseDate(rawDate);
+      if (asOfTs == null) {
+        await interaction.editReply({ content: `Invalid date "${rawDate}"; use YYYY-MM-DD.` });
+        return;
+      }
+      const wallets = getUserWallets(db, interaction.user.id);
+      const ok = await requireWalletsOrReply(interaction, wallets);
+      if (!ok) return;
+
+      // Indexed events up to the last block at or before the date, per chain.
+      const blockByChain = new Map();
+      for (const chain of new Set(wallets.map((w) => w.chain_id))) {
+        blockByChain.set(chain, lastBlockAtOrBefore(db, chain, asOfTs));
+      }
+
+      const loanMeta = loadLoanTokenMeta(db);
+      const poolMeta = loadPoolTokenMeta(db);
+      const chainOf = db.prepare("SELECT chain_id FROM loan_contracts WHERE contract_key = ?");
+      const rowsOut = [];
+      const fields = [];
+
+      for (const [contractKey, periodsById] of loadOwnedTroves(db, wallets).entries()) {
+        const chain = chainOf.get(contractKey)?.chain_id;
+        const block = blockByChain.get(chain);
+        if (block == null) continue;
+        const meta = loanMeta(contractKey);
+        for (const [troveId, periods] of periodsById.entries()) {
+          const owner = ownerAt(periods, block, Number.MAX_SAFE_INTEGER);
+          if (!owner) continue;
+          const t = troveStateAt(db, contractKey, troveId, block);
+          if (!t || !HELD_STATUSES.has(t.status)) continue;
+          const debt = t.debt != null ? BigInt(t.debt) : null;
+          const coll = t.coll != null ? BigInt(t.coll) : null;
+          const rate = t.annual_interest_rate != null ? BigInt(t.annual_interest_rate) : null;
+
+          rowsOut.push({
+            holding_type: "TROVE",
+            chain,
+            as_of_block: block,
+            contract_or_pool_key: contractKey,
+            trove_id: troveId,
+            wallet: owner,
+            status: t.status,
+            coll_amount: formatAmount(coll, meta.decimals),
+            coll_symbol: meta.symbol,
+            debt_cdp: formatAmount(debt, meta.debtDecimals),
+            debt_symbol: meta.debtSymbol,
+            ir_pct: formatPct(rate),
+            batch_manager: t.batch_manager || "",
+            last_update_block: t.last_update_block ?? "",
+            last_update_datetime_utc: t.last_update_timestamp
+              ? new Date(t.last_update_timestamp * 1000).toISOString()
+              : "",
+          });
+
+          const toNum = (v, d) => (v != null ? Number(ethers.formatUnits(v, d)) : null);
+          fields.push({
+            name: `${chain} · ${meta.symbol} trove ${shortId(troveId)} · ${shortAddr(owner)}`,
+            value: (
+              `Coll: ${coll != null ? `${fmt.number(toNum(coll, meta.decimals), 4)} ${meta.symbol}` : "n/a"}\n` +
+              `Debt: ${debt != null ? `${fmt.number(toNum(debt, meta.debtDecimals), 2)} ${meta.debtSymbol}` : "n/a"}` +
+              (rate != null ? ` @ ${fmt.number(toNum(rate, 18) * 100, 2)}%` : "")
+            ).slice(0, 1024),
+            inline: false,
+          });
+        }
+      }
+
+      const pools = db.prepare("SELECT pool_key, chain_id FROM stability_pools ORDER BY chain_id, pool_key").all();
+      const unresolvedPools = new Set();
+      for (const w of wallets) {
+        const block = blockByChain.get(w.chain_id);
+        if (block == null) continue;
+        const depositor = ethers.getAddress(w.address_eip55);
+        for (const pool of pools.filter((p) => p.chain_id === w.chain_id)) {
+          const p = depositorPositionAt(db, pool.pool_key, depositor, block);
+          if (!p || (p.initialDeposit === 0n && p.stashedColl === 0n)) continue;
+          const meta = poolMeta(pool.pool_key);
+
+          rowsOut.push({
+            holding_type: "SP_DEPOSIT",
+            chain: pool.chain_id,
+            as_of_block: block,
+            contract_or_pool_key: pool.pool_key,
+            wallet: depositor,
+            status: p.complete ? "ok" : "unresolved",
+            coll_symbol: meta.symbol,
+            debt_symbol: meta.debtSymbol,
+            sp_deposit_recorded_cdp: formatAmount(p.initialDeposit, meta.debtDecimals),
+            sp_stashed_coll: formatAmount(p.stashedColl, meta.decimals),
+            sp_deposit_compounded_cdp: formatAmount(p.deposit, meta.debtDecimals),
+            sp_coll_gain_pending: formatAmount(p.collGain, meta.decimals),
+            sp_yield_gain_pending_cdp: formatAmount(p.yieldGain, meta.debtDecimals),
+            last_update_block: p.snapshotBlock,
+            last_update_datetime_utc: p.snapshotTimestamp ? new Date(p.snapshotTimestamp * 1000).toISOString() : "",
+          });
+
+          const toNum = (v, d) => Number(ethers.formatUnits(v, d));
+          const recorded = fmt.number(toNum(p.initialDeposit, meta.debtDecimals), 2);
+          const stashed = fmt.number(toNum(p.stashedColl, meta.decimals), 4);
+          if (!p.complete) unresolvedPools.add(pool.pool_key);
+          const lines = p.complete
+            ? [
+                `Deposit: ${fmt.number(toNum(p.deposit, meta.debtDecimals), 2)} ${meta.debtSymbol} (recorded ${recorded})`,
+                `Coll: ${fmt.number(toNum(p.stashedColl + p.collGain, meta.decimals), 4)} ${meta.symbol} ` +
+                  `(stashed ${stashed})`,
+              ]
+            : [
+                `Deposit: unresolved (recorded ${recorded} ${meta.debtSymbol})`,
+                `Coll gain: unresolved (stashed ${stashed} ${meta.symbol})`,
+              ];
+          fields.push({
+            name: `${pool.chain_id} · ${meta.symbol} pool · ${shortAddr(depositor)}`,
+            value: lines.join("\n").slice(0, 1024),
+            inline: false,
+          });
+        }
+      }
+
+      const asOfDate = new Date(asOfTs * 1000).toISOString().slice(0, 10);
+      const asOfLabel = `${fmt.date(asOfTs * 1000)} 23:59:59 UTC`;
+      if (!rowsOut.length) {
+        const embed = new EmbedBuilder()
+          .setTitle("Datum — My Holdings At")
+          .setDescription(`No troves or stability pool deposits held by your wallets as of ${asOfLabel}.`);
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const priceAt = loadPriceLookup(db, fmt.currency);
+
+      const valueHeaders = addValueColumns(rowsOut, VALUE_COLUMNS, priceAt, fmt.currency, () => asOfTs);
+
+      const headers = [
+        "holding_type",
+        "chain",
+        "as_of_block",
+        "contract_or_pool_key",
+        "trove_id",
+        "wallet",
+        "status",
+        "coll_amount",
+        "coll_symbol",
+        "debt_cdp",
+        "debt_symbol",
+        "ir_pct",
+        "batch_manager",
+        "sp_deposit_recorded_cdp",
+        "sp_stashed_coll",
+        "sp_deposit_compounded_cdp",
+        "sp_coll_gain_pending",
+        "sp_yield_gain_pending_cdp",
+        "last_update_block",
+        "last_update_datetime_utc",
+        ...valueHeaders,
+      ];
+
+      const csv = toCsv(
+        headers,
+        rowsOut.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
+      );
+
+      const filename = `holdings_${asOfDate}_${interaction.user.id}_${Date.now()}.csv`;
+      const attachment = new AttachmentBuilder(Buffer.from(csv, "utf8"), {
+        name: filename,
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — My Holdings At")
+        .setThumbnail(interaction.client.user.displayAvatarURL())
+        .setDescription(
+          `Holdings as of ${asOfLabel}. Trove debt is as of its last update before then (interest accrued since ` +
+            "is not included); pool deposits include liquidation losses and gains up to then."
+        )
+        .addFields(...fields.slice(0, MAX_FIELDS));
+
+      if (unresolvedPools.size) {
+        embed.addFields({
+          name: "⚠️ Unresolved",
+          value: (
+            `Pool P/S/B updates are not indexed back to the deposit for ${Array.from(unresolvedPools).join(", ")}, ` +
+            "so compounded deposits and gains there are unknown and left out of the totals. Backfill those pools to resolve them."
+          ).slice(0, 1024),
+          inline: false,
+        });
+      }
+
+      const partial = unresolvedPools.size ? " (resolved pools only)" : "";
+      if (fields.length > MAX_FIELDS) {
+        embed.addFields({
+          name: "Note",
+          value: `${fields.length - MAX_FIELDS} more holdings in the CSV.`,
+          inline: false,
+        });
+      }
+
+      embed
+        .addFields(
+          valueTotalsField(rowsOut, fmt, [
+            ["coll_amount", "Trove collateral"],
+            ["debt_cdp", "Trove debt"],
+            ["sp_deposit_compounded_cdp", `Pool deposits${partial}`],
+            ["sp_coll_gain_pending", `Pool coll gains${partial}`],
+          ])
+        )
+        .addFields({
+          name: "As Of Block",
+          value: Array.from(blockByChain.entries())
+            .map(([chain, block]) => `${chain}: ${block ?? "before indexed data"}`)
+            .join("\n"),
+          inline: false,
+        })
+        .setTimestamp(new Date());
+
+      await interaction.editReply({
+        embeds: [embed],
+        files: [attachment],
+      });
+    } finally {
+      db.close();
+    }
+  },
+};
@@ -3,12 +3,23 @@ const { ethers } = require("ethers");
 const log = require("../utils/logger");
 const { openDatumDb } = require("../utils/db");
 const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { loadOwnedTroves, ownerAt } = require("../utils/troveOwnership");
+const { troveIdsActiveSince } = require("../utils/trackedTroves");
 const { toCsv } = require("../utils/csv");
+const { loadLoanTokenMeta } = require("../utils/tokenMeta");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
 
-const CDP_SYMBOL = "CDP";
-const CDP_DECIMALS = 18;
 const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
 
+// Amount columns valued in the report currency, with the column holding each one's symbol.
+const VALUE_COLUMNS = [
+  ["sold_amount", "sold_symbol"],
+  ["bought_amount", "bought_symbol"],
+  ["debt_delta_cdp", "debt_symbol"],
+  ["coll_delta", "coll_symbol"],
+];
+
 const OPERATION_LABELS = {
   0: "openTrove",
   1: "closeTrove",
@@ -22,13 +33,6 @@ const OPERATION_LABELS = {
   9: "removeFromBatch",
 };
 
-function getCollMeta(contractKey) {
-  const key = String(contractKey || "").toLowerCase();
-  if (key.includes("fxrp")) return { symbol: "FXRP", decimals: 6 };
-  if (key.includes("wflr")) return { symbol: "WFLR", decimals: 18 };
-  return { symbol: "COLL", decimals: 18 };
-}
-
 function parseSigned(value) {
   if (value == null) return null;
   try {
@@ -58,14 +62,6 @@ function formatPct(value) {
   return n.toFixed(4);
 }
 
-function formatNumber(value, decimals) {
-  if (value == null || !Number.isFinite(value)) return "";
-  return new Intl.NumberFormat("en-US", {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  }).format(value);
-}
-
 function parseJsonSafe(raw) {
   try {
     return JSON.parse(raw);
@@ -128,27 +124,17 @@ module.exports = {
     const db = openDatumDb();
     try {
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
       const period = interaction.options.getString("period", true);
       const range = buildPeriod(period);
       const wallets = getUserWallets(db, interaction.user.id);
       const ok = await requireWalletsOrReply(interaction, wallets);
       if (!ok) return;
 
-      const walletLower = wallets.map((w) => w.address_eip55.toLowerCase());
-      const placeholders = walletLower.map(() => "?").join(",");
+      const tokenMeta = loadLoanTokenMeta(db);
+      const owned = loadOwnedTroves(db, wallets);
 
-      const troves = db
-        .prepare(
-          `
-          SELECT DISTINCT contract_key, token_id
-          FROM loan_nft_transfers
-          WHERE from_addr IN (${placeholders})
-             OR to_addr IN (${placeholders})
-        `
-        )
-        .all(...walletLower, ...walletLower);
-
-      if (!troves.length) {
+      if (!owned.size) {
         const embed = new EmbedBuilder()
           .setTitle("Datum — My Liquidations")
           .setDescription("No troves found for your wallets in Datum DB.");
@@ -156,20 +142,17 @@ module.exports = {
         return;
       }
 
-      const byContract = new Map();
-      for (const t of troves) {
-        if (!byContract.has(t.contract_key)) byContract.set(t.contract_key, new Set());
-        byContract.get(t.contract_key).add(t.token_id);
-      }
-
+      // Only troves tracked_troves shows as liquidated can have a liquidation.
+      const sinceTs = range.start != null ? range.start / 1000 : null;
       const filtered = [];
-      for (const [contractKey, tokenSet] of byContract.entries()) {
-        const ids = Array.from(tokenSet);
+      for (const [contractKey, periodsById] of owned.entries()) {
+        const ids = troveIdsActiveSince(db, contractKey, Array.from(periodsById.keys()), sinceTs, ["liquidated"]);
+        if (!ids.length) continue;
         const idPlaceholders = ids.map(() => "?").join(",");
         const rows = db
           .prepare(
             `
-            SELECT te.contract_key, te.trove_id, te.block_number, te.block_timestamp,
+            SELECT te.chain_id, te.contract_key, te.trove_id, te.block_number, te.block_timestamp,
                    te.tx_hash, te.log_index, te.data_json
             FROM trove_events te
             WHERE te.contract_key = ?
@@ -181,6 +164,8 @@ module.exports = {
           .all(contractKey, ...ids);
 
         for (const row of rows) {
+          const owner = ownerAt(periodsById.get(row.trove_id), row.block_number, row.log_index);
+          if (!owner) continue;
           let parsed = null;
           try {
             parsed = JSON.parse(row.data_json);
@@ -191,6 +176,7 @@ module.exports = {
           if (op === 5) {
             filtered.push({
               ...row,
+              owner,
               operation: OPERATION_LABELS[op] || String(op),
             });
           }
@@ -208,7 +194,7 @@ module.exports = {
         if (range.end != null && (blockTs == null || blockTs * 1000 > range.end)) continue;
 
         const op = parseJsonSafe(r.data_json);
-        const collMeta = getCollMeta(r.contract_key);
+        const collMeta = tokenMeta(r.contract_key);
         const debtDelta = parseSigned(op?._debtChangeFromOperation);
         const collDelta = parseSigned(op?._collChangeFromOperation);
 
@@ -221,7 +207,7 @@ module.exports = {
           maxTs = maxTs == null ? blockTs : Math.max(maxTs, blockTs);
         }
 
-        const debtAmount = debtDeltaAbs ? Number(ethers.formatUnits(debtDeltaAbs, CDP_DECIMALS)) : 0;
+        const debtAmount = debtDeltaAbs ? Number(ethers.formatUnits(debtDeltaAbs, collMeta.debtDecimals)) : 0;
         const collAmount = collDeltaAbs ? Number(ethers.formatUnits(collDeltaAbs, collMeta.decimals)) : 0;
 
         const key = r.contract_key;
@@ -229,6 +215,7 @@ module.exports = {
           summaryByContract.set(key, {
             contractKey: key,
             collSymbol: collMeta.symbol,
+            debtSymbol: collMeta.debtSymbol,
             count: 0,
             debtTotal: 0,
             collTotal: 0,
@@ -242,18 +229,21 @@ module.exports = {
         rowsOut.push({
           tx_type: "LIQUIDATION",
           datetime_utc: datetime,
+          chain: r.chain_id,
           tx_hash: r.tx_hash,
           block_number: r.block_number,
           contract_key: r.contract_key,
           trove_or_pool_id: r.trove_id,
           wallet: "",
+          owner: r.owner,
           sold_amount: formatAmount(collDeltaAbs, collMeta.decimals),
           sold_symbol: collMeta.symbol,
-          bought_amount: formatAmount(debtDeltaAbs, CDP_DECIMALS),
-          bought_symbol: CDP_SYMBOL,
-          debt_delta_cdp: formatSigned(debtDelta, CDP_DECIMALS),
+          bought_amount: formatAmount(debtDeltaAbs, collMeta.debtDecimals),
+          bought_symbol: collMeta.debtSymbol,
+          debt_delta_cdp: formatSigned(debtDelta, collMeta.debtDecimals),
           coll_delta: formatSigned(collDelta, collMeta.decimals),
           coll_symbol: collMeta.symbol,
+          debt_symbol: collMeta.debtSymbol,
           op_code: "5",
           op_label: "liquidate",
           debt_now_cdp: "",
@@ -263,15 +253,21 @@ module.exports = {
       }
 
       rowsOut.sort((a, b) => b.block_number - a.block_number);
+      const priceAt = loadPriceLookup(db, fmt.currency);
+      const valueHeaders = addValueColumns(rowsOut, VALUE_COLUMNS, priceAt, fmt.currency, (r) =>
+        r.datetime_utc ? Date.parse(r.datetime_utc) / 1000 : null
+      );
 
       const headers = [
         "tx_type",
         "datetime_utc",
+        "chain",
         "tx_hash",
         "block_number",
         "contract_key",
         "trove_or_pool_id",
         "wallet",
+        "owner",
         "sold_amount",
         "sold_symbol",
         "bought_amount",
@@ -284,11 +280,13 @@ module.exports = {
         "debt_now_cdp",
         "coll_now",
         "ir_pct",
+        ...valueHeaders,
       ];
 
       const csv = toCsv(
         headers,
-        rowsOut.map((r) => headers.map((h) => r[h]))
+        rowsOut.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
       );
 
       const filename = `liquidations_${interaction.user.id}_${Date.now()}.csv`;
@@ -308,12 +306,12 @@ module.exports = {
       const rangeLabel =
         range.start == null
           ? "ALL"
-          : `${new Date(range.start).toISOString().slice(0, 10)} → ${new Date(range.end).toISOString().slice(0, 10)}`;
+          : `${fmt.date(range.start)} → ${fmt.date(range.end)}`;
 
       const summaryRows = Array.from(summaryByContract.values()).map((s) => {
         const left = `${s.collSymbol} (${s.count})`;
-        const mid = `${formatNumber(s.debtTotal, 2)} ${CDP_SYMBOL}`;
-        const right = `${formatNumber(s.collTotal, 4)} ${s.collSymbol}`;
+        const mid = `${fmt.number(s.debtTotal, 2)} ${s.debtSymbol}`;
+        const right = `${fmt.number(s.collTotal, 4)} ${s.collSymbol}`;
         return [left, mid, right];
       });
 
@@ -334,6 +332,15 @@ module.exports = {
           { name: "Total Coll Liquidated", value: col3, inline: true }
         );
 
+      if (!noTx) {
+        embed.addFields(
+          valueTotalsField(rowsOut, fmt, [
+            ["bought_amount", "Debt reduced"],
+            ["sold_amount", "Coll liquidated"],
+          ])
+        );
+      }
+
       if (noTx) {
         embed.addFields({
           name: "Note",
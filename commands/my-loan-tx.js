@@ -3,19 +3,36 @@ const { ethers } = require("ethers");
 const log = require("../utils/logger");
 const { openDatumDb } = require("../utils/db");
 const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { loadOwnedTroves, ownerAt } = require("../utils/troveOwnership");
+const { troveIdsActiveSince } = require("../utils/trackedTroves");
 const { toCsv } = require("../utils/csv");
+const { loadLoanTokenMeta } = require("../utils/tokenMeta");
+const { accrueOwnedTroves, interestAppliedAt } = require("../utils/interestAccrual");
+const { batchUpdatesLoader, troveUpdateState } = require("../utils/batches");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
 
-const CDP_SYMBOL = "CDP";
-const CDP_DECIMALS = 18;
 const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
 const LOAN_OP_CODES = new Set([0, 1, 2, 3, 4, 7, 8, 9]);
 
-function getCollMeta(contractKey) {
-  const key = String(contractKey || "").toLowerCase();
-  if (key.includes("fxrp")) return { symbol: "FXRP", decimals: 6 };
-  if (key.includes("wflr")) return { symbol: "WFLR", decimals: 18 };
-  return { symbol: "COLL", decimals: 18 };
-}
+// Amount columns valued in the report currency, with the column holding each one's symbol.
+// Accrual rows are valued at their year or period end.
+const VALUE_COLUMNS = [
+  ["sold_amount", "sold_symbol"],
+  ["bought_amount", "bought_symbol"],
+  ["debt_delta_cdp", "debt_symbol"],
+  ["coll_delta", "coll_symbol"],
+  ["debt_now_cdp", "debt_symbol"],
+  ["coll_now", "coll_symbol"],
+  ["upfront_fee_cdp", "debt_symbol"],
+  ["debt_redist_cdp", "debt_symbol"],
+  ["estimated_loan_interest_cost_cdp", "debt_symbol"],
+  ["interest_accrued_cdp", "debt_symbol"],
+  ["interest_unrealized_cdp", "debt_symbol"],
+  ["batch_fee_cdp", "debt_symbol"],
+  ["batch_fee_accrued_cdp", "debt_symbol"],
+  ["batch_fee_unrealized_cdp", "debt_symbol"],
+];
 
 function getTroveOpLabel(code) {
   const n = Number(code);
@@ -62,12 +79,13 @@ function formatPct(value) {
   return n.toFixed(4);
 }
 
-function formatNumber(value, decimals) {
-  if (value == null || !Number.isFinite(value)) return "";
-  return new Intl.NumberFormat("en-US", {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  }).format(value);
+function shortId(troveId) {
+  const s = String(troveId);
+  return s.length > 10 ? `…${s.slice(-8)}` : s;
+}
+
+function shortAddr(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
 }
 
 function parseJsonSafe(raw) {
@@ -128,56 +146,51 @@ module.exports = {
     const db = openDatumDb();
     try {
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
       const period = interaction.options.getString("period", true);
       const range = buildPeriod(period);
       const wallets = getUserWallets(db, interaction.user.id);
       const ok = await requireWalletsOrReply(interaction, wallets);
       if (!ok) return;
 
-      const walletLower = wallets.map((w) => w.address_eip55.toLowerCase());
-      const placeholders = walletLower.map(() => "?").join(",");
-      const troves = db
-        .prepare(
-          `
-          SELECT DISTINCT contract_key, token_id
-          FROM loan_nft_transfers
-          WHERE from_addr IN (${placeholders})
-             OR to_addr IN (${placeholders})
-        `
-        )
-        .all(...walletLower, ...walletLower);
+      const tokenMeta = loadLoanTokenMeta(db);
+      const owned = loadOwnedTroves(db, wallets);
 
-      if (!troves.length) {
+      if (!owned.size) {
         await interaction.editReply({
           embeds: [new EmbedBuilder().setTitle("Datum - My Loan TX").setDescription("No troves found for your wallets in Datum DB.")],
         });
         return;
       }
 
-      const byContract = new Map();
-      for (const t of troves) {
-        if (!byContract.has(t.contract_key)) byContract.set(t.contract_key, new Set());
-        byContract.get(t.contract_key).add(t.token_id);
-      }
+      const nowTs = Math.floor(Date.now() / 1000);
+      const accrualEnd = range.end != null ? Math.min(Math.floor(range.end / 1000) + 1, nowTs) : nowTs;
+      const accrual = accrueOwnedTroves(db, owned, range.start != null ? range.start / 1000 : null, accrualEnd);
+      const loadBatch = batchUpdatesLoader(db);
 
+      const sinceTs = range.start != null ? range.start / 1000 : null;
       const rawRows = [];
-      for (const [contractKey, tokenSet] of byContract.entries()) {
-        const ids = Array.from(tokenSet);
+      for (const [contractKey, periodsById] of owned.entries()) {
+        const ids = troveIdsActiveSince(db, contractKey, Array.from(periodsById.keys()), sinceTs);
+        if (!ids.length) continue;
         const idPlaceholders = ids.map(() => "?").join(",");
         const rows = db
           .prepare(
             `
-            SELECT te.contract_key, te.trove_id, te.block_number, te.block_timestamp,
+            SELECT te.chain_id, te.contract_key, te.trove_id, te.block_number, te.block_timestamp,
                    te.tx_hash, te.log_index, te.event_name, te.data_json
             FROM trove_events te
             WHERE te.contract_key = ?
               AND te.trove_id IN (${idPlaceholders})
-              AND te.event_name IN ('TroveOperation','TroveUpdated')
+              AND te.event_name IN ('TroveOperation','TroveUpdated','BatchedTroveUpdated')
             ORDER BY te.block_number DESC, te.log_index DESC
           `
           )
           .all(contractKey, ...ids);
-        rawRows.push(...rows);
+        for (const row of rows) {
+          row.owner = ownerAt(periodsById.get(row.trove_id), row.block_number, row.log_index);
+          if (row.owner) rawRows.push(row);
+        }
       }
 
       const grouped = new Map();
@@ -203,10 +216,11 @@ module.exports = {
         if (range.start != null && (blockTs == null || blockTs * 1000 < range.start)) continue;
         if (range.end != null && (blockTs == null || blockTs * 1000 > range.end)) continue;
 
+        const collMeta = tokenMeta(troveOp.contract_key);
         if (opCode === 5 || opCode === 6) {
           const debtDelta = parseSigned(op?._debtChangeFromOperation);
           const debtDeltaAbs = debtDelta != null && debtDelta < 0n ? -debtDelta : 0n;
-          const debtAmount = Number(ethers.formatUnits(debtDeltaAbs, CDP_DECIMALS));
+          const debtAmount = Number(ethers.formatUnits(debtDeltaAbs, collMeta.debtDecimals));
           const map = opCode === 6 ? redemptionByContract : liquidationByContract;
           map.set(troveOp.contract_key, (map.get(troveOp.contract_key) || 0) + debtAmount);
           continue;
@@ -215,11 +229,12 @@ module.exports = {
         if (!LOAN_OP_CODES.has(opCode)) continue;
 
         const updated = [...rows]
-          .filter((r) => r.event_name === "TroveUpdated")
+          .filter((r) => r.event_name === "TroveUpdated" || r.event_name === "BatchedTroveUpdated")
           .sort((a, b) => b.log_index - a.log_index)[0];
-        const updatedData = updated ? parseJsonSafe(updated.data_json) : null;
+        const updatedState = updated
+          ? troveUpdateState(loadBatch, troveOp.contract_key, updated, parseJsonSafe(updated.data_json))
+          : null;
 
-        const collMeta = getCollMeta(troveOp.contract_key);
         const debtDelta = parseSigned(op?._debtChangeFromOperation);
         const collDelta = parseSigned(op?._collChangeFromOperation);
         const feeRaw = parseSigned(op?._debtIncreaseFromUpfrontFee) || 0n;
@@ -230,6 +245,7 @@ module.exports = {
         if (!summaryByContract.has(troveOp.contract_key)) {
           summaryByContract.set(troveOp.contract_key, {
             collSymbol: collMeta.symbol,
+            debtSymbol: collMeta.debtSymbol,
             count: 0,
             borrowedTotal: 0,
             repaidTotal: 0,
@@ -238,86 +254,122 @@ module.exports = {
             feeAdjustTotal: 0,
             feeIrChangeTotal: 0,
             feeOtherTotal: 0,
-            inferredInterestTotal: 0,
           });
         }
         const agg = summaryByContract.get(troveOp.contract_key);
         agg.count += 1;
-        agg.borrowedTotal += Number(ethers.formatUnits(borrowedRaw, CDP_DECIMALS));
-        agg.repaidTotal += Number(ethers.formatUnits(repaidRaw, CDP_DECIMALS));
-        const feeAmt = Number(ethers.formatUnits(feeRaw, CDP_DECIMALS));
+        agg.borrowedTotal += Number(ethers.formatUnits(borrowedRaw, collMeta.debtDecimals));
+        agg.repaidTotal += Number(ethers.formatUnits(repaidRaw, collMeta.debtDecimals));
+        const feeAmt = Number(ethers.formatUnits(feeRaw, collMeta.debtDecimals));
         agg.feeTotal += feeAmt;
         if (opCode === 0) agg.feeOpenTotal += feeAmt;
         else if (opCode === 2) agg.feeAdjustTotal += feeAmt;
         else if (opCode === 3) agg.feeIrChangeTotal += feeAmt;
         else if (feeAmt > 0) agg.feeOtherTotal += feeAmt;
-        const debtNowRaw = updatedData?._debt ? BigInt(updatedData._debt) : null;
+        const applied = updated
+          ? interestAppliedAt(accrual.segmentsByTrove.get(`${troveOp.contract_key}:${troveOp.trove_id}`) || [], {
+              block: updated.block_number,
+              logIndex: updated.log_index,
+            })
+          : { interest: 0n, fees: 0n };
 
         rowsOut.push({
           tx_type: "LOAN_OP",
           datetime_utc: blockTs ? new Date(blockTs * 1000).toISOString() : "",
+          chain: troveOp.chain_id,
           tx_hash: troveOp.tx_hash,
           block_number: troveOp.block_number,
           contract_key: troveOp.contract_key,
           trove_or_pool_id: troveOp.trove_id,
           wallet: "",
-          sold_amount: formatAmount(repaidRaw, CDP_DECIMALS),
-          sold_symbol: CDP_SYMBOL,
-          bought_amount: formatAmount(borrowedRaw, CDP_DECIMALS),
-          bought_symbol: CDP_SYMBOL,
-          debt_delta_cdp: formatSigned(debtDelta, CDP_DECIMALS),
+          owner: troveOp.owner,
+          sold_amount: formatAmount(repaidRaw, collMeta.debtDecimals),
+          sold_symbol: collMeta.debtSymbol,
+          bought_amount: formatAmount(borrowedRaw, collMeta.debtDecimals),
+          bought_symbol: collMeta.debtSymbol,
+          debt_delta_cdp: formatSigned(debtDelta, collMeta.debtDecimals),
           coll_delta: formatSigned(collDelta, collMeta.decimals),
           coll_symbol: collMeta.symbol,
+          debt_symbol: collMeta.debtSymbol,
           op_code: String(opCode),
           op_label: getTroveOpLabel(opCode),
-          debt_now_cdp: updatedData?._debt ? formatAmount(BigInt(updatedData._debt), CDP_DECIMALS) : "",
-          coll_now: updatedData?._coll ? formatAmount(BigInt(updatedData._coll), collMeta.decimals) : "",
-          ir_pct: updatedData?._annualInterestRate ? formatPct(BigInt(updatedData._annualInterestRate)) : "",
-          upfront_fee_cdp: formatAmount(feeRaw, CDP_DECIMALS),
-          debt_redist_cdp: formatAmount(redistDebtRaw, CDP_DECIMALS),
-          estimated_loan_interest_cost_cdp: formatAmount(0n, CDP_DECIMALS),
-          _debtDeltaRaw: debtDelta || 0n,
-          _feeRaw: feeRaw,
-          _redistRaw: redistDebtRaw,
-          _debtNowRaw: debtNowRaw,
-          _troveKey: `${troveOp.contract_key}:${troveOp.trove_id}`,
+          debt_now_cdp: formatAmount(updatedState?.debt, collMeta.debtDecimals),
+          coll_now: formatAmount(updatedState?.coll, collMeta.decimals),
+          ir_pct: formatPct(updatedState?.rate),
+          upfront_fee_cdp: formatAmount(feeRaw, collMeta.debtDecimals),
+          debt_redist_cdp: formatAmount(redistDebtRaw, collMeta.debtDecimals),
+          estimated_loan_interest_cost_cdp: formatAmount(applied.interest, collMeta.debtDecimals),
+          batch_fee_cdp: formatAmount(applied.fees, collMeta.debtDecimals),
+          batch_manager: updatedState?.manager || "",
         });
       }
 
       rowsOut.sort((a, b) => b.block_number - a.block_number);
 
-      const prevDebtByTrove = new Map();
-      const ascLoanRows = [...rowsOut].sort((a, b) => a.block_number - b.block_number);
-      for (const row of ascLoanRows) {
-        const nowDebt = row._debtNowRaw;
-        if (nowDebt == null) continue;
-        const key = row._troveKey;
-        const prevDebt = prevDebtByTrove.get(key);
-        if (prevDebt != null) {
-          const residual =
-            nowDebt -
-            prevDebt -
-            (row._debtDeltaRaw || 0n) -
-            (row._feeRaw || 0n) -
-            (row._redistRaw || 0n);
-          if (residual > 0n) {
-            const agg = summaryByContract.get(row.contract_key);
-            if (agg) {
-              agg.inferredInterestTotal += Number(ethers.formatUnits(residual, CDP_DECIMALS));
-            }
-            row.estimated_loan_interest_cost_cdp = formatAmount(residual, CDP_DECIMALS);
-          }
+      // One row per trove, batch manager and tax year: interest and batch
+      // management fees accrued by time, whether or not an update applied them yet.
+      const interestByContract = new Map();
+      const accrualRows = [];
+      for (const a of accrual.rows) {
+        const collMeta = tokenMeta(a.contractKey);
+        accrualRows.push({
+          tx_type: "INTEREST_ACCRUAL",
+          datetime_utc: new Date((a.to - 1) * 1000).toISOString(),
+          chain: a.chainId,
+          contract_key: a.contractKey,
+          trove_or_pool_id: a.troveId,
+          owner: a.owner,
+          coll_symbol: collMeta.symbol,
+          debt_symbol: collMeta.debtSymbol,
+          interest_accrued_cdp: formatAmount(a.accrued, collMeta.debtDecimals),
+          interest_unrealized_cdp: formatAmount(a.unrealized, collMeta.debtDecimals),
+          batch_fee_accrued_cdp: formatAmount(a.fees, collMeta.debtDecimals),
+          batch_fee_unrealized_cdp: formatAmount(a.unrealizedFees, collMeta.debtDecimals),
+          batch_manager: a.manager || "",
+        });
+        if (!interestByContract.has(a.contractKey)) {
+          interestByContract.set(a.contractKey, {
+            meta: collMeta,
+            accrued: 0n,
+            unrealized: 0n,
+            fees: 0n,
+            unrealizedFees: 0n,
+          });
+        }
+        const agg = interestByContract.get(a.contractKey);
+        agg.accrued += a.accrued;
+        agg.fees += a.fees;
+        if (a.to === accrualEnd) {
+          agg.unrealized += a.unrealized;
+          agg.unrealizedFees += a.unrealizedFees;
         }
-        prevDebtByTrove.set(key, nowDebt);
       }
+
+      // Batch managers each trove was delegated to while held, in order.
+      const batchManagers = [];
+      for (const [key, segments] of accrual.segmentsByTrove.entries()) {
+        const managers = [...new Set(segments.map((seg) => seg.manager).filter(Boolean))];
+        if (!managers.length) continue;
+        const [contractKey, troveId] = key.split(":");
+        batchManagers.push(
+          `${tokenMeta(contractKey).symbol} ${shortId(troveId)}: ${managers.map(shortAddr).join(" → ")}`
+        );
+      }
+      const allRows = [...rowsOut, ...accrualRows];
+      const priceAt = loadPriceLookup(db, fmt.currency);
+      const valueHeaders = addValueColumns(allRows, VALUE_COLUMNS, priceAt, fmt.currency, (r) =>
+        r.datetime_utc ? Date.parse(r.datetime_utc) / 1000 : null
+      );
       const headers = [
         "tx_type",
         "datetime_utc",
+        "chain",
         "tx_hash",
         "block_number",
         "contract_key",
         "trove_or_pool_id",
         "wallet",
+        "owner",
         "sold_amount",
         "sold_symbol",
         "bought_amount",
@@ -333,15 +385,21 @@ module.exports = {
         "upfront_fee_cdp",
         "debt_redist_cdp",
         "estimated_loan_interest_cost_cdp",
+        "interest_accrued_cdp",
+        "interest_unrealized_cdp",
+        "batch_fee_cdp",
+        "batch_fee_accrued_cdp",
+        "batch_fee_unrealized_cdp",
+        "batch_manager",
+        ...valueHeaders,
       ];
-      const csv = toCsv(headers, rowsOut.map((r) => headers.map((h) => r[h])));
+      const csv = toCsv(headers, allRows.map((r) => headers.map((h) => r[h])), { locale: fmt.locale });
       const attachment = new AttachmentBuilder(Buffer.from(csv, "utf8"), {
         name: `loan_tx_${interaction.user.id}_${Date.now()}.csv`,
       });
 
       const scanRow = db.prepare("SELECT MAX(updated_at) AS updated_at FROM scan_cursors").get();
       const dataCapturedTs = parseSqliteTimestamp(scanRow?.updated_at);
-      const nowTs = Math.floor(Date.now() / 1000);
       const isStale =
         DATA_STALE_MINUTES > 0 && dataCapturedTs != null
           ? nowTs - dataCapturedTs > DATA_STALE_MINUTES * 60
@@ -350,7 +408,7 @@ module.exports = {
       const rangeLabel =
         range.start == null
           ? "ALL"
-          : `${new Date(range.start).toISOString().slice(0, 10)} -> ${new Date(range.end).toISOString().slice(0, 10)}`;
+          : `${fmt.date(range.start)} -> ${fmt.date(range.end)}`;
 
       const summaryRowsWithBreakdown = Array.from(summaryByContract.entries()).map(([contractKey, s]) => {
         const repaidByRed = redemptionByContract.get(contractKey) || 0;
@@ -358,6 +416,7 @@ module.exports = {
         return {
           contractKey,
           collSymbol: s.collSymbol,
+          debtSymbol: s.debtSymbol,
           count: s.count,
           borrowed: s.borrowedTotal,
           directRepaid: s.repaidTotal,
@@ -372,43 +431,50 @@ module.exports = {
         ? summaryRowsWithBreakdown.map((r) => `${r.collSymbol} (${r.count})`).join("\n")
         : "NONE";
       const col2 = summaryRowsWithBreakdown.length
-        ? summaryRowsWithBreakdown.map((r) => `${formatNumber(r.borrowed, 2)} ${CDP_SYMBOL}`).join("\n")
+        ? summaryRowsWithBreakdown.map((r) => `${fmt.number(r.borrowed, 2)} ${r.debtSymbol}`).join("\n")
         : "";
       const col3 = summaryRowsWithBreakdown.length
-        ? summaryRowsWithBreakdown.map((r) => `${formatNumber(r.effective, 2)} ${CDP_SYMBOL}`).join("\n")
+        ? summaryRowsWithBreakdown.map((r) => `${fmt.number(r.effective, 2)} ${r.debtSymbol}`).join("\n")
         : "";
       const feeLines = summaryRowsWithBreakdown.length
-        ? summaryRowsWithBreakdown.map((r) => `${r.collSymbol}: ${formatNumber(r.fee, 2)} ${CDP_SYMBOL}`).join("\n")
+        ? summaryRowsWithBreakdown.map((r) => `${r.collSymbol}: ${fmt.number(r.fee, 2)} ${r.debtSymbol}`).join("\n")
         : "";
       const feeBreakdown = summaryRowsWithBreakdown.length
         ? summaryRowsWithBreakdown
             .map((r) => {
               const s = summaryByContract.get(r.contractKey);
               if (!s) return null;
-              return `${r.collSymbol}: open ${formatNumber(s.feeOpenTotal, 2)} | adjust ${formatNumber(
+              return `${r.collSymbol}: open ${fmt.number(s.feeOpenTotal, 2)} | adjust ${fmt.number(
                 s.feeAdjustTotal,
                 2
-              )} | IR-change ${formatNumber(s.feeIrChangeTotal, 2)} | other ${formatNumber(
+              )} | IR-change ${fmt.number(s.feeIrChangeTotal, 2)} | other ${fmt.number(
                 s.feeOtherTotal,
                 2
-              )} ${CDP_SYMBOL}`;
+              )} ${r.debtSymbol}`;
             })
             .filter(Boolean)
             .join("\n")
         : "";
-      const interestApplied = summaryRowsWithBreakdown.length
-        ? Array.from(summaryByContract.values())
-            .map((s) => `${s.collSymbol}: ${formatNumber(s.inferredInterestTotal, 2)} ${CDP_SYMBOL}`)
-            .join("\n")
-        : "";
+      const interestAccrued = Array.from(interestByContract.values())
+        .map(
+          (i) =>
+            `${i.meta.symbol}: ${fmt.number(Number(ethers.formatUnits(i.accrued, i.meta.debtDecimals)), 2)} ` +
+            `${i.meta.debtSymbol} (${fmt.number(Number(ethers.formatUnits(i.unrealized, i.meta.debtDecimals)), 2)} ` +
+            "not yet applied at period end)" +
+            (i.fees > 0n
+              ? `; batch fees ${fmt.number(Number(ethers.formatUnits(i.fees, i.meta.debtDecimals)), 2)} ` +
+                `(${fmt.number(Number(ethers.formatUnits(i.unrealizedFees, i.meta.debtDecimals)), 2)} not yet applied)`
+              : "")
+        )
+        .join("\n");
       const breakdown = summaryRowsWithBreakdown.length
         ? summaryRowsWithBreakdown
             .map(
               (r) =>
-                `${r.collSymbol}: direct ${formatNumber(r.directRepaid, 2)} + redemption ${formatNumber(
+                `${r.collSymbol}: direct ${fmt.number(r.directRepaid, 2)} + redemption ${fmt.number(
                   r.repaidByRed,
                   2
-                )} + liquidation ${formatNumber(r.repaidByLiq, 2)} ${CDP_SYMBOL}`
+                )} + liquidation ${fmt.number(r.repaidByLiq, 2)} ${r.debtSymbol}`
             )
             .join("\n")
         : "";
@@ -427,11 +493,6 @@ module.exports = {
       if (feeLines) {
         embed.addFields({ name: "Loan Op Fees (Total)", value: feeLines, inline: false });
         embed.addFields({ name: "Fee Breakdown (Totals)", value: feeBreakdown || "n/a", inline: false });
-        embed.addFields({
-          name: "Estimated Loan Interest Cost",
-          value: interestApplied || "n/a",
-          inline: false,
-        });
         embed.addFields({ name: "Loan Debt Reduction Breakdown", value: breakdown, inline: false });
       } else if (rowsOut.length === 0) {
         embed.addFields({
@@ -440,6 +501,24 @@ module.exports = {
           inline: false,
         });
       }
+      if (interestAccrued) {
+        embed.addFields({ name: "Loan Interest Accrued", value: interestAccrued.slice(0, 1024), inline: false });
+      }
+      if (batchManagers.length) {
+        embed.addFields({ name: "Batch Managers", value: batchManagers.join("\n").slice(0, 1024), inline: false });
+      }
+
+      if (allRows.length) {
+        embed.addFields(
+          valueTotalsField(allRows, fmt, [
+            ["bought_amount", "Borrowed"],
+            ["sold_amount", "Repaid"],
+            ["upfront_fee_cdp", "Upfront fees"],
+            ["interest_accrued_cdp", "Interest accrued"],
+            ["batch_fee_accrued_cdp", "Batch fees accrued"],
+          ])
+        );
+      }
 
       embed
         .addFields({
@@ -451,7 +530,7 @@ module.exports = {
 
       await interaction.editReply({
         embeds: [embed],
-        files: rowsOut.length ? [attachment] : [],
+        files: rowsOut.length || accrualRows.length ? [attachment] : [],
       });
     } finally {
       db.close();
@@ -0,0 +1,265 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } = require("discord.js");
+const { ethers } = require("ethers");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { toCsv } = require("../utils/csv");
+const { loadLoanTokenMeta } = require("../utils/tokenMeta");
+const { loadWalletTroves } = require("../utils/trackedTroves");
+const { batchUpdatesLoader } = require("../utils/batches");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
+
+const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
+const MAX_FIELDS = 20;
+
+function formatAmount(value, decimals) {
+  if (value == null) return "";
+  return ethers.formatUnits(value, decimals);
+}
+
+function formatPct(value) {
+  if (value == null) return "";
+  const n = Number(ethers.formatUnits(value, 18)) * 100;
+  if (!Number.isFinite(n)) return "";
+  return n.toFixed(4);
+}
+
+function parseSqliteTimestamp(ts) {
+  if (!ts) return null;
+  const raw = String(ts);
+  const iso = raw.includes("T") ? raw : raw.replace(" ", "T");
+  const ms = Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+  if (!Number.isFinite(ms)) return null;
+  return Math.floor(ms / 1000);
+}
+
+function shortAddr(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
+}
+
+function shortId(troveId) {
+  const s = String(troveId);
+  return s.length > 10 ? `…${s.slice(-8)}` : s;
+}
+
+function queueEntryId(trove) {
+  return trove.batch_manager ? `batch:${trove.batch_manager.toLowerCase()}` : trove.token_id;
+}
+
+/**
+ * SortedTroves entries of one branch, lowest rate first: the order redemptions
+ * hit them. A batch is one entry at its current rate holding its members'
+ * debt; zombie troves are not in the list.
+ */
+function loadBranchQueue(db, contractKey) {
+  const loadBatch = batchUpdatesLoader(db);
+  const entries = new Map();
+  const rows = db
+    .prepare(
+      `
+      SELECT token_id, debt, annual_interest_rate, batch_manager
+      FROM tracked_troves
+      WHERE contract_key = ? AND status = 'open' AND debt IS NOT NULL AND annual_interest_rate IS NOT NULL
+    `
+    )
+    .all(contractKey);
+  for (const r of rows) {
+    const debt = BigInt(r.debt);
+    if (debt === 0n) continue;
+    const id = queueEntryId(r);
+    if (!entries.has(id)) {
+      const batch = r.batch_manager ? loadBatch(contractKey, r.batch_manager).at(-1) : null;
+      entries.set(id, { id, debt: 0n, rate: batch?.rate ?? BigInt(r.annual_interest_rate) });
+    }
+    entries.get(id).debt += debt;
+  }
+  return Array.from(entries.values()).sort((a, b) => (a.rate < b.rate ? -1 : a.rate > b.rate ? 1 : 0));
+}
+
+/**
+ * Where one queue entry (a trove, or the batch it is in) sits in its branch's
+ * queue. Entries at the same rate may be redeemed before or after it, so their
+ * debt is reported separately.
+ */
+function rankInQueue(queue, entryId, rate) {
+  let ahead = 0;
+  let debtAhead = 0n;
+  let debtSameRate = 0n;
+  let branchDebt = 0n;
+  for (const t of queue) {
+    branchDebt += t.debt;
+    if (t.rate < rate) {
+      ahead += 1;
+      debtAhead += t.debt;
+    } else if (t.rate === rate && t.id !== entryId) {
+      debtSameRate += t.debt;
+    }
+  }
+  return { rank: ahead + 1, total: queue.length, ahead, debtAhead, debtSameRate, branchDebt };
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("my-redemption-risk")
+    .setDescription("Rank your troves in the redemption queue by interest rate (CSV)."),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
+      const wallets = getUserWallets(db, interaction.user.id);
+      const ok = await requireWalletsOrReply(interaction, wallets);
+      if (!ok) return;
+
+      const tokenMeta = loadLoanTokenMeta(db);
+      const troves = loadWalletTroves(db, wallets, ["open"]).filter(
+        (t) => t.debt != null && t.annual_interest_rate != null && BigInt(t.debt) > 0n
+      );
+      if (!troves.length) {
+        const embed = new EmbedBuilder()
+          .setTitle("Datum — My Redemption Risk")
+          .setDescription("No open troves with debt currently held by your wallets in Datum DB.");
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const queues = new Map();
+      const rowsOut = [];
+      const fields = [];
+      for (const t of troves) {
+        if (!queues.has(t.contract_key)) queues.set(t.contract_key, loadBranchQueue(db, t.contract_key));
+        const collMeta = tokenMeta(t.contract_key);
+        const queue = queues.get(t.contract_key);
+        const entry = queue.find((e) => e.id === queueEntryId(t));
+        const rate = entry?.rate ?? BigInt(t.annual_interest_rate);
+        const debt = BigInt(t.debt);
+        const r = rankInQueue(queue, entry?.id, rate);
+        const aheadPct = r.branchDebt > 0n ? (Number(r.debtAhead) / Number(r.branchDebt)) * 100 : 0;
+
+        rowsOut.push({
+          chain: t.chain_id,
+          contract_key: t.contract_key,
+          trove_id: t.token_id,
+          owner: ethers.getAddress(t.owner),
+          ir_pct: formatPct(rate),
+          debt_now_cdp: formatAmount(debt, collMeta.debtDecimals),
+          debt_symbol: collMeta.debtSymbol,
+          rank: r.rank,
+          troves_total: r.total,
+          troves_ahead: r.ahead,
+          debt_ahead_cdp: formatAmount(r.debtAhead, collMeta.debtDecimals),
+          debt_same_rate_cdp: formatAmount(r.debtSameRate, collMeta.debtDecimals),
+          branch_debt_cdp: formatAmount(r.branchDebt, collMeta.debtDecimals),
+          debt_ahead_pct: aheadPct.toFixed(4),
+        });
+
+        const toNum = (v) => Number(ethers.formatUnits(v, collMeta.debtDecimals));
+        const lines = [
+          `Rate: ${fmt.number(Number(ethers.formatUnits(rate, 18)) * 100, 2)}% · Debt: ${fmt.number(toNum(debt), 2)} ${collMeta.debtSymbol}`,
+          t.batch_manager
+            ? `Rank: ${r.rank} of ${r.total} (lowest rate first; batch ${shortAddr(t.batch_manager)} as one entry)`
+            : `Rank: ${r.rank} of ${r.total} (lowest rate first)`,
+          `Debt in front: ${fmt.number(toNum(r.debtAhead), 2)} ${collMeta.debtSymbol} (${fmt.number(aheadPct, 2)}% of branch)`,
+        ];
+        if (r.debtSameRate > 0n) {
+          lines.push(`Same rate: ${fmt.number(toNum(r.debtSameRate), 2)} ${collMeta.debtSymbol} (order among them unknown)`);
+        }
+        fields.push({
+          name: `${t.chain_id} · ${collMeta.symbol} · ${shortId(t.token_id)}`,
+          value: lines.join("\n").slice(0, 1024),
+          inline: false,
+        });
+      }
+
+      const nowTs = Math.floor(Date.now() / 1000);
+      const valueHeaders = addValueColumns(
+        rowsOut,
+        [
+          ["debt_now_cdp", "debt_symbol"],
+          ["debt_ahead_cdp", "debt_symbol"],
+        ],
+        loadPriceLookup(db, fmt.currency),
+        fmt.currency,
+        () => nowTs
+      );
+
+      const headers = [
+        "chain",
+        "contract_key",
+        "trove_id",
+        "owner",
+        "ir_pct",
+        "debt_now_cdp",
+        "debt_symbol",
+        "rank",
+        "troves_total",
+        "troves_ahead",
+        "debt_ahead_cdp",
+        "debt_same_rate_cdp",
+        "branch_debt_cdp",
+        "debt_ahead_pct",
+        ...valueHeaders,
+      ];
+
+      const csv = toCsv(
+        headers,
+        rowsOut.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
+      );
+
+      const filename = `redemption_risk_${interaction.user.id}_${Date.now()}.csv`;
+      const attachment = new AttachmentBuilder(Buffer.from(csv, "utf8"), {
+        name: filename,
+      });
+
+      const scanRow = db.prepare("SELECT MAX(updated_at) AS updated_at FROM scan_cursors").get();
+      const dataCapturedTs = parseSqliteTimestamp(scanRow?.updated_at);
+      const isStale =
+        DATA_STALE_MINUTES > 0 && dataCapturedTs != null
+          ? nowTs - dataCapturedTs > DATA_STALE_MINUTES * 60
+          : false;
+      const staleSuffix = isStale ? " ⚠️ Data may be stale." : "";
+
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — My Redemption Risk")
+        .setThumbnail(interaction.client.user.displayAvatarURL())
+        .setDescription(
+          "Redemptions hit the lowest-rate troves of a branch first. Ranking uses every indexed open trove, " +
+            "with debt as of its last update (interest accrued since is not included). A batch is one entry at its " +
+            "current rate, and zombie troves (redeemed below the minimum debt) are not in the queue."
+        )
+        .addFields(...fields.slice(0, MAX_FIELDS));
+
+      if (fields.length > MAX_FIELDS) {
+        embed.addFields({
+          name: "Note",
+          value: `${fields.length - MAX_FIELDS} more troves in the CSV.`,
+          inline: false,
+        });
+      }
+
+      embed
+        .addFields(valueTotalsField(rowsOut, fmt, [["debt_now_cdp", "Debt at risk"]]))
+        .addFields({
+          name: "Data Captured",
+          value: dataCapturedTs ? `<t:${dataCapturedTs}:f>${staleSuffix}` : "unknown",
+          inline: false,
+        })
+        .setTimestamp(new Date(nowTs * 1000));
+
+      await interaction.editReply({
+        embeds: [embed],
+        files: [attachment],
+      });
+    } finally {
+      db.close();
+    }
+  },
+};
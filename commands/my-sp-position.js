@@ -0,0 +1,225 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } = require("discord.js");
+const { ethers } = require("ethers");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { toCsv } = require("../utils/csv");
+const { loadPoolTokenMeta } = require("../utils/tokenMeta");
+const { readSpPosition } = require("../utils/spPositions");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
+
+const MAX_FIELDS = 20;
+
+// Amount columns valued in the report currency at the price when read, with their symbol columns.
+const VALUE_COLUMNS = [
+  ["deposit_now_cdp", "debt_symbol"],
+  ["coll_gain_pending", "coll_symbol"],
+  ["last_stashed_coll", "coll_symbol"],
+  ["unrealized_loss_cdp", "debt_symbol"],
+];
+
+function formatAmount(value, decimals) {
+  if (value == null) return "";
+  return ethers.formatUnits(value, decimals);
+}
+
+function shortAddr(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
+}
+
+// Last DepositUpdated of one depositor in one pool: the deposit as of their last operation.
+function loadLastDeposit(db, poolKey, depositor) {
+  return (
+    db
+      .prepare(
+        `
+        SELECT block_number, block_timestamp, new_deposit, stashed_coll
+        FROM sp_deposit_updates
+        WHERE pool_key = ? AND lower(depositor) = lower(?)
+        ORDER BY block_number DESC, log_index DESC
+        LIMIT 1
+      `
+      )
+      .get(poolKey, depositor) || null
+  );
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("my-sp-position")
+    .setDescription("Read your live stability pool deposits and pending gains (CSV)."),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
+      const wallets = getUserWallets(db, interaction.user.id);
+      const ok = await requireWalletsOrReply(interaction, wallets);
+      if (!ok) return;
+
+      const poolMeta = loadPoolTokenMeta(db);
+      const pools = db
+        .prepare("SELECT pool_key, chain_id, address_eip55 FROM stability_pools ORDER BY chain_id, pool_key")
+        .all();
+
+      const rowsOut = [];
+      const fields = [];
+      let oldestRead = null;
+      // Read every wallet × pool at once: each read may wait out the RPC timeout.
+      const targets = wallets.flatMap((w) => {
+        const depositor = ethers.getAddress(w.address_eip55);
+        return pools.filter((p) => p.chain_id === w.chain_id).map((pool) => ({ pool, depositor }));
+      });
+      const reads = await Promise.all(
+        targets.map(({ pool, depositor }) =>
+          readSpPosition(pool, depositor).then(
+            (live) => ({ live, readError: null }),
+            (err) => {
+              log.warn(`[my-sp-position] ${pool.pool_key} read failed for ${depositor}: ${err.message || err}`);
+              return { live: null, readError: err.message || String(err) };
+            }
+          )
+        )
+      );
+
+      for (const [i, { pool, depositor }] of targets.entries()) {
+        const meta = poolMeta(pool.pool_key);
+        const last = loadLastDeposit(db, pool.pool_key, depositor);
+        const { live, readError } = reads[i];
+
+        const lastDeposit = last ? BigInt(last.new_deposit) : null;
+        const stashed = last ? BigInt(last.stashed_coll) : 0n;
+        if (!live && !lastDeposit) continue;
+        if (live && live.deposit === 0n && live.collGain === 0n && !lastDeposit && stashed === 0n) continue;
+
+        const loss = live && lastDeposit != null && lastDeposit > live.deposit ? lastDeposit - live.deposit : 0n;
+        if (live) oldestRead = oldestRead == null ? live.readAt : Math.min(oldestRead, live.readAt);
+
+        rowsOut.push({
+          chain: pool.chain_id,
+          pool_key: pool.pool_key,
+          wallet: depositor,
+          status: live ? "ok" : "rpc_error",
+          deposit_now_cdp: live ? formatAmount(live.deposit, meta.debtDecimals) : "",
+          debt_symbol: meta.debtSymbol,
+          coll_gain_pending: live ? formatAmount(live.collGain, meta.decimals) : "",
+          coll_symbol: meta.symbol,
+          last_deposit_cdp: formatAmount(lastDeposit, meta.debtDecimals),
+          last_stashed_coll: last ? formatAmount(stashed, meta.decimals) : "",
+          last_update_block: last?.block_number ?? "",
+          last_update_datetime_utc: last?.block_timestamp ? new Date(last.block_timestamp * 1000).toISOString() : "",
+          unrealized_loss_cdp: live && lastDeposit != null ? formatAmount(loss, meta.debtDecimals) : "",
+          read_at_utc: live ? new Date(live.readAt * 1000).toISOString() : "",
+        });
+
+        const toNum = (v, d) => Number(ethers.formatUnits(v, d));
+        const lastLine = last
+          ? `Last recorded: ${fmt.number(toNum(lastDeposit, meta.debtDecimals), 2)} ${meta.debtSymbol}` +
+            (last.block_timestamp ? ` <t:${last.block_timestamp}:d>` : "")
+          : "Last recorded: none indexed";
+        const lines = live
+          ? [
+              `Deposit now: ${fmt.number(toNum(live.deposit, meta.debtDecimals), 2)} ${meta.debtSymbol}`,
+              lastLine,
+              `Since last op: -${fmt.number(toNum(loss, meta.debtDecimals), 2)} ${meta.debtSymbol} · ` +
+                `+${fmt.number(toNum(live.collGain, meta.decimals), 4)} ${meta.symbol}`,
+            ]
+          : [`Live read failed: ${readError}`.slice(0, 200), lastLine];
+        if (stashed > 0n) lines.push(`Stashed: ${fmt.number(toNum(stashed, meta.decimals), 4)} ${meta.symbol}`);
+        fields.push({
+          name: `${pool.chain_id} · ${meta.symbol} pool · ${shortAddr(depositor)}`,
+          value: lines.join("\n").slice(0, 1024),
+          inline: false,
+        });
+      }
+
+      if (!rowsOut.length) {
+        const embed = new EmbedBuilder()
+          .setTitle("Datum — My SP Position")
+          .setDescription("No stability pool deposits found for your wallets.");
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const nowTs = Math.floor(Date.now() / 1000);
+      const priceAt = loadPriceLookup(db, fmt.currency);
+      const valueHeaders = addValueColumns(rowsOut, VALUE_COLUMNS, priceAt, fmt.currency, (r) =>
+        r.read_at_utc ? Date.parse(r.read_at_utc) / 1000 : nowTs
+      );
+
+      const headers = [
+        "chain",
+        "pool_key",
+        "wallet",
+        "status",
+        "deposit_now_cdp",
+        "debt_symbol",
+        "coll_gain_pending",
+        "coll_symbol",
+        "last_deposit_cdp",
+        "last_stashed_coll",
+        "last_update_block",
+        "last_update_datetime_utc",
+        "unrealized_loss_cdp",
+        "read_at_utc",
+        ...valueHeaders,
+      ];
+
+      const csv = toCsv(
+        headers,
+        rowsOut.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
+      );
+
+      const filename = `sp_position_${interaction.user.id}_${Date.now()}.csv`;
+      const attachment = new AttachmentBuilder(Buffer.from(csv, "utf8"), {
+        name: filename,
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — My SP Position")
+        .setThumbnail(interaction.client.user.displayAvatarURL())
+        .setDescription(
+          "Live compounded deposit and pending collateral gain per pool, next to the deposit recorded at your " +
+            "last operation. The loss and gain since then are realized at your next deposit, withdrawal or claim."
+        )
+        .addFields(...fields.slice(0, MAX_FIELDS));
+
+      if (fields.length > MAX_FIELDS) {
+        embed.addFields({
+          name: "Note",
+          value: `${fields.length - MAX_FIELDS} more positions in the CSV.`,
+          inline: false,
+        });
+      }
+
+      embed
+        .addFields(
+          valueTotalsField(rowsOut, fmt, [
+            ["deposit_now_cdp", "Deposits"],
+            ["coll_gain_pending", "Pending coll gains"],
+          ])
+        )
+        .addFields({
+          name: "Read At",
+          value: oldestRead ? `<t:${oldestRead}:T>` : "unavailable",
+          inline: false,
+        })
+        .setTimestamp(new Date(nowTs * 1000));
+
+      await interaction.editReply({
+        embeds: [embed],
+        files: [attachment],
+      });
+    } finally {
+      db.close();
+    }
+  },
+};
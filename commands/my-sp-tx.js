@@ -2,13 +2,26 @@ const { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } = r
 const { ethers } = require("ethers");
 const log = require("../utils/logger");
 const { openDatumDb } = require("../utils/db");
-const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { getUserWallets, walletChainFilter, requireWalletsOrReply } = require("../utils/sentinel");
 const { toCsv } = require("../utils/csv");
+const { loadPoolTokenMeta } = require("../utils/tokenMeta");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
 
-const CDP_SYMBOL = "CDP";
-const CDP_DECIMALS = 18;
 const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
 
+// Amount columns valued in the report currency, with the column holding each one's symbol.
+const VALUE_COLUMNS = [
+  ["sold_amount", "sold_symbol"],
+  ["bought_amount", "bought_symbol"],
+  ["debt_delta_cdp", "debt_symbol"],
+  ["coll_delta", "coll_symbol"],
+  ["cdp_topup_withdrawal", "debt_symbol"],
+  ["cdp_yield_gain_since", "debt_symbol"],
+  ["cdp_yield_gain_claimed", "debt_symbol"],
+  ["coll_gain_claimed", "coll_symbol"],
+];
+
 function formatAmount(value, decimals) {
   if (value == null) return "";
   return ethers.formatUnits(value, decimals);
@@ -22,14 +35,6 @@ function formatSigned(value, decimals) {
   return neg ? `-${s}` : s;
 }
 
-function formatNumber(value, decimals) {
-  if (value == null || !Number.isFinite(value)) return "";
-  return new Intl.NumberFormat("en-US", {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  }).format(value);
-}
-
 function buildPeriod(period) {
   const now = new Date();
   const year = now.getUTCFullYear();
@@ -92,30 +97,28 @@ module.exports = {
     const db = openDatumDb();
     try {
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
       const period = interaction.options.getString("period", true);
       const range = buildPeriod(period);
       const wallets = getUserWallets(db, interaction.user.id);
       const ok = await requireWalletsOrReply(interaction, wallets);
       if (!ok) return;
 
-      const walletLower = wallets.map((w) => w.address_eip55.toLowerCase());
-      const placeholders = walletLower.map(() => "?").join(",");
-
+      const poolMeta = loadPoolTokenMeta(db);
+      const spFilter = walletChainFilter(wallets, ["lower(s.depositor)"], "s.chain_id");
       const rows = db
         .prepare(
           `
-          SELECT s.pool_key, s.depositor, s.block_number, s.block_timestamp, s.tx_hash, s.log_index,
+          SELECT s.chain_id, s.pool_key, s.depositor, s.block_number, s.block_timestamp, s.tx_hash, s.log_index,
                  s.operation, s.deposit_loss, s.topup_or_withdrawal,
                  s.yield_gain_since, s.yield_gain_claimed,
-                 s.coll_gain_since, s.coll_gain_claimed,
-                 p.coll_symbol, p.coll_decimals
+                 s.coll_gain_since, s.coll_gain_claimed
           FROM sp_deposit_ops s
-          LEFT JOIN stability_pools p ON p.pool_key = s.pool_key
-          WHERE lower(s.depositor) IN (${placeholders})
+          WHERE ${spFilter.sql}
           ORDER BY s.block_number DESC, s.log_index DESC
         `
         )
-        .all(...walletLower);
+        .all(...spFilter.params);
 
       const rowsOut = [];
       const summaryByPool = new Map();
@@ -127,8 +130,7 @@ module.exports = {
         if (range.start != null && (blockTs == null || blockTs * 1000 < range.start)) continue;
         if (range.end != null && (blockTs == null || blockTs * 1000 > range.end)) continue;
 
-        const collDecimals = Number.isFinite(r.coll_decimals) ? r.coll_decimals : 18;
-        const collSymbol = r.coll_symbol || "COLL";
+        const { symbol: collSymbol, decimals: collDecimals, debtSymbol, debtDecimals } = poolMeta(r.pool_key);
 
         const depositLoss = BigInt(r.deposit_loss);
         const collGain = BigInt(r.coll_gain_since);
@@ -138,7 +140,7 @@ module.exports = {
           maxTs = maxTs == null ? blockTs : Math.max(maxTs, blockTs);
         }
 
-        const cdpReduced = Number(ethers.formatUnits(depositLoss, CDP_DECIMALS));
+        const cdpReduced = Number(ethers.formatUnits(depositLoss, debtDecimals));
         const collReceived = Number(ethers.formatUnits(collGain, collDecimals));
 
         const key = r.pool_key;
@@ -146,6 +148,7 @@ module.exports = {
           summaryByPool.set(key, {
             poolKey: key,
             collSymbol,
+            debtSymbol,
             count: 0,
             cdpTotal: 0,
             collTotal: 0,
@@ -161,36 +164,43 @@ module.exports = {
         rowsOut.push({
           tx_type: "SP",
           datetime_utc: blockTs ? new Date(blockTs * 1000).toISOString() : "",
+          chain: r.chain_id,
           tx_hash: r.tx_hash,
           block_number: r.block_number,
           contract_key: r.pool_key,
           trove_or_pool_id: r.pool_key,
           wallet: r.depositor,
-          sold_amount: formatAmount(depositLoss, CDP_DECIMALS),
-          sold_symbol: CDP_SYMBOL,
+          sold_amount: formatAmount(depositLoss, debtDecimals),
+          sold_symbol: debtSymbol,
           bought_amount: formatAmount(collGain, collDecimals),
           bought_symbol: collSymbol,
-          debt_delta_cdp: formatSigned(-depositLoss, CDP_DECIMALS),
+          debt_delta_cdp: formatSigned(-depositLoss, debtDecimals),
           coll_delta: formatSigned(collGain, collDecimals),
           coll_symbol: collSymbol,
+          debt_symbol: debtSymbol,
           operation_code: r.operation,
           operation_label: getOpLabel(r.operation),
-          cdp_loss: formatAmount(depositLoss, CDP_DECIMALS),
-          cdp_topup_withdrawal: formatSigned(BigInt(r.topup_or_withdrawal), CDP_DECIMALS),
-          cdp_yield_gain_since: formatAmount(BigInt(r.yield_gain_since), CDP_DECIMALS),
-          cdp_yield_gain_claimed: formatAmount(BigInt(r.yield_gain_claimed), CDP_DECIMALS),
+          cdp_loss: formatAmount(depositLoss, debtDecimals),
+          cdp_topup_withdrawal: formatSigned(BigInt(r.topup_or_withdrawal), debtDecimals),
+          cdp_yield_gain_since: formatAmount(BigInt(r.yield_gain_since), debtDecimals),
+          cdp_yield_gain_claimed: formatAmount(BigInt(r.yield_gain_claimed), debtDecimals),
           coll_gain_since: formatAmount(BigInt(r.coll_gain_since), collDecimals),
           coll_gain_claimed: formatAmount(BigInt(r.coll_gain_claimed), collDecimals),
-          trade_cdp_spent: formatAmount(depositLoss, CDP_DECIMALS),
+          trade_cdp_spent: formatAmount(depositLoss, debtDecimals),
           trade_coll_received: formatAmount(collGain, collDecimals),
         });
       }
 
       rowsOut.sort((a, b) => b.block_number - a.block_number);
+      const priceAt = loadPriceLookup(db, fmt.currency);
+      const valueHeaders = addValueColumns(rowsOut, VALUE_COLUMNS, priceAt, fmt.currency, (r) =>
+        r.datetime_utc ? Date.parse(r.datetime_utc) / 1000 : null
+      );
 
       const headers = [
         "tx_type",
         "datetime_utc",
+        "chain",
         "tx_hash",
         "block_number",
         "contract_key",
@@ -213,11 +223,13 @@ module.exports = {
         "coll_gain_claimed",
         "trade_cdp_spent",
         "trade_coll_received",
+        ...valueHeaders,
       ];
 
       const csv = toCsv(
         headers,
-        rowsOut.map((r) => headers.map((h) => r[h]))
+        rowsOut.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
       );
 
       const filename = `sp_tx_${interaction.user.id}_${Date.now()}.csv`;
@@ -237,14 +249,14 @@ module.exports = {
       const rangeLabel =
         range.start == null
           ? "ALL"
-          : `${new Date(range.start).toISOString().slice(0, 10)} → ${new Date(range.end).toISOString().slice(0, 10)}`;
+          : `${fmt.date(range.start)} → ${fmt.date(range.end)}`;
 
       const summaryRows = Array.from(summaryByPool.values())
         .filter((s) => s.count > 0)
         .map((s) => {
         const left = `${s.collSymbol} (${s.count})`;
-        const mid = `${formatNumber(s.cdpTotal, 2)} ${CDP_SYMBOL}`;
-        const right = `${formatNumber(s.collTotal, 4)} ${s.collSymbol}`;
+        const mid = `${fmt.number(s.cdpTotal, 2)} ${s.debtSymbol}`;
+        const right = `${fmt.number(s.collTotal, 4)} ${s.collSymbol}`;
         return [left, mid, right];
       });
 
@@ -266,6 +278,16 @@ module.exports = {
           { name: "Total Coll Received", value: col3, inline: true }
         );
 
+      if (!noTx) {
+        embed.addFields(
+          valueTotalsField(rowsOut, fmt, [
+            ["sold_amount", "CDP reduced"],
+            ["bought_amount", "Coll received"],
+            ["cdp_yield_gain_since", "Yield earned"],
+          ])
+        );
+      }
+
       if (hasTxNoExchanges) {
         embed.addFields({
           name: "Note",
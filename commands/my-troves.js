@@ -0,0 +1,288 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } = require("discord.js");
+const { ethers } = require("ethers");
+const log = require("../utils/logger");
+const { openDatumDb } = require("../utils/db");
+const { getUserWallets, requireWalletsOrReply } = require("../utils/sentinel");
+const { toCsv } = require("../utils/csv");
+const { loadLoanTokenMeta } = require("../utils/tokenMeta");
+const { loadWalletTroves } = require("../utils/trackedTroves");
+const { loadPriceLookup, addValueColumns, valueTotalsField } = require("../utils/prices");
+const { getReportPrefs, createReportFormat } = require("../utils/reportPrefs");
+
+const DATA_STALE_MINUTES = Number(process.env.DATUM_DATA_STALE_MINUTES || "0");
+const MAX_FIELDS = 20;
+
+// Current amounts valued in the report currency at the latest price, with their symbol columns.
+const VALUE_COLUMNS = [
+  ["coll_now", "coll_symbol"],
+  ["debt_now_cdp", "debt_symbol"],
+];
+
+const STATUS_LABELS = {
+  open: "Open",
+  redeemed_to_zero: "Redeemed to zero",
+  zombie: "Zombie (below minimum debt)",
+  closed: "Closed",
+  liquidated: "Liquidated",
+};
+
+function getTroveOpLabel(code) {
+  const n = Number(code);
+  return (
+    {
+      0: "openTrove",
+      1: "closeTrove",
+      2: "adjustTrove",
+      3: "adjustTroveInterestRate",
+      4: "applyPendingDebt",
+      5: "liquidate",
+      6: "redeemCollateral",
+      7: "openTroveAndJoinBatch",
+      8: "setInterestBatchManager",
+      9: "removeFromBatch",
+    }[n] || String(code)
+  );
+}
+
+function parseSigned(value) {
+  if (value == null) return null;
+  try {
+    return BigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+function formatAmount(value, decimals) {
+  if (value == null) return "";
+  return ethers.formatUnits(value, decimals);
+}
+
+function formatPct(value) {
+  if (value == null) return "";
+  const n = Number(ethers.formatUnits(value, 18)) * 100;
+  if (!Number.isFinite(n)) return "";
+  return n.toFixed(4);
+}
+
+function parseJsonSafe(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function parseSqliteTimestamp(ts) {
+  if (!ts) return null;
+  const raw = String(ts);
+  const iso = raw.includes("T") ? raw : raw.replace(" ", "T");
+  const ms = Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+  if (!Number.isFinite(ms)) return null;
+  return Math.floor(ms / 1000);
+}
+
+function shortId(troveId) {
+  const s = String(troveId);
+  return s.length > 10 ? `…${s.slice(-8)}` : s;
+}
+
+// Last operation and lifetime fee / redemption totals of one trove.
+function summarizeOps(rows) {
+  const out = { lastOp: null, feeTotal: 0n, redemptionCount: 0, redeemedDebt: 0n, redeemedColl: 0n };
+  for (const row of rows) {
+    const op = parseJsonSafe(row.data_json);
+    const opCode = Number(op?._operation);
+    if (!Number.isInteger(opCode)) continue;
+    out.lastOp = { code: opCode, blockNumber: row.block_number, blockTimestamp: row.block_timestamp };
+    out.feeTotal += parseSigned(op?._debtIncreaseFromUpfrontFee) || 0n;
+    if (opCode === 6) {
+      const debtDelta = parseSigned(op?._debtChangeFromOperation) || 0n;
+      const collDelta = parseSigned(op?._collChangeFromOperation) || 0n;
+      out.redemptionCount += 1;
+      out.redeemedDebt += debtDelta < 0n ? -debtDelta : 0n;
+      out.redeemedColl += collDelta < 0n ? -collDelta : 0n;
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("my-troves")
+    .setDescription("Show where your troves stand now (CSV)."),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async execute(interaction) {
+    log.debug(`Executing /${interaction.commandName} for ${interaction.user?.tag}`);
+
+    const db = openDatumDb();
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const fmt = createReportFormat(getReportPrefs(db, interaction.user.id));
+      const wallets = getUserWallets(db, interaction.user.id);
+      const ok = await requireWalletsOrReply(interaction, wallets);
+      if (!ok) return;
+
+      const tokenMeta = loadLoanTokenMeta(db);
+      const troves = loadWalletTroves(db, wallets);
+      if (!troves.length) {
+        const embed = new EmbedBuilder()
+          .setTitle("Datum — My Troves")
+          .setDescription("No troves currently held by your wallets in Datum DB.");
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const opsOf = db.prepare(`
+        SELECT block_number, block_timestamp, data_json
+        FROM trove_events
+        WHERE contract_key = ? AND trove_id = ? AND event_name = 'TroveOperation'
+        ORDER BY block_number ASC, log_index ASC
+      `);
+
+      const rowsOut = [];
+      const fields = [];
+      for (const t of troves) {
+        const collMeta = tokenMeta(t.contract_key);
+        const ops = summarizeOps(opsOf.all(t.contract_key, t.token_id));
+        const debt = t.debt != null ? BigInt(t.debt) : null;
+        const coll = t.coll != null ? BigInt(t.coll) : null;
+        const rate = t.annual_interest_rate != null ? BigInt(t.annual_interest_rate) : null;
+        const lastOpTs = ops.lastOp?.blockTimestamp ?? null;
+
+        rowsOut.push({
+          chain: t.chain_id,
+          contract_key: t.contract_key,
+          trove_id: t.token_id,
+          owner: ethers.getAddress(t.owner),
+          status: t.status,
+          coll_now: formatAmount(coll, collMeta.decimals),
+          coll_symbol: collMeta.symbol,
+          debt_now_cdp: formatAmount(debt, collMeta.debtDecimals),
+          debt_symbol: collMeta.debtSymbol,
+          ir_pct: formatPct(rate),
+          batch_manager: t.batch_manager || "",
+          last_update_block: t.last_update_block ?? "",
+          last_op_code: ops.lastOp ? String(ops.lastOp.code) : "",
+          last_op_label: ops.lastOp ? getTroveOpLabel(ops.lastOp.code) : "",
+          last_op_block: ops.lastOp?.blockNumber ?? "",
+          last_op_datetime_utc: lastOpTs ? new Date(lastOpTs * 1000).toISOString() : "",
+          opened_block: t.opened_block ?? "",
+          upfront_fees_total_cdp: formatAmount(ops.feeTotal, collMeta.debtDecimals),
+          redemption_count: ops.redemptionCount,
+          redeemed_debt_total_cdp: formatAmount(ops.redeemedDebt, collMeta.debtDecimals),
+          redeemed_coll_total: formatAmount(ops.redeemedColl, collMeta.decimals),
+        });
+
+        const toNum = (v, d) => (v != null ? Number(ethers.formatUnits(v, d)) : null);
+        const lines = [
+          `Coll: ${coll != null ? `${fmt.number(toNum(coll, collMeta.decimals), 4)} ${collMeta.symbol}` : "n/a"}`,
+          `Debt: ${debt != null ? `${fmt.number(toNum(debt, collMeta.debtDecimals), 2)} ${collMeta.debtSymbol}` : "n/a"}` +
+            (rate != null ? ` @ ${fmt.number(toNum(rate, 18) * 100, 2)}%` : "") +
+            (t.batch_manager ? ` · batch ${t.batch_manager.slice(0, 6)}…${t.batch_manager.slice(-4)}` : ""),
+          `Status: ${STATUS_LABELS[t.status] || t.status}` +
+            (ops.lastOp
+              ? ` · last ${getTroveOpLabel(ops.lastOp.code)}${lastOpTs ? ` <t:${lastOpTs}:d>` : ""}`
+              : ""),
+          `Fees: ${fmt.number(toNum(ops.feeTotal, collMeta.debtDecimals), 2)} ${collMeta.debtSymbol}` +
+            ` · Redeemed: ${ops.redemptionCount}× ` +
+            `(${fmt.number(toNum(ops.redeemedDebt, collMeta.debtDecimals), 2)} ${collMeta.debtSymbol})`,
+        ];
+        fields.push({
+          name: `${t.chain_id} · ${collMeta.symbol} · ${shortId(t.token_id)}`,
+          value: lines.join("\n").slice(0, 1024),
+          inline: false,
+        });
+      }
+
+      const nowTs = Math.floor(Date.now() / 1000);
+      const priceAt = loadPriceLookup(db, fmt.currency);
+      const valueHeaders = addValueColumns(rowsOut, VALUE_COLUMNS, priceAt, fmt.currency, () => nowTs);
+
+      const headers = [
+        "chain",
+        "contract_key",
+        "trove_id",
+        "owner",
+        "status",
+        "coll_now",
+        "coll_symbol",
+        "debt_now_cdp",
+        "debt_symbol",
+        "ir_pct",
+        "batch_manager",
+        "last_update_block",
+        "last_op_code",
+        "last_op_label",
+        "last_op_block",
+        "last_op_datetime_utc",
+        "opened_block",
+        "upfront_fees_total_cdp",
+        "redemption_count",
+        "redeemed_debt_total_cdp",
+        "redeemed_coll_total",
+        ...valueHeaders,
+      ];
+
+      const csv = toCsv(
+        headers,
+        rowsOut.map((r) => headers.map((h) => r[h])),
+        { locale: fmt.locale }
+      );
+
+      const filename = `troves_${interaction.user.id}_${Date.now()}.csv`;
+      const attachment = new AttachmentBuilder(Buffer.from(csv, "utf8"), {
+        name: filename,
+      });
+
+      const scanRow = db.prepare("SELECT MAX(updated_at) AS updated_at FROM scan_cursors").get();
+      const dataCapturedTs = parseSqliteTimestamp(scanRow?.updated_at);
+      const isStale =
+        DATA_STALE_MINUTES > 0 && dataCapturedTs != null
+          ? nowTs - dataCapturedTs > DATA_STALE_MINUTES * 60
+          : false;
+      const staleSuffix = isStale ? " ⚠️ Data may be stale." : "";
+
+      const embed = new EmbedBuilder()
+        .setTitle("Datum — My Troves")
+        .setThumbnail(interaction.client.user.displayAvatarURL())
+        .setDescription(
+          `Troves held: ${troves.length}. Debt and collateral are as of each trove's last update; ` +
+            "interest accrued since is not included."
+        )
+        .addFields(...fields.slice(0, MAX_FIELDS));
+
+      if (fields.length > MAX_FIELDS) {
+        embed.addFields({
+          name: "Note",
+          value: `${fields.length - MAX_FIELDS} more troves in the CSV.`,
+          inline: false,
+        });
+      }
+
+      embed
+        .addFields(
+          valueTotalsField(rowsOut, fmt, [
+            ["coll_now", "Collateral"],
+            ["debt_now_cdp", "Debt"],
+          ])
+        )
+        .addFields({
+          name: "Data Captured",
+          value: dataCapturedTs ? `<t:${dataCapturedTs}:f>${staleSuffix}` : "unknown",
+          inline: false,
+        })
+        .setTimestamp(new Date(nowTs * 1000));
+
+      await interaction.editReply({
+        embeds: [embed],
+        files: [attachment],
+      });
+    } finally {
+      db.close();
+    }
+  },
+};
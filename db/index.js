@@ -17,6 +17,76 @@ function initSchema(db) {
   addColumnIfMissing("trove_events", "block_timestamp", "INTEGER");
   addColumnIfMissing("sp_deposit_ops", "block_timestamp", "INTEGER");
   addColumnIfMissing("sp_deposit_updates", "block_timestamp", "INTEGER");
+
+  // Token metadata resolved on chain by the scanners
+  for (const [table, column, colDef] of [
+    ["loan_contracts", "coll_token_address", "TEXT"],
+    ["loan_contracts", "coll_symbol", "TEXT"],
+    ["loan_contracts", "coll_decimals", "INTEGER"],
+    ["loan_contracts", "debt_token_address", "TEXT"],
+    ["loan_contracts", "debt_symbol", "TEXT"],
+    ["loan_contracts", "debt_decimals", "INTEGER"],
+    ["stability_pools", "coll_token_address", "TEXT"],
+    ["stability_pools", "debt_token_address", "TEXT"],
+    ["stability_pools", "debt_symbol", "TEXT"],
+    ["stability_pools", "debt_decimals", "INTEGER"],
+  ]) {
+    addColumnIfMissing(table, column, colDef);
+  }
+  addColumnIfMissing("loan_contracts", "discovered_by", "TEXT");
+  addColumnIfMissing("stability_pools", "discovered_by", "TEXT");
+  addColumnIfMissing("stability_pools", "global_updates_from_block", "INTEGER");
+  addColumnIfMissing("loan_contracts", "stability_pool_address", "TEXT");
+  addColumnIfMissing("loan_contracts", "price_feed_address", "TEXT");
+  addColumnIfMissing("alert_subscriptions", "mode", "TEXT NOT NULL DEFAULT 'event'");
+  addColumnIfMissing("alert_subscriptions", "last_digest_at", "TEXT");
+
+  // Trove lifecycle state maintained by the trove scanner
+  for (const [column, colDef] of [
+    ["owner", "TEXT"],
+    ["status", "TEXT NOT NULL DEFAULT 'open'"],
+    ["debt", "TEXT"],
+    ["coll", "TEXT"],
+    ["annual_interest_rate", "TEXT"],
+    ["opened_block", "INTEGER"],
+    ["closed_block", "INTEGER"],
+    ["last_update_block", "INTEGER"],
+    ["last_update_timestamp", "INTEGER"],
+    ["batch_manager", "TEXT"],
+  ]) {
+    addColumnIfMissing("tracked_troves", column, colDef);
+  }
+
+  for (const table of [
+    "loan_contracts",
+    "scan_cursors",
+    "loan_nft_transfers",
+    "tracked_troves",
+    "redemption_events",
+    "trove_events",
+    "stability_pools",
+    "sp_cursors",
+    "sp_deposit_ops",
+    "sp_deposit_updates",
+  ]) {
+    addColumnIfMissing(table, "chain_id", "TEXT NOT NULL DEFAULT 'FLR'");
+  }
+
+  // Block caches used to be keyed by block_number alone. Rebuild them keyed by
+  // (chain_id, block_number); existing rows belong to FLR.
+  const rekeyByChain = (table) => {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all().map((r) => r.name);
+    if (cols.includes("chain_id")) return;
+    db.transaction(() => {
+      db.exec(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+      db.exec(sql);
+      db.exec(`INSERT INTO ${table} (${cols.join(", ")}) SELECT ${cols.join(", ")} FROM ${table}_legacy`);
+      db.exec(`DROP TABLE ${table}_legacy`);
+    })();
+  };
+
+  rekeyByChain("block_hashes");
+  rekeyByChain("block_timestamps");
 }
 
 module.exports = { initSchema };
@@ -2,16 +2,30 @@ PRAGMA foreign_keys = ON;
 
 CREATE TABLE IF NOT EXISTS loan_contracts (
   contract_key TEXT PRIMARY KEY,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   protocol TEXT NOT NULL,
   address_eip55 TEXT NOT NULL,
   default_start_block INTEGER NOT NULL,
   trove_manager_address TEXT,
+  -- The branch's stability pool, which absorbs its liquidations
+  stability_pool_address TEXT,
+  -- The branch's PriceFeed, from the `price_feed` config key
+  price_feed_address TEXT,
+  coll_token_address TEXT,
+  coll_symbol TEXT,
+  coll_decimals INTEGER,
+  debt_token_address TEXT,
+  debt_symbol TEXT,
+  debt_decimals INTEGER,
+  -- Registry key for branches found by discovery; NULL for configured ones
+  discovered_by TEXT,
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
 CREATE TABLE IF NOT EXISTS scan_cursors (
   cursor_key TEXT PRIMARY KEY,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   start_block INTEGER NOT NULL DEFAULT 0,
   last_scanned_block INTEGER NOT NULL DEFAULT 0,
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
@@ -19,6 +33,7 @@ CREATE TABLE IF NOT EXISTS scan_cursors (
 
 CREATE TABLE IF NOT EXISTS loan_nft_transfers (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   contract_key TEXT NOT NULL,
   block_number INTEGER NOT NULL,
   block_timestamp INTEGER,
@@ -33,17 +48,30 @@ CREATE TABLE IF NOT EXISTS loan_nft_transfers (
 );
 
 CREATE TABLE IF NOT EXISTS tracked_troves (
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   contract_key TEXT NOT NULL,
   token_id TEXT NOT NULL,
+  -- Derived from loan_nft_transfers and trove_events by the trove scanner
+  owner TEXT,
+  status TEXT NOT NULL DEFAULT 'open', -- open | closed | liquidated | redeemed_to_zero | zombie
+  debt TEXT,
+  coll TEXT,
+  annual_interest_rate TEXT,
+  opened_block INTEGER,
+  closed_block INTEGER,
+  last_update_block INTEGER,
+  last_update_timestamp INTEGER,
   first_seen_block INTEGER,
   last_seen_block INTEGER,
   is_burned INTEGER NOT NULL DEFAULT 0,
+  batch_manager TEXT, -- interest batch manager while the trove is in a batch
   updated_at TEXT NOT NULL DEFAULT (datetime('now')),
   PRIMARY KEY (contract_key, token_id)
 );
 
 CREATE TABLE IF NOT EXISTS redemption_events (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   contract_key TEXT NOT NULL,
   block_number INTEGER NOT NULL,
   block_timestamp INTEGER,
@@ -59,8 +87,51 @@ CREATE TABLE IF NOT EXISTS redemption_events (
   UNIQUE (contract_key, tx_hash, log_index)
 );
 
+-- TroveManager Liquidation events; the SP part is what depositors absorbed
+CREATE TABLE IF NOT EXISTS liquidation_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  contract_key TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_timestamp INTEGER,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  debt_offset_by_sp TEXT NOT NULL,
+  debt_redistributed TEXT NOT NULL,
+  bold_gas_compensation TEXT NOT NULL,
+  coll_gas_compensation TEXT NOT NULL,
+  coll_sent_to_sp TEXT NOT NULL,
+  coll_redistributed TEXT NOT NULL,
+  coll_surplus TEXT NOT NULL,
+  price TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (contract_key, tx_hash, log_index)
+);
+
+-- TroveManager BatchUpdated events: a batch's shared debt, rate and management fee
+CREATE TABLE IF NOT EXISTS batch_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  contract_key TEXT NOT NULL,
+  batch_manager TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_timestamp INTEGER,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  operation INTEGER NOT NULL,
+  debt TEXT NOT NULL,
+  coll TEXT NOT NULL,
+  annual_interest_rate TEXT NOT NULL,
+  annual_management_fee TEXT NOT NULL,
+  total_debt_shares TEXT NOT NULL,
+  debt_increase_from_upfront_fee TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (contract_key, tx_hash, log_index)
+);
+
 CREATE TABLE IF NOT EXISTS trove_events (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   contract_key TEXT NOT NULL,
   event_name TEXT NOT NULL,
   block_number INTEGER NOT NULL,
@@ -75,17 +146,27 @@ CREATE TABLE IF NOT EXISTS trove_events (
 
 CREATE TABLE IF NOT EXISTS stability_pools (
   pool_key TEXT PRIMARY KEY,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   protocol TEXT NOT NULL,
   address_eip55 TEXT NOT NULL,
   default_start_block INTEGER NOT NULL,
+  coll_token_address TEXT,
   coll_symbol TEXT NOT NULL,
   coll_decimals INTEGER NOT NULL,
+  debt_token_address TEXT,
+  debt_symbol TEXT,
+  debt_decimals INTEGER,
+  -- Registry key for branches found by discovery; NULL for configured ones
+  discovered_by TEXT,
+  -- First block sp_global_updates are indexed from; NULL until scanned
+  global_updates_from_block INTEGER,
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
 CREATE TABLE IF NOT EXISTS sp_cursors (
   cursor_key TEXT PRIMARY KEY,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   start_block INTEGER NOT NULL DEFAULT 0,
   last_scanned_block INTEGER NOT NULL DEFAULT 0,
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
@@ -93,6 +174,7 @@ CREATE TABLE IF NOT EXISTS sp_cursors (
 
 CREATE TABLE IF NOT EXISTS sp_deposit_ops (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   pool_key TEXT NOT NULL,
   depositor TEXT NOT NULL,
   block_number INTEGER NOT NULL,
@@ -112,6 +194,7 @@ CREATE TABLE IF NOT EXISTS sp_deposit_ops (
 
 CREATE TABLE IF NOT EXISTS sp_deposit_updates (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
   pool_key TEXT NOT NULL,
   depositor TEXT NOT NULL,
   block_number INTEGER NOT NULL,
@@ -128,9 +211,183 @@ CREATE TABLE IF NOT EXISTS sp_deposit_updates (
   UNIQUE (pool_key, tx_hash, log_index)
 );
 
+-- Pool BOLD balance after every change (StabilityPoolBoldBalanceUpdated)
+CREATE TABLE IF NOT EXISTS sp_balance_updates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  pool_key TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_timestamp INTEGER,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  bold_balance TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (pool_key, tx_hash, log_index)
+);
+
+-- Pool-wide P, S, B and scale changes, for reconstructing deposits offline (utils/spMath.js)
+CREATE TABLE IF NOT EXISTS sp_global_updates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  pool_key TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_timestamp INTEGER,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  field TEXT NOT NULL, -- P | S | B | scale
+  value TEXT NOT NULL,
+  scale TEXT, -- scale the S / B sum belongs to
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (pool_key, tx_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS block_hashes (
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (chain_id, block_number)
+);
+
+CREATE TABLE IF NOT EXISTS block_timestamps (
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  block_number INTEGER NOT NULL,
+  block_timestamp INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (chain_id, block_number)
+);
+
+-- Collateral price a branch's PriceFeed held at each block with indexed branch
+-- activity (scripts/scanPrices.js); Redemption / Liquidation log prices win
+CREATE TABLE IF NOT EXISTS oracle_prices (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  contract_key TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_timestamp INTEGER,
+  price TEXT NOT NULL, -- 18 decimals
+  source TEXT NOT NULL, -- redemption | liquidation | price_feed
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (contract_key, block_number)
+);
+
+-- Blocks where reading a branch's PriceFeed reverted (scripts/scanPrices.js),
+-- so the scan moves past them; a new feed address is read again
+CREATE TABLE IF NOT EXISTS oracle_price_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chain_id TEXT NOT NULL DEFAULT 'FLR',
+  contract_key TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  feed_address TEXT NOT NULL,
+  error_code TEXT, -- CALL_EXCEPTION | BAD_DATA
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (contract_key, block_number, feed_address)
+);
+
+-- USD prices imported from local price files (scripts/importPrices.js)
+CREATE TABLE IF NOT EXISTS prices (
+  asset TEXT NOT NULL, -- token symbol, upper case
+  price_timestamp INTEGER NOT NULL, -- unix seconds
+  price_usd REAL NOT NULL,
+  source TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (asset, price_timestamp)
+);
+
+-- Fiat FX rates imported from local files (scripts/importPrices.js --fx)
+CREATE TABLE IF NOT EXISTS fx_rates (
+  currency TEXT NOT NULL, -- ISO 4217 code, upper case
+  rate_timestamp INTEGER NOT NULL, -- unix seconds
+  units_per_usd REAL NOT NULL,
+  source TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (currency, rate_timestamp)
+);
+
+CREATE TABLE IF NOT EXISTS scan_window_sizes (
+  chain_id TEXT PRIMARY KEY,
+  window_blocks INTEGER NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Opt-in DM alerts (/datum-alerts). last_event_id is the newest source row
+-- already checked for this user, so enabling alerts never replays history.
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  discord_id TEXT NOT NULL,
+  alert_type TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  last_event_id INTEGER NOT NULL DEFAULT 0,
+  mode TEXT NOT NULL DEFAULT 'event', -- event | digest
+  last_digest_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (discord_id, alert_type)
+);
+
+-- Report currency and locale per user (/datum-settings)
+CREATE TABLE IF NOT EXISTS report_prefs (
+  discord_id TEXT PRIMARY KEY,
+  currency TEXT,
+  locale TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One row per alert per user; the key makes re-ingested logs a no-op.
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  discord_id TEXT NOT NULL,
+  alert_type TEXT NOT NULL,
+  event_key TEXT NOT NULL,
+  chain_id TEXT NOT NULL,
+  payload_json TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | sent | failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  delivered_at TEXT,
+  PRIMARY KEY (discord_id, alert_type, event_key)
+);
+
+CREATE TABLE IF NOT EXISTS scan_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  parent_run_id INTEGER,
+  script TEXT NOT NULL,
+  cursor_key TEXT,
+  status TEXT NOT NULL,
+  start_block INTEGER,
+  end_block INTEGER,
+  target_block INTEGER,
+  windows_attempted INTEGER NOT NULL DEFAULT 0,
+  windows_completed INTEGER NOT NULL DEFAULT 0,
+  logs_ingested INTEGER NOT NULL DEFAULT 0,
+  error_class TEXT,
+  error_message TEXT,
+  started_at TEXT NOT NULL DEFAULT (datetime('now')),
+  finished_at TEXT,
+  duration_ms INTEGER
+);
+
 CREATE INDEX IF NOT EXISTS idx_trove_events_contract_block
   ON trove_events(contract_key, block_number);
+CREATE INDEX IF NOT EXISTS idx_trove_events_trove
+  ON trove_events(contract_key, trove_id);
+CREATE INDEX IF NOT EXISTS idx_loan_nft_transfers_token
+  ON loan_nft_transfers(contract_key, token_id);
 CREATE INDEX IF NOT EXISTS idx_redemption_contract_block
   ON redemption_events(contract_key, block_number);
 CREATE INDEX IF NOT EXISTS idx_sp_ops_pool_block
   ON sp_deposit_ops(pool_key, block_number);
+CREATE INDEX IF NOT EXISTS idx_sp_updates_pool_depositor
+  ON sp_deposit_updates(pool_key, depositor, block_number);
+CREATE INDEX IF NOT EXISTS idx_sp_balance_pool_block
+  ON sp_balance_updates(pool_key, block_number);
+CREATE INDEX IF NOT EXISTS idx_sp_global_pool_field_block
+  ON sp_global_updates(pool_key, field, block_number);
+CREATE INDEX IF NOT EXISTS idx_liquidation_contract_block
+  ON liquidation_events(contract_key, block_number);
+CREATE INDEX IF NOT EXISTS idx_oracle_prices_chain_block
+  ON oracle_prices(chain_id, block_number);
+CREATE INDEX IF NOT EXISTS idx_batch_events_manager_block
+  ON batch_events(contract_key, batch_manager, block_number);
+CREATE INDEX IF NOT EXISTS idx_scan_runs_cursor
+  ON scan_runs(cursor_key, id);
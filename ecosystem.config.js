@@ -1,11 +1,14 @@
 module.exports = {
   apps: [
     {
-      name: "datum-scan-all",
-      script: "scripts/scanAll.js",
+      // Long-running indexer: follows the chain head and keeps the cursors
+      // current. The one-shot scan scripts still work for manual backfills.
+      name: "datum-indexer",
+      script: "scripts/indexer.js",
       interpreter: "node",
-      autorestart: false,
-      cron_restart: "*/10 * * * *",
+      autorestart: true,
+      restart_delay: 10000,
+      kill_timeout: 10000,
       time: true,
       env: {
         NODE_ENV: "production",
@@ -4,6 +4,7 @@ const fs = require("node:fs");
 const path = require("node:path");
 const { REST, Routes, Collection } = require("discord.js");
 const log = require("../utils/logger");
+const { startAlertLoop } = require("../utils/alerts");
 
 function requireEnv(name) {
   const val = process.env[name];
@@ -66,6 +67,8 @@ async function onReady(client) {
   } catch (err) {
     log.error("Failed to register application commands:", err);
   }
+
+  startAlertLoop(client);
 }
 
 module.exports = { onReady };
@@ -0,0 +1,469 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const { buildProvider, getLogsWithRetry } = require("../utils/rpc");
+const { recordBlockHashes } = require("../utils/reorg");
+const { resolveBlockTimestamps } = require("../utils/blockTimestamps");
+const { createWindowSizer } = require("../utils/scanWindow");
+const { loadLoanContracts, loadStabilityPools } = require("../utils/chainConfig");
+const { startScanRun, finishScanRun } = require("../utils/scanRuns");
+const { refreshTrackedTroves, batchMemberIds } = require("../utils/trackedTroves");
+const log = require("../utils/logger");
+const {
+  TRANSFER_TOPIC,
+  TROVE_MANAGER_TOPICS,
+  parseTransferLogs,
+  parseTroveManagerLogs,
+  ensureContracts,
+  withTroveManagers,
+} = require("./scanTroves");
+const { DEPOSIT_TOPICS, parseDepositLogs, ensurePool, recordGlobalCoverage } = require("./scanStabilityPool");
+const troveNftAbi = require("../abi/troveNFT.json");
+
+const MAX_LISTED_ROWS = 200;
+
+const USAGE = "Usage: node scripts/backfill.js <contract_key|pool_key> --from <block> [--to <block>] [--dry-run]";
+
+// Column mapping from parsed scanner items to table rows, keyed by item kind.
+const TABLES = {
+  transfer: {
+    table: "loan_nft_transfers",
+    keyCols: ["contract_key", "tx_hash", "log_index"],
+    toRow: (chain, key, e) => ({
+      chain_id: chain,
+      contract_key: key,
+      block_number: e.blockNumber,
+      block_timestamp: e.blockTimestamp,
+      tx_hash: e.txHash,
+      log_index: e.logIndex,
+      from_addr: e.fromLower,
+      to_addr: e.toLower,
+      token_id: e.tokenId,
+      is_burned: e.isBurned ? 1 : 0,
+    }),
+  },
+  redemption: {
+    table: "redemption_events",
+    keyCols: ["contract_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      contract_key: key,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      attempted_bold: it.attemptedBold,
+      actual_bold: it.actualBold,
+      eth_sent: it.ethSent,
+      eth_fee: it.ethFee,
+      price: it.price,
+      redemption_price: it.redemptionPrice,
+    }),
+  },
+  liquidation: {
+    table: "liquidation_events",
+    keyCols: ["contract_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      contract_key: key,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      debt_offset_by_sp: it.debtOffsetBySP,
+      debt_redistributed: it.debtRedistributed,
+      bold_gas_compensation: it.boldGasCompensation,
+      coll_gas_compensation: it.collGasCompensation,
+      coll_sent_to_sp: it.collSentToSP,
+      coll_redistributed: it.collRedistributed,
+      coll_surplus: it.collSurplus,
+      price: it.price,
+    }),
+  },
+  batch: {
+    table: "batch_events",
+    keyCols: ["contract_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      contract_key: key,
+      batch_manager: it.batchManager,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      operation: it.operation,
+      debt: it.debt,
+      coll: it.coll,
+      annual_interest_rate: it.annualInterestRate,
+      annual_management_fee: it.annualManagementFee,
+      total_debt_shares: it.totalDebtShares,
+      debt_increase_from_upfront_fee: it.debtIncreaseFromUpfrontFee,
+    }),
+  },
+  trove: {
+    table: "trove_events",
+    keyCols: ["contract_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      contract_key: key,
+      event_name: it.eventName,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      trove_id: it.troveId,
+      data_json: it.dataJson,
+    }),
+  },
+  op: {
+    table: "sp_deposit_ops",
+    keyCols: ["pool_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      pool_key: key,
+      depositor: it.depositor,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      operation: it.operation,
+      deposit_loss: it.depositLoss,
+      topup_or_withdrawal: it.topupOrWithdrawal,
+      yield_gain_since: it.yieldGainSince,
+      yield_gain_claimed: it.yieldGainClaimed,
+      coll_gain_since: it.collGainSince,
+      coll_gain_claimed: it.collGainClaimed,
+    }),
+  },
+  update: {
+    table: "sp_deposit_updates",
+    keyCols: ["pool_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      pool_key: key,
+      depositor: it.depositor,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      new_deposit: it.newDeposit,
+      stashed_coll: it.stashedColl,
+      snapshot_p: it.snapshotP,
+      snapshot_s: it.snapshotS,
+      snapshot_b: it.snapshotB,
+      snapshot_scale: it.snapshotScale,
+    }),
+  },
+  balance: {
+    table: "sp_balance_updates",
+    keyCols: ["pool_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      pool_key: key,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      bold_balance: it.boldBalance,
+    }),
+  },
+  global: {
+    table: "sp_global_updates",
+    keyCols: ["pool_key", "tx_hash", "log_index"],
+    toRow: (chain, key, it) => ({
+      chain_id: chain,
+      pool_key: key,
+      block_number: it.blockNumber,
+      block_timestamp: it.blockTimestamp,
+      tx_hash: it.txHash,
+      log_index: it.logIndex,
+      field: it.field,
+      value: it.value,
+      scale: it.scale,
+    }),
+  },
+};
+
+function parseArgs(argv) {
+  const args = { key: null, from: null, to: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--from") args.from = Number(argv[++i]);
+    else if (a === "--to") args.to = Number(argv[++i]);
+    else if (!a.startsWith("--") && !args.key) args.key = a;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!args.key) throw new Error("Missing contract or pool key");
+  if (!Number.isInteger(args.from) || args.from < 0) throw new Error("--from must be a block number");
+  if (args.to != null && (!Number.isInteger(args.to) || args.to < args.from)) {
+    throw new Error("--to must be a block number >= --from");
+  }
+  return args;
+}
+
+function openDb() {
+  const db = openDatumDb();
+  initSchema(db);
+  return db;
+}
+
+function findTarget(db, key) {
+  const contract = loadLoanContracts(db).find((c) => c.key === key);
+  if (contract) return { chain: contract.chain, contract };
+  const pool = loadStabilityPools(db).find((p) => p.key === key);
+  if (pool) return { chain: pool.chain, pool };
+  return null;
+}
+
+// The scanner lock a backfill of this target shares.
+function scannerLock({ contract }) {
+  return contract ? "scan-redemptions" : "scan-stability-pool";
+}
+
+/**
+ * The log sources behind a key: a loan contract has its NFT transfers and
+ * its TroveManager events, a stability pool its deposit events. A dry run
+ * reads an unknown TroveManager address from the NFT instead of recording it.
+ */
+async function resolveSources(db, provider, { contract, pool }, dryRun) {
+  if (contract) {
+    let troveManager = withTroveManagers(db, [contract])[0]?.troveManager ?? null;
+    if (!troveManager && dryRun) {
+      troveManager = await new ethers.Contract(contract.address, troveNftAbi, provider).troveManager();
+    } else if (!troveManager) {
+      await ensureContracts(db, provider, [contract]);
+      troveManager = withTroveManagers(db, [contract])[0]?.troveManager ?? null;
+    }
+    const sources = [
+      { label: "transfers", address: contract.address, topics: [TRANSFER_TOPIC], parse: parseTransferLogs },
+    ];
+    if (troveManager) {
+      sources.push({
+        label: "trove events",
+        address: troveManager,
+        topics: [TROVE_MANAGER_TOPICS],
+        parse: parseTroveManagerLogs,
+      });
+    }
+    return sources;
+  }
+
+  if (!dryRun) await ensurePool(db, provider, pool);
+  return [{ label: "deposit events", address: pool.address, topics: [DEPOSIT_TOPICS], parse: parseDepositLogs }];
+}
+
+function rowStatements(db, spec, row) {
+  if (!spec.stmts) {
+    const cols = Object.keys(row);
+    const where = spec.keyCols.map((c) => `${c} = ?`).join(" AND ");
+    const updates = cols
+      .filter((c) => !spec.keyCols.includes(c))
+      .map((c) =>
+        c === "block_timestamp"
+          ? `${c} = COALESCE(excluded.${c}, ${spec.table}.${c})`
+          : `${c} = excluded.${c}`
+      );
+    spec.stmts = {
+      select: db.prepare(`SELECT ${cols.join(", ")} FROM ${spec.table} WHERE ${where}`),
+      upsert: db.prepare(`
+        INSERT INTO ${spec.table} (${cols.join(", ")})
+        VALUES (${cols.map((c) => `@${c}`).join(", ")})
+        ON CONFLICT(${spec.keyCols.join(", ")}) DO UPDATE SET ${updates.join(", ")}
+      `),
+    };
+  }
+  return spec.stmts;
+}
+
+// Columns whose stored value differs from the chain. A missing timestamp on
+// the fetched side never counts as a change.
+function changedColumns(existing, row) {
+  return Object.keys(row).filter((c) => {
+    if (row[c] == null && c === "block_timestamp") return false;
+    return String(existing[c] ?? "") !== String(row[c] ?? "");
+  });
+}
+
+function diffAndApply(db, chain, key, items, { dryRun, report }) {
+  const writes = [];
+  for (const it of items) {
+    const spec = TABLES[it.kind || "transfer"];
+    const row = spec.toRow(chain, key, it);
+    const { select } = rowStatements(db, spec, row);
+    const existing = select.get(...spec.keyCols.map((c) => row[c]));
+    const stats = report.get(spec.table) || { added: 0, changed: 0, unchanged: 0, rows: [] };
+    report.set(spec.table, stats);
+
+    const changed = existing ? changedColumns(existing, row) : null;
+    if (existing && !changed.length) {
+      stats.unchanged++;
+      continue;
+    }
+    if (existing) stats.changed++;
+    else stats.added++;
+    stats.rows.push({
+      action: existing ? "change" : "add",
+      block: row.block_number,
+      tx_hash: row.tx_hash,
+      log_index: row.log_index,
+      columns: existing ? changed.join(",") : "",
+    });
+    writes.push({ spec, row, blockNumber: it.blockNumber, blockHash: it.blockHash });
+  }
+
+  if (!dryRun && writes.length) {
+    db.transaction(() => {
+      for (const w of writes) rowStatements(db, w.spec, w.row).upsert.run(w.row);
+      const troveIds = writes.map((w) => w.row.token_id ?? w.row.trove_id).filter((id) => id != null);
+      const batchManagers = writes.map((w) => w.row.batch_manager).filter(Boolean);
+      troveIds.push(...batchMemberIds(db, key, batchManagers));
+      if (troveIds.length) refreshTrackedTroves(db, chain, key, troveIds);
+      recordBlockHashes(db, chain, writes);
+    })();
+  }
+  return writes.length;
+}
+
+async function backfillSource(db, provider, sizer, key, source, fromBlock, toBlock, opts) {
+  log.info(`[backfill] ${provider.chain} ${key} ${source.label}: blocks ${fromBlock} → ${toBlock}`);
+  let b = fromBlock;
+  while (b <= toBlock) {
+    const end = Math.min(b + sizer.size(), toBlock);
+    opts.run.windowsAttempted++;
+    const res = await getLogsWithRetry(provider, {
+      address: ethers.getAddress(source.address),
+      fromBlock: b,
+      toBlock: end,
+      topics: source.topics,
+    });
+    if (!res.ok) {
+      if (res.rangeTooLarge && sizer.shrink()) continue;
+      throw res.error;
+    }
+    sizer.grow();
+    opts.run.logsIngested += res.logs.length;
+
+    const blockTsMap = await resolveBlockTimestamps(
+      db,
+      provider,
+      res.logs.map((lg) => lg.blockNumber),
+      { persist: !opts.dryRun }
+    );
+    const items = source.parse(res.logs, blockTsMap);
+    const written = diffAndApply(db, provider.chain, key, items, opts);
+    log.debug(`[backfill]   ${b} → ${end}: logs=${res.logs.length} items=${items.length} to_write=${written}`);
+
+    opts.run.endBlock = end;
+    opts.run.windowsCompleted++;
+    b = end + 1;
+  }
+}
+
+function printReport(report, dryRun) {
+  if (!report.size) {
+    log.info("[backfill] No events found in range.");
+    return;
+  }
+  for (const [table, s] of report.entries()) {
+    log.info(`[backfill] ${table}: added=${s.added} changed=${s.changed} unchanged=${s.unchanged}`);
+  }
+  const rows = Array.from(report.entries()).flatMap(([table, s]) => s.rows.map((r) => ({ table, ...r })));
+  if (rows.length) {
+    for (const r of rows.slice(0, MAX_LISTED_ROWS)) {
+      log.info(
+        `[backfill]   ${r.action} ${r.table} block=${r.block} tx=${r.tx_hash}:${r.log_index}` +
+          (r.columns ? ` columns=${r.columns}` : "")
+      );
+    }
+    if (rows.length > MAX_LISTED_ROWS) log.info(`[backfill] ... ${rows.length - MAX_LISTED_ROWS} more rows not listed`);
+  }
+  log.info(
+    dryRun
+      ? `[backfill] Dry run: ${rows.length} rows would be written; nothing was changed.`
+      : `[backfill] Wrote ${rows.length} rows.`
+  );
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    log.error(`[backfill] ${err.message}`);
+    log.error(`[backfill] ${USAGE}`);
+    process.exit(1);
+  }
+
+  const db = openDb();
+  const target = findTarget(db, args.key);
+  if (!target) {
+    log.error(`[backfill] Unknown contract or pool key: ${args.key}`);
+    db.close();
+    process.exit(1);
+  }
+
+  const provider = buildProvider(target.chain);
+  await provider.getNetwork();
+
+  let lockPath = null;
+  const safeRelease = () => releaseLock(lockPath);
+  process.once("exit", safeRelease);
+
+  try {
+    // Writing runs share the scanner's lock, so the indexer pauses meanwhile.
+    // A dry run takes no lock, and SQLite rejects any write it would make.
+    if (args.dryRun) {
+      db.pragma("query_only = ON");
+    } else {
+      const lock = scannerLock(target);
+      lockPath = acquireLock(lock);
+      if (!lockPath) {
+        log.warn(`[backfill] ${lock} is held by a running scan; try again later`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+    const sources = await resolveSources(db, provider, target, args.dryRun);
+
+    const toBlock = args.to ?? (await provider.getBlockNumber());
+    const run = args.dryRun
+      ? { windowsAttempted: 0, windowsCompleted: 0, logsIngested: 0, endBlock: null }
+      : startScanRun(db, { script: "backfill", startBlock: args.from, targetBlock: toBlock });
+    const report = new Map();
+    const sizer = createWindowSizer(db, target.chain, { persist: !args.dryRun });
+    try {
+      for (const source of sources) {
+        await backfillSource(db, provider, sizer, args.key, source, args.from, toBlock, {
+          dryRun: args.dryRun,
+          report,
+          run,
+        });
+      }
+      if (!args.dryRun) {
+        if (target.pool) recordGlobalCoverage(db, target.pool.key, args.from, toBlock);
+        finishScanRun(db, run);
+      }
+    } catch (err) {
+      if (!args.dryRun) finishScanRun(db, run, err);
+      throw err;
+    }
+    printReport(report, args.dryRun);
+  } finally {
+    db.close();
+    provider.logHealth();
+  }
+}
+
+main().catch((err) => {
+  log.error("[backfill] FATAL:", err);
+  process.exit(1);
+});
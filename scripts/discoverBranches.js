@@ -0,0 +1,72 @@
+const path = require("path");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const { buildProvider, hasRpcConfig } = require("../utils/rpc");
+const { loadRegistries, groupByChain } = require("../utils/chainConfig");
+const { discoverBranches } = require("../utils/branchDiscovery");
+const { startScanRun, finishScanRun } = require("../utils/scanRuns");
+const log = require("../utils/logger");
+
+function openDb() {
+  const db = openDatumDb();
+  initSchema(db);
+  return db;
+}
+
+async function main() {
+  const registries = loadRegistries();
+  if (!registries.length) {
+    log.info("[discoverBranches] No registries configured in data/collateral_registries.json.");
+    return;
+  }
+
+  const lockPath = acquireLock("discover-branches");
+  if (!lockPath) {
+    log.warn("[discoverBranches] another instance is running, exiting");
+    return;
+  }
+  const safeRelease = () => releaseLock(lockPath);
+  process.once("exit", safeRelease);
+  process.once("SIGINT", () => {
+    safeRelease();
+    process.exit(130);
+  });
+  process.once("SIGTERM", () => {
+    safeRelease();
+    process.exit(143);
+  });
+
+  const db = openDb();
+  const run = startScanRun(db, { script: "discoverBranches" });
+  try {
+    let added = 0;
+    for (const [chain, chainRegistries] of groupByChain(registries)) {
+      if (!hasRpcConfig(chain)) {
+        log.warn(`[discoverBranches] DATUM_${chain}_SCAN_RPC not set; skipping ${chain}`);
+        continue;
+      }
+      const provider = buildProvider(chain);
+      await provider.getNetwork();
+      added += await discoverBranches(db, provider, chainRegistries);
+    }
+    log.info(`[discoverBranches] ${added} new branches registered.`);
+    finishScanRun(db, run);
+  } catch (err) {
+    finishScanRun(db, run, err);
+    throw err;
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  log.error("[discoverBranches] FATAL:", err);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { parseCsv } = require("../utils/csv");
+const { normalizeAsset } = require("../utils/prices");
+const log = require("../utils/logger");
+
+const USAGE =
+  "Usage: node scripts/importPrices.js <file.csv|file.json> [--asset <symbol>] [--source <name>] [--dry-run]\n" +
+  "       node scripts/importPrices.js --fx <file.csv|file.json> [--currency <code>] [--source <name>] [--dry-run]";
+
+function parseArgs(argv) {
+  const args = { file: null, asset: null, source: null, dryRun: false, fx: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--fx") args.fx = true;
+    else if (a === "--asset" || a === "--currency") args.asset = argv[++i];
+    else if (a === "--source") args.source = argv[++i];
+    else if (!a.startsWith("--") && !args.file) args.file = a;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!args.file) throw new Error("Missing price file");
+  return args;
+}
+
+// Unix seconds from unix seconds, unix milliseconds or an ISO date / datetime (UTC).
+function parseTimestamp(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return Math.floor(n > 1e12 ? n / 1000 : n);
+  }
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T00:00:00Z` : s;
+  const ms = Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(iso) ? iso : `${iso}Z`);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+/**
+ * Price rows `{ asset, ts, price }` from a file. CSV needs a header with
+ * `timestamp` (or `date`), `price_usd` (or `price`, or `rate` for FX) and,
+ * without --asset, `asset` (or `currency`). JSON is an array of objects with
+ * the same keys, or a `{ "prices": [[ms, price], ...] }` chart export, which
+ * needs --asset.
+ */
+function readPriceFile(file, defaultAsset) {
+  const text = fs.readFileSync(file, "utf8");
+  let records;
+  if (path.extname(file).toLowerCase() === ".json") {
+    const json = JSON.parse(text);
+    if (Array.isArray(json?.prices)) {
+      records = json.prices.map(([ms, price]) => ({ timestamp: ms, price }));
+    } else if (Array.isArray(json)) {
+      records = json;
+    } else {
+      throw new Error("JSON must be an array of price objects or have a prices array");
+    }
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new Error("CSV is empty");
+    const names = header.map((h) => h.trim().toLowerCase());
+    records = lines.map((cells) => Object.fromEntries(names.map((n, i) => [n, cells[i]])));
+  }
+
+  const rows = [];
+  let skipped = 0;
+  for (const r of records) {
+    const asset = normalizeAsset(r.asset ?? r.currency ?? defaultAsset);
+    const ts = parseTimestamp(r.timestamp ?? r.date);
+    const price = Number(r.price_usd ?? r.price ?? r.rate);
+    if (!asset || ts == null || !Number.isFinite(price) || price <= 0) {
+      skipped += 1;
+      continue;
+    }
+    rows.push({ asset, ts, price });
+  }
+  return { rows, skipped };
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    log.error(`[importPrices] ${err.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let parsed;
+  try {
+    parsed = readPriceFile(args.file, args.asset);
+  } catch (err) {
+    log.error(`[importPrices] Failed to read ${args.file}: ${err.message || err}`);
+    process.exit(1);
+  }
+  const { rows, skipped } = parsed;
+  if (skipped) log.warn(`[importPrices] skipped ${skipped} rows without an asset, timestamp or positive price`);
+
+  const byAsset = new Map();
+  for (const r of rows) byAsset.set(r.asset, (byAsset.get(r.asset) || 0) + 1);
+  const noun = args.fx ? "FX rates" : "prices";
+  for (const [asset, count] of byAsset) log.info(`[importPrices] ${asset}: ${count} ${noun}`);
+
+  if (args.dryRun) {
+    log.info(`[importPrices] dry run: ${rows.length} ${noun} not written`);
+    return;
+  }
+
+  const db = openDatumDb();
+  try {
+    initSchema(db);
+    const source = args.source || path.basename(args.file);
+    // FX rates are units of the currency per 1 USD.
+    const upsert = db.prepare(
+      args.fx
+        ? `
+      INSERT INTO fx_rates (currency, rate_timestamp, units_per_usd, source)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(currency, rate_timestamp) DO UPDATE SET
+        units_per_usd = excluded.units_per_usd,
+        source = excluded.source
+    `
+        : `
+      INSERT INTO prices (asset, price_timestamp, price_usd, source)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(asset, price_timestamp) DO UPDATE SET
+        price_usd = excluded.price_usd,
+        source = excluded.source
+    `
+    );
+    db.transaction(() => {
+      for (const r of rows) upsert.run(r.asset, r.ts, r.price, source);
+    })();
+    log.info(`[importPrices] upserted ${rows.length} ${noun} from ${source}`);
+  } finally {
+    db.close();
+  }
+}
+
+main();
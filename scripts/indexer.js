@@ -0,0 +1,351 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const { buildProvider, buildPriceProvider, hasRpcConfig } = require("../utils/rpc");
+const { detectAndRollbackReorg } = require("../utils/reorg");
+const { createWindowSizer } = require("../utils/scanWindow");
+const { startScanRun, finishScanRun } = require("../utils/scanRuns");
+const { loadLoanContracts, loadStabilityPools, loadRegistries, groupByChain } = require("../utils/chainConfig");
+const { discoverBranches } = require("../utils/branchDiscovery");
+const log = require("../utils/logger");
+const {
+  ensureContracts,
+  withTroveManagers,
+  scanLoanNftTransfers,
+  scanTroveManagerEvents,
+} = require("./scanTroves");
+const { loadWallets, scanPool } = require("./scanStabilityPool");
+const { scanPrices } = require("./scanPrices");
+const { repairTimestamps } = require("./repairTimestamps");
+
+const POLL_MS = Number(process.env.DATUM_INDEXER_POLL_MS || "5000");
+const CONFIRMATIONS = Number(process.env.DATUM_INDEXER_CONFIRMATIONS || "0");
+const REPORT_MINUTES = Number(process.env.DATUM_INDEXER_REPORT_MINUTES || "10");
+const MAX_BACKOFF_MS = 60000;
+const WS_RETRY_MS = 60000;
+
+// Same lock names as the one-shot scripts, so a manual backfill and the
+// daemon never scan the same cursors at the same time.
+const SCAN_LOCKS = ["scan-redemptions", "scan-stability-pool"];
+
+let stopping = false;
+let wakeUp = null;
+const heldLocks = new Set();
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      wakeUp = null;
+      resolve();
+    }
+    wakeUp = done;
+  });
+}
+
+function wake() {
+  if (wakeUp) wakeUp();
+}
+
+function openDb() {
+  const db = openDatumDb();
+  initSchema(db);
+  return db;
+}
+
+function takeLock(name, opts) {
+  const lockPath = acquireLock(name, opts);
+  if (lockPath) heldLocks.add(lockPath);
+  return lockPath;
+}
+
+function dropLock(lockPath) {
+  heldLocks.delete(lockPath);
+  releaseLock(lockPath);
+}
+
+function acquireScanLocks() {
+  const held = [];
+  for (const name of SCAN_LOCKS) {
+    const lockPath = takeLock(name, { quiet: true });
+    if (!lockPath) {
+      held.forEach(dropLock);
+      return null;
+    }
+    held.push(lockPath);
+  }
+  return held;
+}
+
+/**
+ * Optional new-head subscription. Polling keeps running regardless; a block
+ * notification only cuts the wait short. On error or close the socket is
+ * dropped and retried later.
+ */
+function subscribeBlocks(chain, url, chainId) {
+  let ws;
+  try {
+    ws = new ethers.WebSocketProvider(url, chainId);
+  } catch (err) {
+    log.warn(`[indexer] ${chain} WebSocket setup failed: ${err.message || err}`);
+    return;
+  }
+  let closed = false;
+  const drop = (reason) => {
+    if (closed) return;
+    closed = true;
+    log.warn(`[indexer] ${chain} WebSocket ${reason}; polling only, retrying in ${WS_RETRY_MS / 1000}s`);
+    ws.destroy().catch(() => {});
+    if (!stopping) setTimeout(() => subscribeBlocks(chain, url, chainId), WS_RETRY_MS).unref();
+  };
+  ws.websocket.onerror = (event) => drop(`error: ${event?.message || "connection failed"}`);
+  ws.websocket.onclose = () => drop("closed");
+  // Subscribe only once connected: destroying the provider while eth_subscribe
+  // is still queued rejects it where we can't catch it.
+  ws.websocket.addEventListener(
+    "open",
+    () => {
+      ws.on("block", wake).catch((err) => drop(`subscribe failed: ${err.message || err}`));
+      log.info(`[indexer] ${chain} subscribed to new heads over WebSocket`);
+    },
+    { once: true }
+  );
+}
+
+async function scanChain(db, state, c, targetBlock) {
+  const opts = { headBlock: targetBlock, quiet: true };
+  await detectAndRollbackReorg(db, c.provider);
+  for (const contract of c.contracts) {
+    await scanLoanNftTransfers(db, c.provider, contract, c.sizer, state.run, opts);
+  }
+  for (const contract of withTroveManagers(db, c.contracts)) {
+    await scanTroveManagerEvents(db, c.provider, contract, c.sizer, state.run, opts);
+  }
+  const wallets = loadWallets(db, c.chain);
+  for (const pool of c.pools) {
+    await scanPool(db, c.provider, pool, wallets, c.sizer, state.run, opts);
+  }
+}
+
+/**
+ * One poll over every chain. A failing chain doesn't hold back the others.
+ *
+ * @returns {Promise<boolean>} false when any chain failed
+ */
+async function tick(db, state) {
+  const locks = acquireScanLocks();
+  if (!locks) {
+    log.debug("[indexer] scan locks busy (one-shot scan running?); skipping this tick");
+    return true;
+  }
+  let ok = true;
+  try {
+    for (const c of state.chains) {
+      try {
+        const target = (await c.provider.refreshHeads()) - CONFIRMATIONS;
+        if (c.lastTarget != null && target <= c.lastTarget) continue;
+        const before = logsSoFar(state.run);
+        await scanChain(db, state, c, target);
+        c.lastTarget = target;
+        const ingested = logsSoFar(state.run) - before;
+        if (ingested > 0) log.info(`[indexer] ${c.chain} block ${target}: ${ingested} new logs`);
+      } catch (err) {
+        ok = false;
+        log.error(`[indexer] ${c.chain} tick failed: ${err.message || err}`);
+      }
+    }
+  } finally {
+    locks.forEach(dropLock);
+  }
+  return ok;
+}
+
+// Open cursor runs only roll up into the period row when they are finished.
+function logsSoFar(run) {
+  let n = run.logsIngested;
+  for (const child of run.cursorRuns.values()) n += child.logsIngested;
+  return n;
+}
+
+// Close the current reporting period: one scan_runs row per cursor per period.
+async function rotateReport(db, state) {
+  const status = finishScanRun(db, state.run);
+  const heads = state.chains.map((c) => `${c.chain}=${c.lastTarget ?? "n/a"}`).join(" ");
+  log.info(
+    `[indexer] period done: status=${status} windows=${state.run.windowsCompleted}/${state.run.windowsAttempted} ` +
+      `logs=${state.run.logsIngested} head ${heads}`
+  );
+
+  const pricesLock = takeLock("scan-prices", { quiet: true });
+  if (pricesLock) {
+    try {
+      for (const c of state.chains) {
+        try {
+          await scanPrices(db, c.priceProvider);
+        } catch (err) {
+          log.warn(`[indexer] ${c.chain} price scan failed: ${err.message || err}`);
+        }
+      }
+    } finally {
+      dropLock(pricesLock);
+    }
+  }
+
+  const lockPath = takeLock("repair-timestamps", { quiet: true });
+  try {
+    for (const c of state.chains) {
+      c.provider.logHealth();
+      if (!lockPath) continue;
+      try {
+        await repairTimestamps(db, c.provider);
+      } catch (err) {
+        log.warn(`[indexer] ${c.chain} timestamp repair failed: ${err.message || err}`);
+      }
+    }
+  } finally {
+    if (lockPath) dropLock(lockPath);
+  }
+
+  await refreshBranches(db, state);
+  state.run = startScanRun(db, { script: "indexer", keepCursorRunsOpen: true });
+  state.periodStartedMs = Date.now();
+}
+
+/**
+ * Run branch discovery where registries are configured, then reload each
+ * chain's contracts and pools so new branches are scanned from the next tick.
+ */
+async function refreshBranches(db, state) {
+  const lockPath = takeLock("discover-branches", { quiet: true });
+  if (lockPath) {
+    try {
+      for (const c of state.chains) {
+        if (!c.registries.length) continue;
+        try {
+          await discoverBranches(db, c.provider, c.registries);
+        } catch (err) {
+          log.warn(`[indexer] ${c.chain} branch discovery failed: ${err.message || err}`);
+        }
+      }
+    } finally {
+      dropLock(lockPath);
+    }
+  }
+
+  const byChainContracts = groupByChain(loadLoanContracts(db));
+  const byChainPools = groupByChain(loadStabilityPools(db));
+  for (const c of state.chains) {
+    const contracts = byChainContracts.get(c.chain) || [];
+    const known = new Set(c.contracts.map((x) => x.key));
+    const added = contracts.filter((x) => !known.has(x.key));
+    if (added.length) {
+      await ensureContracts(db, c.provider, added);
+      log.info(`[indexer] ${c.chain} now scanning ${added.map((x) => x.key).join(", ")}`);
+    }
+    c.contracts = contracts;
+    c.pools = byChainPools.get(c.chain) || [];
+  }
+}
+
+async function setupChains(db) {
+  const byChainContracts = groupByChain(loadLoanContracts(db));
+  const byChainPools = groupByChain(loadStabilityPools(db));
+  const byChainRegistries = groupByChain(loadRegistries());
+  const names = new Set([...byChainContracts.keys(), ...byChainPools.keys(), ...byChainRegistries.keys()]);
+
+  const chains = [];
+  for (const chain of names) {
+    if (!hasRpcConfig(chain)) {
+      log.warn(`[indexer] DATUM_${chain}_SCAN_RPC not set; not indexing ${chain}`);
+      continue;
+    }
+    const provider = buildProvider(chain);
+    const network = await provider.getNetwork();
+    log.info(`[indexer] ${chain} RPC ready: chainId=${network.chainId}`);
+
+    const contracts = byChainContracts.get(chain) || [];
+    await ensureContracts(db, provider, contracts);
+    chains.push({
+      chain,
+      chainId: network.chainId,
+      provider,
+      priceProvider: buildPriceProvider(chain),
+      contracts,
+      pools: byChainPools.get(chain) || [],
+      registries: byChainRegistries.get(chain) || [],
+      sizer: createWindowSizer(db, chain),
+      lastTarget: null,
+    });
+  }
+  return chains;
+}
+
+async function main() {
+  if (!takeLock("indexer")) {
+    log.warn("[indexer] another instance is running, exiting");
+    return;
+  }
+  // Also covers the scan locks if we exit mid-tick.
+  process.once("exit", () => [...heldLocks].forEach(dropLock));
+
+  const db = openDb();
+  const chains = await setupChains(db);
+  if (!chains.length) {
+    log.error("[indexer] No chain with both contracts/pools/registries and an RPC configured.");
+    process.exit(1);
+  }
+  const state = { chains };
+  await refreshBranches(db, state);
+  state.run = startScanRun(db, { script: "indexer", keepCursorRunsOpen: true });
+  state.periodStartedMs = Date.now();
+
+  const shutdown = (signal, code) => {
+    if (stopping) return;
+    stopping = true;
+    log.info(`[indexer] ${signal} received, shutting down`);
+    try {
+      finishScanRun(db, state.run);
+      db.close();
+    } catch (err) {
+      log.warn(`[indexer] shutdown cleanup failed: ${err.message || err}`);
+    }
+    process.exit(code);
+  };
+  process.once("SIGINT", () => shutdown("SIGINT", 130));
+  process.once("SIGTERM", () => shutdown("SIGTERM", 143));
+
+  for (const c of chains) {
+    const wsUrl = (process.env[`DATUM_${c.chain}_SCAN_WS`] || "").trim();
+    if (wsUrl) subscribeBlocks(c.chain, wsUrl, c.chainId);
+  }
+
+  log.info(
+    `[indexer] Running: chains=${chains.map((c) => c.chain).join(",")} poll=${POLL_MS}ms ` +
+      `confirmations=${CONFIRMATIONS} report=${REPORT_MINUTES}m`
+  );
+
+  let failures = 0;
+  while (!stopping) {
+    failures = (await tick(db, state)) ? 0 : failures + 1;
+
+    if (stopping) break;
+    if (Date.now() - state.periodStartedMs >= REPORT_MINUTES * 60000) {
+      await rotateReport(db, state);
+    }
+    await sleep(failures ? Math.min(POLL_MS * 2 ** failures, MAX_BACKOFF_MS) : POLL_MS);
+  }
+}
+
+main().catch((err) => {
+  log.error("[indexer] FATAL:", err);
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+const path = require("path");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const { buildProvider, hasRpcConfig } = require("../utils/rpc");
+const { resolveBlockTimestamps } = require("../utils/blockTimestamps");
+const { startScanRun, finishScanRun } = require("../utils/scanRuns");
+const log = require("../utils/logger");
+
+const EVENT_TABLES = [
+  "loan_nft_transfers",
+  "trove_events",
+  "redemption_events",
+  "liquidation_events",
+  "batch_events",
+  "sp_deposit_ops",
+  "sp_deposit_updates",
+  "sp_balance_updates",
+  "sp_global_updates",
+  "oracle_prices",
+];
+const BATCH_BLOCKS = 500;
+
+function openDb() {
+  const db = openDatumDb();
+  initSchema(db);
+  return db;
+}
+
+function chainsWithMissing(db) {
+  const chains = new Set();
+  for (const table of EVENT_TABLES) {
+    const rows = db.prepare(`SELECT DISTINCT chain_id FROM ${table} WHERE block_timestamp IS NULL`).all();
+    for (const r of rows) chains.add(r.chain_id);
+  }
+  return Array.from(chains).sort();
+}
+
+function findMissingBlocks(db, chain) {
+  const blocks = new Set();
+  for (const table of EVENT_TABLES) {
+    const rows = db
+      .prepare(`SELECT DISTINCT block_number FROM ${table} WHERE chain_id = ? AND block_timestamp IS NULL`)
+      .all(chain);
+    for (const r of rows) blocks.add(r.block_number);
+  }
+  return Array.from(blocks).sort((a, b) => a - b);
+}
+
+function applyTimestamps(db, chain, tsMap) {
+  const updates = EVENT_TABLES.map((table) =>
+    db.prepare(
+      `UPDATE ${table} SET block_timestamp = ?
+       WHERE chain_id = ? AND block_number = ? AND block_timestamp IS NULL`
+    )
+  );
+  let changed = 0;
+  db.transaction(() => {
+    for (const [bn, ts] of tsMap.entries()) {
+      for (const stmt of updates) changed += stmt.run(ts, chain, bn).changes;
+    }
+  })();
+  return changed;
+}
+
+async function repairTimestamps(db, provider) {
+  const chain = provider.chain;
+  const missing = findMissingBlocks(db, chain);
+  if (!missing.length) return { repairedRows: 0, unresolved: 0 };
+  log.info(`[repairTimestamps] ${missing.length} ${chain} blocks have rows with missing block_timestamp`);
+
+  let repairedRows = 0;
+  let unresolved = 0;
+  for (let i = 0; i < missing.length; i += BATCH_BLOCKS) {
+    const batch = missing.slice(i, i + BATCH_BLOCKS);
+    const tsMap = await resolveBlockTimestamps(db, provider, batch);
+    unresolved += batch.length - tsMap.size;
+    repairedRows += applyTimestamps(db, chain, tsMap);
+    log.debug(`[repairTimestamps] batch ${i / BATCH_BLOCKS + 1}: blocks=${batch.length} resolved=${tsMap.size}`);
+  }
+
+  log.info(`[repairTimestamps] Repaired ${repairedRows} ${chain} rows.`);
+  if (unresolved > 0) {
+    log.warn(`[repairTimestamps] ${unresolved} ${chain} blocks still unresolved; rerun later.`);
+  }
+  return { repairedRows, unresolved };
+}
+
+async function main() {
+  const lockPath = acquireLock("repair-timestamps");
+  if (!lockPath) {
+    log.warn("[repairTimestamps] another instance is running, exiting");
+    return;
+  }
+  const safeRelease = () => releaseLock(lockPath);
+  process.once("exit", safeRelease);
+  process.once("SIGINT", () => {
+    safeRelease();
+    process.exit(130);
+  });
+  process.once("SIGTERM", () => {
+    safeRelease();
+    process.exit(143);
+  });
+
+  const db = openDb();
+  const run = startScanRun(db, { script: "repairTimestamps" });
+  try {
+    const chains = chainsWithMissing(db);
+    if (!chains.length) {
+      log.info("[repairTimestamps] No rows with missing block_timestamp.");
+      finishScanRun(db, run);
+      return;
+    }
+    for (const chain of chains) {
+      if (!hasRpcConfig(chain)) {
+        log.warn(`[repairTimestamps] DATUM_${chain}_SCAN_RPC not set; skipping ${chain}`);
+        continue;
+      }
+      const provider = buildProvider(chain);
+      await provider.getNetwork();
+      await repairTimestamps(db, provider);
+    }
+    finishScanRun(db, run);
+  } catch (err) {
+    finishScanRun(db, run, err);
+    throw err;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    log.error("[repairTimestamps] FATAL:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { repairTimestamps };
@@ -25,10 +25,18 @@ function main() {
       DELETE FROM loan_nft_transfers;
       DELETE FROM tracked_troves;
       DELETE FROM redemption_events;
+      DELETE FROM liquidation_events;
+      DELETE FROM batch_events;
       DELETE FROM trove_events;
       DELETE FROM sp_cursors;
       DELETE FROM sp_deposit_ops;
       DELETE FROM sp_deposit_updates;
+      DELETE FROM sp_balance_updates;
+      DELETE FROM sp_global_updates;
+      UPDATE stability_pools SET global_updates_from_block = NULL;
+      DELETE FROM oracle_prices;
+      DELETE FROM oracle_price_failures;
+      DELETE FROM block_hashes;
     `);
     console.log("[resetDatum] Cleared scan cursors and event tables.");
   } finally {
@@ -7,12 +7,22 @@ require("dotenv").config({
   quiet: true,
 });
 
-function runScript(label, scriptPath) {
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { startScanRun, finishScanRun } = require("../utils/scanRuns");
+
+function openDb() {
+  const db = openDatumDb();
+  initSchema(db);
+  return db;
+}
+
+function runScript(label, scriptPath, env) {
   return new Promise((resolve, reject) => {
     log.info(`[scanAll] Starting ${label}...`);
     const child = spawn(process.execPath, [scriptPath], {
       stdio: "inherit",
-      env: process.env,
+      env,
     });
     child.on("error", (err) => reject(err));
     child.on("exit", (code, signal) => {
@@ -28,12 +38,52 @@ function runScript(label, scriptPath) {
   });
 }
 
+function finishAllRun(run, err) {
+  const db = openDb();
+  try {
+    // Roll the child scripts' counters up into the scanAll row.
+    const totals = db
+      .prepare(
+        `
+        SELECT COALESCE(SUM(windows_attempted), 0) AS attempted,
+               COALESCE(SUM(windows_completed), 0) AS completed,
+               COALESCE(SUM(logs_ingested), 0) AS logs,
+               MAX(CASE WHEN status IN ('partial', 'failed') THEN error_message END) AS child_error
+        FROM scan_runs
+        WHERE parent_run_id = ? AND cursor_key IS NULL
+      `
+      )
+      .get(run.id);
+    run.windowsAttempted = totals.attempted;
+    run.windowsCompleted = totals.completed;
+    run.logsIngested = totals.logs;
+    const childErr = totals.child_error ? new Error(totals.child_error) : null;
+    return finishScanRun(db, run, err || childErr);
+  } finally {
+    db.close();
+  }
+}
+
 async function main() {
+  const db = openDb();
+  let run;
+  try {
+    run = startScanRun(db, { script: "scanAll" });
+  } finally {
+    db.close();
+  }
+  const env = { ...process.env, DATUM_SCAN_RUN_ID: String(run.id) };
+
   try {
-    await runScript("scanTroves", path.join(__dirname, "scanTroves.js"));
-    await runScript("scanStabilityPool", path.join(__dirname, "scanStabilityPool.js"));
-    log.info("[scanAll] DONE");
+    await runScript("discoverBranches", path.join(__dirname, "discoverBranches.js"), env);
+    await runScript("scanTroves", path.join(__dirname, "scanTroves.js"), env);
+    await runScript("scanStabilityPool", path.join(__dirname, "scanStabilityPool.js"), env);
+    await runScript("scanPrices", path.join(__dirname, "scanPrices.js"), env);
+    await runScript("repairTimestamps", path.join(__dirname, "repairTimestamps.js"), env);
+    const status = finishAllRun(run, null);
+    log.info(`[scanAll] DONE (status=${status})`);
   } catch (err) {
+    finishAllRun(run, err);
     log.error("[scanAll] FATAL:", err);
     process.exit(1);
   }
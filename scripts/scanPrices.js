@@ -0,0 +1,228 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const { buildPriceProvider, hasRpcConfig } = require("../utils/rpc");
+const { startScanRun, finishScanRun } = require("../utils/scanRuns");
+const log = require("../utils/logger");
+const priceFeedAbi = require("../abi/priceFeed.json");
+
+// Blocks read per contract per run; the rest are picked up by the next run.
+const MAX_BLOCKS = Number(process.env.DATUM_PRICE_SCAN_MAX_BLOCKS || "2000");
+const READ_CONCURRENCY = Math.max(1, Number(process.env.DATUM_PRICE_SCAN_CONCURRENCY || "4"));
+
+function openDb() {
+  const db = openDatumDb();
+  initSchema(db);
+  return db;
+}
+
+/**
+ * Copy the price each Redemption and Liquidation log reported into
+ * oracle_prices (the last log's price when a block has several). These are
+ * the prices the protocol itself used, so they replace a PriceFeed read.
+ */
+function seedFromEvents(db, contractKey) {
+  let changed = 0;
+  for (const [table, source] of [
+    ["redemption_events", "redemption"],
+    ["liquidation_events", "liquidation"],
+  ]) {
+    changed += db
+      .prepare(
+        `
+        INSERT INTO oracle_prices (chain_id, contract_key, block_number, block_timestamp, price, source)
+        SELECT e.chain_id, e.contract_key, e.block_number, e.block_timestamp, e.price, ?
+        FROM ${table} e
+        WHERE e.contract_key = ?
+          AND e.log_index = (
+            SELECT MAX(log_index) FROM ${table} x
+            WHERE x.contract_key = e.contract_key AND x.block_number = e.block_number
+          )
+        ON CONFLICT(contract_key, block_number) DO UPDATE SET
+          price = excluded.price,
+          source = excluded.source,
+          block_timestamp = COALESCE(oracle_prices.block_timestamp, excluded.block_timestamp)
+        WHERE oracle_prices.source = 'price_feed'
+      `
+      )
+      .run(source, contractKey).changes;
+  }
+  return changed;
+}
+
+// Blocks with indexed activity on the branch (its troves, batches and pool)
+// but no price yet, leaving out those where its current feed already reverted.
+function blocksWithoutPrice(db, contract, limit) {
+  return db
+    .prepare(
+      `
+      SELECT block_number, MAX(block_timestamp) AS block_timestamp FROM (
+        SELECT block_number, block_timestamp FROM trove_events WHERE contract_key = @key
+        UNION ALL
+        SELECT block_number, block_timestamp FROM batch_events WHERE contract_key = @key
+        UNION ALL
+        SELECT block_number, block_timestamp FROM liquidation_events WHERE contract_key = @key
+        UNION ALL
+        SELECT block_number, block_timestamp FROM redemption_events WHERE contract_key = @key
+        UNION ALL
+        SELECT o.block_number, o.block_timestamp FROM sp_deposit_ops o
+        JOIN stability_pools p ON p.pool_key = o.pool_key
+        WHERE lower(p.address_eip55) = lower(@pool)
+      )
+      WHERE block_number NOT IN (SELECT block_number FROM oracle_prices WHERE contract_key = @key)
+        AND block_number NOT IN (
+          SELECT block_number FROM oracle_price_failures WHERE contract_key = @key AND feed_address = @feed
+        )
+      GROUP BY block_number
+      ORDER BY block_number
+      LIMIT @limit
+    `
+    )
+    .all({
+      key: contract.contract_key,
+      pool: contract.stability_pool_address || "",
+      feed: contract.price_feed_address || "",
+      limit,
+    });
+}
+
+/**
+ * Record the collateral price for every block where a branch had indexed
+ * activity: from its Redemption / Liquidation logs where there is one, else
+ * by reading its PriceFeed's `lastGoodPrice()` at that block. Branches
+ * without a `price_feed_address` only get the log prices. Blocks where the
+ * read reverts are recorded in oracle_price_failures and not read again.
+ *
+ * @returns {Promise<{ recorded: number, failed: number }>}
+ */
+async function scanPrices(db, provider) {
+  const chain = provider.chain;
+  const contracts = db
+    .prepare(
+      `
+      SELECT contract_key, price_feed_address, stability_pool_address
+      FROM loan_contracts
+      WHERE chain_id = ?
+      ORDER BY contract_key
+    `
+    )
+    .all(chain);
+  const insert = db.prepare(`
+    INSERT INTO oracle_prices (chain_id, contract_key, block_number, block_timestamp, price, source)
+    VALUES (?, ?, ?, ?, ?, 'price_feed')
+    ON CONFLICT(contract_key, block_number) DO NOTHING
+  `);
+  const recordFailure = db.prepare(`
+    INSERT INTO oracle_price_failures (chain_id, contract_key, block_number, feed_address, error_code)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(contract_key, block_number, feed_address) DO NOTHING
+  `);
+
+  let recorded = 0;
+  let failed = 0;
+  for (const c of contracts) {
+    const seeded = seedFromEvents(db, c.contract_key);
+    if (!c.price_feed_address) {
+      recorded += seeded;
+      if (seeded) log.info(`[scanPrices] ${chain} ${c.contract_key}: ${seeded} prices from redemption/liquidation logs`);
+      continue;
+    }
+
+    const blocks = blocksWithoutPrice(db, c, MAX_BLOCKS + 1);
+    const todo = blocks.slice(0, MAX_BLOCKS);
+    const feed = new ethers.Contract(c.price_feed_address, priceFeedAbi, provider);
+
+    const readAt = async (b) => {
+      try {
+        return { price: await feed.lastGoodPrice({ blockTag: b.block_number }) };
+      } catch (err) {
+        // Feed not deployed yet at that block, or reverting there.
+        if (err?.code !== "CALL_EXCEPTION" && err?.code !== "BAD_DATA") throw err;
+        failed += 1;
+        return { error: err.code };
+      }
+    };
+
+    let read = 0;
+    for (let i = 0; i < todo.length; i += READ_CONCURRENCY) {
+      const chunk = todo.slice(i, i + READ_CONCURRENCY);
+      const results = await Promise.all(chunk.map(readAt));
+      db.transaction(() => {
+        chunk.forEach((b, j) => {
+          const { price, error } = results[j];
+          if (error) {
+            recordFailure.run(chain, c.contract_key, b.block_number, c.price_feed_address, error);
+            return;
+          }
+          read += insert.run(chain, c.contract_key, b.block_number, b.block_timestamp, price.toString()).changes;
+        });
+      })();
+    }
+    recorded += seeded + read;
+    log.info(
+      `[scanPrices] ${chain} ${c.contract_key}: ${seeded} prices from logs, ${read}/${todo.length} read from ${c.price_feed_address}` +
+        (blocks.length > MAX_BLOCKS ? " (more blocks left for the next run)" : "")
+    );
+  }
+  if (failed) {
+    log.warn(`[scanPrices] ${chain}: ${failed} price feed reads reverted; recorded and skipped from now on`);
+  }
+  return { recorded, failed };
+}
+
+async function main() {
+  const lockPath = acquireLock("scan-prices");
+  if (!lockPath) {
+    log.warn("[scanPrices] another instance is running, exiting");
+    return;
+  }
+  const safeRelease = () => releaseLock(lockPath);
+  process.once("exit", safeRelease);
+  process.once("SIGINT", () => {
+    safeRelease();
+    process.exit(130);
+  });
+  process.once("SIGTERM", () => {
+    safeRelease();
+    process.exit(143);
+  });
+
+  const db = openDb();
+  const run = startScanRun(db, { script: "scanPrices" });
+  try {
+    const chains = db.prepare("SELECT DISTINCT chain_id FROM loan_contracts ORDER BY chain_id").all();
+    for (const { chain_id: chain } of chains) {
+      if (!hasRpcConfig(chain)) {
+        log.warn(`[scanPrices] DATUM_${chain}_SCAN_RPC not set; skipping ${chain}`);
+        continue;
+      }
+      const provider = buildPriceProvider(chain);
+      await provider.getNetwork();
+      const { recorded } = await scanPrices(db, provider);
+      run.logsIngested += recorded;
+    }
+    finishScanRun(db, run);
+  } catch (err) {
+    finishScanRun(db, run, err);
+    throw err;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    log.error("[scanPrices] FATAL:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { scanPrices };
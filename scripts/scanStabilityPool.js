@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
 
@@ -10,6 +9,8 @@ require("dotenv").config({
 const { initSchema } = require("../db");
 const { openDatumDb } = require("../utils/db");
 const { acquireLock, releaseLock } = require("../utils/lock");
+const { recordBlockHashes, recordCursorTip, detectAndRollbackReorg } = require("../utils/reorg");
+const { resolveBlockTimestamps } = require("../utils/blockTimestamps");
 const stabilityPoolAbi = require("../abi/stabilityPool.json");
 const log = require("../utils/logger");
 
@@ -22,47 +23,36 @@ function requireEnv(name) {
   return v;
 }
 
-const { buildProvider } = require("../utils/rpc");
-const FLR_SCAN_BLOCKS = Number(requireEnv("DATUM_FLR_SCAN_BLOCKS"));
-const FLR_PAUSE_MS = Number(requireEnv("DATUM_FLR_SCAN_PAUSE_MS"));
+const { buildProvider, hasRpcConfig, getLogsWithRetry } = require("../utils/rpc");
+const { createWindowSizer, scanPauseMs } = require("../utils/scanWindow");
+const { loadStabilityPools, groupByChain } = require("../utils/chainConfig");
+const { resolvePoolTokens } = require("../utils/tokenMeta");
+const { startScanRun, finishScanRun, startCursorRun, endCursorRun } = require("../utils/scanRuns");
 const OVERLAP_BLOCKS = Number(requireEnv("DATUM_SCAN_OVERLAP_BLOCKS"));
 
+const stabilityPoolIface = new ethers.Interface(stabilityPoolAbi);
+const DEPOSIT_TOPICS = [
+  stabilityPoolIface.getEvent("DepositOperation").topicHash,
+  stabilityPoolIface.getEvent("DepositUpdated").topicHash,
+  stabilityPoolIface.getEvent("StabilityPoolBoldBalanceUpdated").topicHash,
+  stabilityPoolIface.getEvent("P_Updated").topicHash,
+  stabilityPoolIface.getEvent("S_Updated").topicHash,
+  stabilityPoolIface.getEvent("B_Updated").topicHash,
+  stabilityPoolIface.getEvent("ScaleUpdated").topicHash,
+];
+
+// Pool-wide events stored in sp_global_updates, by the field they set.
+const GLOBAL_EVENTS = {
+  P_Updated: { field: "P", value: "_P" },
+  S_Updated: { field: "S", value: "_S", scale: "_scale" },
+  B_Updated: { field: "B", value: "_B", scale: "_scale" },
+  ScaleUpdated: { field: "scale", value: "_currentScale" },
+};
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function parseRetryAfterMs(err) {
-  const msg = String(err?.message || "");
-  const m = msg.match(/retry in\s+(\d+)\s*s/i);
-  if (!m) return null;
-  const sec = Number(m[1]);
-  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : null;
-}
-
-function isRateLimitError(err) {
-  const msg = String(err?.message || "").toLowerCase();
-  return msg.includes("rate limit") || msg.includes("too many requests") || msg.includes("-32090");
-}
-
-async function getLogsWithRetry(provider, filter, { maxAttempts = 6 } = {}) {
-  let attempt = 0;
-  let backoffMs = 750;
-  while (attempt < maxAttempts) {
-    attempt++;
-    try {
-      return { ok: true, logs: await provider.getLogs(filter) };
-    } catch (err) {
-      const retryAfter = parseRetryAfterMs(err);
-      const shouldRetry = isRateLimitError(err) || retryAfter != null;
-      log.warn(`getLogs failed (attempt ${attempt}/${maxAttempts}): ${err.message}`);
-      if (!shouldRetry || attempt >= maxAttempts) return { ok: false, error: err };
-      await sleep(retryAfter ?? backoffMs);
-      backoffMs = Math.min(backoffMs * 2, 10000);
-    }
-  }
-  return { ok: false, error: new Error("exhausted retries") };
-}
-
 function getStableLogIndex(lg) {
   if (Number.isInteger(lg?.index) && lg.index >= 0) return lg.index;
   const li = lg?.logIndex;
@@ -74,88 +64,86 @@ function getStableLogIndex(lg) {
   return null;
 }
 
-async function resolveBlockTimestamps(provider, logs) {
-  const uniqueBlocks = [];
-  const seen = new Set();
-  for (const lg of logs) {
-    const bn = lg.blockNumber;
-    if (!Number.isInteger(bn)) continue;
-    if (seen.has(bn)) continue;
-    seen.add(bn);
-    uniqueBlocks.push(bn);
-  }
-
-  const map = new Map();
-  await Promise.all(
-    uniqueBlocks.map(async (bn) => {
-      const blk = await provider.getBlock(bn);
-      if (blk && Number.isInteger(blk.timestamp)) {
-        map.set(bn, blk.timestamp);
-      }
-    })
-  );
-  return map;
-}
-
-function scanWindowCount(fromBlock, latestBlock, maxBlocks) {
-  return Math.ceil((latestBlock - fromBlock + 1) / (maxBlocks + 1));
-}
-
-function readJson(p) {
-  const raw = fs.readFileSync(p, "utf8");
-  return JSON.parse(raw);
-}
-
 function openDb() {
   const db = openDatumDb();
   initSchema(db);
   return db;
 }
 
-function loadWallets(db) {
+function loadWallets(db, chain) {
   return db
     .prepare(
       `
       SELECT address_eip55
       FROM sentinel.user_wallets
       WHERE is_enabled = 1
-        AND chain_id = 'FLR'
+        AND chain_id = ?
     `
     )
-    .all();
+    .all(chain);
 }
 
-function ensurePool(db, pool) {
-  const upsert = db.prepare(`
+async function ensurePool(db, provider, pool) {
+  const known = db
+    .prepare("SELECT coll_token_address, debt_token_address FROM stability_pools WHERE pool_key = ?")
+    .get(pool.key);
+  // Token addresses never change for a pool, so resolve them once.
+  if (known?.coll_token_address && known?.debt_token_address) {
+    db.prepare(
+      `
+      UPDATE stability_pools SET
+        chain_id = ?, protocol = ?, address_eip55 = ?, default_start_block = ?,
+        updated_at = datetime('now')
+      WHERE pool_key = ?
+    `
+    ).run(pool.chain, pool.protocol, ethers.getAddress(pool.address), pool.default_start_block, pool.key);
+    return;
+  }
+
+  const { coll, debt } = await resolvePoolTokens(provider, pool.address);
+  log.info(`[scanStabilityPool] ${pool.key}: collateral ${coll.symbol} (${coll.decimals}), debt ${debt.symbol} (${debt.decimals})`);
+  db.prepare(
+    `
     INSERT INTO stability_pools (
-      pool_key, protocol, address_eip55, default_start_block, coll_symbol, coll_decimals
-    ) VALUES (?, ?, ?, ?, ?, ?)
+      pool_key, chain_id, protocol, address_eip55, default_start_block,
+      coll_token_address, coll_symbol, coll_decimals, debt_token_address, debt_symbol, debt_decimals
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(pool_key) DO UPDATE SET
+      chain_id = excluded.chain_id,
       protocol = excluded.protocol,
       address_eip55 = excluded.address_eip55,
       default_start_block = excluded.default_start_block,
+      coll_token_address = excluded.coll_token_address,
       coll_symbol = excluded.coll_symbol,
       coll_decimals = excluded.coll_decimals,
+      debt_token_address = excluded.debt_token_address,
+      debt_symbol = excluded.debt_symbol,
+      debt_decimals = excluded.debt_decimals,
       updated_at = datetime('now')
-  `);
-  upsert.run(
+  `
+  ).run(
     pool.key,
+    pool.chain,
     pool.protocol,
     ethers.getAddress(pool.address),
     pool.default_start_block,
-    pool.coll_symbol,
-    pool.coll_decimals
+    coll.address,
+    coll.symbol,
+    coll.decimals,
+    debt.address,
+    debt.symbol,
+    debt.decimals
   );
 }
 
-function ensureCursor(db, cursorKey, startBlock) {
+function ensureCursor(db, cursorKey, chain, startBlock) {
   db.prepare(
     `
-    INSERT INTO sp_cursors (cursor_key, start_block, last_scanned_block)
-    VALUES (?, ?, 0)
+    INSERT INTO sp_cursors (cursor_key, chain_id, start_block, last_scanned_block)
+    VALUES (?, ?, ?, 0)
     ON CONFLICT(cursor_key) DO NOTHING
   `
-  ).run(cursorKey, startBlock);
+  ).run(cursorKey, chain, startBlock);
 }
 
 function updateCursor(db, cursorKey, lastBlock) {
@@ -168,160 +156,298 @@ function updateCursor(db, cursorKey, lastBlock) {
   ).run(lastBlock, cursorKey);
 }
 
-async function scanPool(db, provider, pool, wallets) {
-  ensurePool(db, pool);
+/**
+ * Record that the pool's P / S / B / scale updates are indexed from fromBlock
+ * through toBlock. The pool's first covered block is set, or lowered, only
+ * when the range joins up with what is already covered (or, on a pool indexed
+ * before those updates were, with the deposit cursor), so positions are never
+ * resolved across a gap.
+ */
+function recordGlobalCoverage(db, poolKey, fromBlock, toBlock) {
+  const { global_updates_from_block: coveredFrom } = db
+    .prepare("SELECT global_updates_from_block FROM stability_pools WHERE pool_key = ?")
+    .get(poolKey);
+  const cursor = db
+    .prepare("SELECT last_scanned_block FROM sp_cursors WHERE cursor_key = ?")
+    .get(`sp:${poolKey}:deposit_ops`);
+  const joinsAt = coveredFrom ?? (cursor ? cursor.last_scanned_block + 1 : null);
+  if (joinsAt == null || fromBlock >= joinsAt || toBlock + 1 < joinsAt) return;
+  db.prepare(
+    "UPDATE stability_pools SET global_updates_from_block = ?, updated_at = datetime('now') WHERE pool_key = ?"
+  ).run(fromBlock, poolKey);
+}
+
+function parseDepositLogs(logs, blockTsMap) {
+  const items = [];
+  for (const lg of logs) {
+    const li = getStableLogIndex(lg);
+    if (li == null) continue;
+    const txHash = lg.transactionHash;
+    if (!txHash) continue;
+    const blockTimestamp = blockTsMap.get(lg.blockNumber) ?? null;
+
+    let parsed;
+    try {
+      parsed = stabilityPoolIface.parseLog({ topics: lg.topics, data: lg.data });
+    } catch {
+      continue;
+    }
+
+    if (parsed.name === "DepositOperation") {
+      items.push({
+        kind: "op",
+        depositor: parsed.args._depositor,
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        operation: parsed.args._operation.toString(),
+        depositLoss: parsed.args._depositLossSinceLastOperation.toString(),
+        topupOrWithdrawal: parsed.args._topUpOrWithdrawal.toString(),
+        yieldGainSince: parsed.args._yieldGainSinceLastOperation.toString(),
+        yieldGainClaimed: parsed.args._yieldGainClaimed.toString(),
+        collGainSince: parsed.args._ethGainSinceLastOperation.toString(),
+        collGainClaimed: parsed.args._ethGainClaimed.toString(),
+      });
+    } else if (parsed.name === "DepositUpdated") {
+      items.push({
+        kind: "update",
+        depositor: parsed.args._depositor,
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        newDeposit: parsed.args._newDeposit.toString(),
+        stashedColl: parsed.args._stashedColl.toString(),
+        snapshotP: parsed.args._snapshotP.toString(),
+        snapshotS: parsed.args._snapshotS.toString(),
+        snapshotB: parsed.args._snapshotB.toString(),
+        snapshotScale: parsed.args._snapshotScale.toString(),
+      });
+    } else if (parsed.name === "StabilityPoolBoldBalanceUpdated") {
+      items.push({
+        kind: "balance",
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        boldBalance: parsed.args._newBalance.toString(),
+      });
+    } else if (GLOBAL_EVENTS[parsed.name]) {
+      const g = GLOBAL_EVENTS[parsed.name];
+      items.push({
+        kind: "global",
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        field: g.field,
+        value: parsed.args[g.value].toString(),
+        scale: g.scale ? parsed.args[g.scale].toString() : null,
+      });
+    }
+  }
+  return items;
+}
+
+async function scanPool(
+  db,
+  provider,
+  pool,
+  wallets,
+  sizer,
+  scriptRun,
+  { headBlock = null, quiet = false } = {}
+) {
+  const info = quiet ? log.debug : log.info;
+  const pauseMs = scanPauseMs(pool.chain);
+  await ensurePool(db, provider, pool);
   const cursorKey = `sp:${pool.key}:deposit_ops`;
-  ensureCursor(db, cursorKey, pool.default_start_block);
+  ensureCursor(db, cursorKey, pool.chain, pool.default_start_block);
 
   const cursor = db
     .prepare("SELECT start_block, last_scanned_block FROM sp_cursors WHERE cursor_key = ?")
     .get(cursorKey);
   const startBlock = cursor.start_block;
   const lastScanned = cursor.last_scanned_block;
-  const latestBlock = await provider.getBlockNumber();
+  const latestBlock = headBlock ?? (await provider.getBlockNumber());
   let fromBlock = lastScanned > 0 ? Math.max(startBlock, lastScanned - OVERLAP_BLOCKS) : startBlock;
   if (fromBlock > latestBlock) return;
 
-  const iface = new ethers.Interface(stabilityPoolAbi);
-  const depositOp = iface.getEvent("DepositOperation").topicHash;
-  const depositUpdated = iface.getEvent("DepositUpdated").topicHash;
-  const totalWindows = scanWindowCount(fromBlock, latestBlock, FLR_SCAN_BLOCKS);
-  log.info(`\n=== FLR STABILITY_POOL ${pool.key} ===`);
-  log.info(`  start_block=${startBlock} last_scanned=${lastScanned}`);
-  log.info(`  latestBlock=${latestBlock}`);
-  log.debug(
-    `  windows=${totalWindows} window_size=${FLR_SCAN_BLOCKS} overlap=${OVERLAP_BLOCKS} pause=${FLR_PAUSE_MS}ms`
-  );
+  info(`\n=== ${pool.chain} STABILITY_POOL ${pool.key} ===`);
+  info(`  start_block=${startBlock} last_scanned=${lastScanned}`);
+  info(`  latestBlock=${latestBlock}`);
+  log.debug(`  window_size=${sizer.size()} overlap=${OVERLAP_BLOCKS} pause=${pauseMs}ms`);
 
   const insert = db.prepare(`
     INSERT INTO sp_deposit_ops (
-      pool_key, depositor, block_number, block_timestamp, tx_hash, log_index,
+      chain_id, pool_key, depositor, block_number, block_timestamp, tx_hash, log_index,
       operation, deposit_loss, topup_or_withdrawal, yield_gain_since,
       yield_gain_claimed, coll_gain_since, coll_gain_claimed
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(pool_key, tx_hash, log_index) DO NOTHING
   `);
   const insertUpdate = db.prepare(`
     INSERT INTO sp_deposit_updates (
-      pool_key, depositor, block_number, block_timestamp, tx_hash, log_index,
+      chain_id, pool_key, depositor, block_number, block_timestamp, tx_hash, log_index,
       new_deposit, stashed_coll, snapshot_p, snapshot_s, snapshot_b, snapshot_scale
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(pool_key, tx_hash, log_index) DO NOTHING
+  `);
+  const insertBalance = db.prepare(`
+    INSERT INTO sp_balance_updates (
+      chain_id, pool_key, block_number, block_timestamp, tx_hash, log_index, bold_balance
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(pool_key, tx_hash, log_index) DO NOTHING
+  `);
+  const insertGlobal = db.prepare(`
+    INSERT INTO sp_global_updates (
+      chain_id, pool_key, block_number, block_timestamp, tx_hash, log_index, field, value, scale
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(pool_key, tx_hash, log_index) DO NOTHING
   `);
 
+  const run = startCursorRun(db, {
+    script: "scanStabilityPool",
+    cursorKey,
+    startBlock: fromBlock,
+    targetBlock: latestBlock,
+    parent: scriptRun,
+  });
   let lastGoodBlock = fromBlock - 1;
-  for (let b = fromBlock; b <= latestBlock; b += FLR_SCAN_BLOCKS + 1) {
-    const toBlock = Math.min(b + FLR_SCAN_BLOCKS, latestBlock);
-    const windowIndex = Math.floor((b - fromBlock) / (FLR_SCAN_BLOCKS + 1)) + 1;
-    log.debug(`      [${windowIndex}/${totalWindows}] blocks ${b} → ${toBlock}`);
-    const res = await getLogsWithRetry(provider, {
-      address: ethers.getAddress(pool.address),
-      fromBlock: b,
-      toBlock,
-      topics: [[depositOp, depositUpdated]],
-    });
-    if (!res.ok) break;
-
-    const blockTsMap = await resolveBlockTimestamps(provider, res.logs);
-    const items = [];
-    for (const lg of res.logs) {
-      const li = getStableLogIndex(lg);
-      if (li == null) continue;
-      const txHash = lg.transactionHash;
-      if (!txHash) continue;
-      const blockTimestamp = blockTsMap.get(lg.blockNumber) ?? null;
-
-      let parsed;
-      try {
-        parsed = iface.parseLog({ topics: lg.topics, data: lg.data });
-      } catch {
-        continue;
+  let windowIndex = 0;
+  try {
+    let b = fromBlock;
+    while (b <= latestBlock) {
+      const toBlock = Math.min(b + sizer.size(), latestBlock);
+      windowIndex++;
+      run.windowsAttempted++;
+      log.debug(`      [${windowIndex}] blocks ${b} → ${toBlock}`);
+      const res = await getLogsWithRetry(provider, {
+        address: ethers.getAddress(pool.address),
+        fromBlock: b,
+        toBlock,
+        topics: [DEPOSIT_TOPICS],
+      });
+      if (!res.ok) {
+        if (res.rangeTooLarge && sizer.shrink()) continue;
+        run.error = res.error;
+        break;
       }
-
-      if (parsed.name === "DepositOperation") {
-        items.push({
-          kind: "op",
-          depositor: parsed.args._depositor,
-          blockNumber: lg.blockNumber,
-          blockTimestamp,
-          txHash,
-          logIndex: li,
-          operation: parsed.args._operation.toString(),
-          depositLoss: parsed.args._depositLossSinceLastOperation.toString(),
-          topupOrWithdrawal: parsed.args._topUpOrWithdrawal.toString(),
-          yieldGainSince: parsed.args._yieldGainSinceLastOperation.toString(),
-          yieldGainClaimed: parsed.args._yieldGainClaimed.toString(),
-          collGainSince: parsed.args._ethGainSinceLastOperation.toString(),
-          collGainClaimed: parsed.args._ethGainClaimed.toString(),
-        });
-      } else if (parsed.name === "DepositUpdated") {
-        items.push({
-          kind: "update",
-          depositor: parsed.args._depositor,
-          blockNumber: lg.blockNumber,
-          blockTimestamp,
-          txHash,
-          logIndex: li,
-          newDeposit: parsed.args._newDeposit.toString(),
-          stashedColl: parsed.args._stashedColl.toString(),
-          snapshotP: parsed.args._snapshotP.toString(),
-          snapshotS: parsed.args._snapshotS.toString(),
-          snapshotB: parsed.args._snapshotB.toString(),
-          snapshotScale: parsed.args._snapshotScale.toString(),
+      sizer.grow();
+      run.logsIngested += res.logs.length;
+
+      const blockTsMap = await resolveBlockTimestamps(
+        db,
+        provider,
+        res.logs.map((lg) => lg.blockNumber)
+      );
+      const items = parseDepositLogs(res.logs, blockTsMap);
+
+      if (items.length) {
+        const tx = db.transaction((arr) => {
+          for (const it of arr) {
+            if (it.kind === "op") {
+              insert.run(
+                pool.chain,
+                pool.key,
+                it.depositor,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.operation,
+                it.depositLoss,
+                it.topupOrWithdrawal,
+                it.yieldGainSince,
+                it.yieldGainClaimed,
+                it.collGainSince,
+                it.collGainClaimed
+              );
+            } else if (it.kind === "balance") {
+              insertBalance.run(
+                pool.chain,
+                pool.key,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.boldBalance
+              );
+            } else if (it.kind === "global") {
+              insertGlobal.run(
+                pool.chain,
+                pool.key,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.field,
+                it.value,
+                it.scale
+              );
+            } else {
+              insertUpdate.run(
+                pool.chain,
+                pool.key,
+                it.depositor,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.newDeposit,
+                it.stashedColl,
+                it.snapshotP,
+                it.snapshotS,
+                it.snapshotB,
+                it.snapshotScale
+              );
+            }
+          }
+          recordBlockHashes(db, pool.chain, arr);
         });
+        tx(items);
       }
-    }
-
-    if (items.length) {
-      const tx = db.transaction((arr) => {
-        for (const it of arr) {
-          if (it.kind === "op") {
-            insert.run(
-              pool.key,
-              it.depositor,
-              it.blockNumber,
-              it.blockTimestamp,
-              it.txHash,
-              it.logIndex,
-              it.operation,
-              it.depositLoss,
-              it.topupOrWithdrawal,
-              it.yieldGainSince,
-              it.yieldGainClaimed,
-              it.collGainSince,
-              it.collGainClaimed
-            );
-          } else {
-            insertUpdate.run(
-              pool.key,
-              it.depositor,
-              it.blockNumber,
-              it.blockTimestamp,
-              it.txHash,
-              it.logIndex,
-              it.newDeposit,
-              it.stashedColl,
-              it.snapshotP,
-              it.snapshotS,
-              it.snapshotB,
-              it.snapshotScale
-            );
-          }
-        }
-      });
-      tx(items);
-    }
 
-    log.debug(`        logs=${res.logs.length} items=${items.length}`);
-    if (FLR_PAUSE_MS > 0) log.debug(`        pause ${FLR_PAUSE_MS}ms`);
+      log.debug(`        logs=${res.logs.length} items=${items.length}`);
+      if (pauseMs > 0) log.debug(`        pause ${pauseMs}ms`);
 
-    lastGoodBlock = toBlock;
-    if (FLR_PAUSE_MS > 0) await sleep(FLR_PAUSE_MS);
+      lastGoodBlock = toBlock;
+      run.endBlock = toBlock;
+      run.windowsCompleted++;
+      b = toBlock + 1;
+      if (pauseMs > 0) await sleep(pauseMs);
+    }
+  } catch (err) {
+    endCursorRun(db, run, err);
+    throw err;
   }
 
   if (lastGoodBlock >= fromBlock) {
     updateCursor(db, cursorKey, lastGoodBlock);
-    log.info(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${latestBlock - fromBlock + 1} blocks)`);
+    recordGlobalCoverage(db, pool.key, fromBlock, lastGoodBlock);
+    await recordCursorTip(db, provider, lastGoodBlock);
+    info(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${latestBlock - fromBlock + 1} blocks)`);
+  }
+  endCursorRun(db, run);
+}
+
+async function scanChain(db, chain, pools, scriptRun) {
+  const provider = buildProvider(chain);
+  try {
+    await provider.getNetwork();
+    await detectAndRollbackReorg(db, provider);
+    const wallets = loadWallets(db, chain);
+    const sizer = createWindowSizer(db, chain);
+    for (const pool of pools) {
+      await scanPool(db, provider, pool, wallets, sizer, scriptRun);
+    }
+  } finally {
+    provider.logHealth();
   }
 }
 
@@ -342,28 +468,41 @@ async function main() {
     process.exit(143);
   });
 
-  const cfg = readJson(path.join(__dirname, "..", "data", "stability_pools.json"));
-  const pools = cfg?.chains?.FLR?.contracts || [];
+  const db = openDb();
+  const pools = loadStabilityPools(db);
   if (!pools.length) {
     log.error("[scanStabilityPool] No pools found.");
+    db.close();
     process.exit(1);
   }
 
-  const provider = buildProvider();
-  await provider.getNetwork();
-
-  const db = openDb();
+  const scriptRun = startScanRun(db, { script: "scanStabilityPool" });
+  let firstErr = null;
   try {
-    const wallets = loadWallets(db);
-    for (const pool of pools) {
-      await scanPool(db, provider, pool, wallets);
+    for (const [chain, chainPools] of groupByChain(pools)) {
+      if (!hasRpcConfig(chain)) {
+        log.warn(`[scanStabilityPool] DATUM_${chain}_SCAN_RPC not set; skipping ${chain}`);
+        continue;
+      }
+      try {
+        await scanChain(db, chain, chainPools, scriptRun);
+      } catch (err) {
+        log.error(`[scanStabilityPool] ${chain} scan failed:`, err);
+        firstErr = firstErr || err;
+      }
     }
+    finishScanRun(db, scriptRun, firstErr);
   } finally {
     db.close();
   }
+  if (firstErr) throw firstErr;
 }
 
-main().catch((err) => {
-  log.error("[scanStabilityPool] FATAL:", err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    log.error("[scanStabilityPool] FATAL:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { DEPOSIT_TOPICS, parseDepositLogs, ensurePool, recordGlobalCoverage, loadWallets, scanPool };
@@ -0,0 +1,67 @@
+const path = require("path");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { initSchema } = require("../db");
+const { openDatumDb } = require("../utils/db");
+const { latestRunsByCursor } = require("../utils/scanRuns");
+const log = require("../utils/logger");
+
+const RECENT_RUNS = Number(process.env.DATUM_SCAN_STATUS_LIMIT || "10");
+
+// One log line per row: key=value pairs, empty columns left out.
+function logRows(rows) {
+  if (!rows.length) {
+    log.info("[scanStatus]   (none)");
+    return;
+  }
+  for (const r of rows) {
+    const fields = Object.entries(r)
+      .filter(([, v]) => v != null && v !== "")
+      .map(([k, v]) => `${k}=${v}`);
+    log.info(`[scanStatus]   ${fields.join(" ")}`);
+  }
+}
+
+function main() {
+  const db = openDatumDb();
+  initSchema(db);
+  try {
+    const perCursor = latestRunsByCursor(db).map((r) => ({
+      cursor_key: r.cursor_key,
+      status: r.status,
+      start_block: r.start_block,
+      end_block: r.end_block,
+      target_block: r.target_block,
+      windows: `${r.windows_completed}/${r.windows_attempted}`,
+      logs: r.logs_ingested,
+      error_class: r.error_class,
+      finished_at: r.finished_at,
+      duration_ms: r.duration_ms,
+    }));
+    log.info("[scanStatus] Latest run per cursor:");
+    logRows(perCursor);
+
+    const recent = db
+      .prepare(
+        `
+        SELECT id, script, status, windows_attempted, windows_completed, logs_ingested,
+               error_class, error_message, started_at, duration_ms
+        FROM scan_runs
+        WHERE cursor_key IS NULL
+        ORDER BY id DESC
+        LIMIT ?
+      `
+      )
+      .all(RECENT_RUNS);
+    log.info(`[scanStatus] Latest ${RECENT_RUNS} script runs:`);
+    logRows(recent);
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -1,4 +1,3 @@
-const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
 
@@ -10,6 +9,8 @@ require("dotenv").config({
 const { initSchema } = require("../db");
 const { openDatumDb } = require("../utils/db");
 const { acquireLock, releaseLock } = require("../utils/lock");
+const { recordBlockHashes, recordCursorTip, detectAndRollbackReorg } = require("../utils/reorg");
+const { resolveBlockTimestamps } = require("../utils/blockTimestamps");
 const troveNftAbi = require("../abi/troveNFT.json");
 const troveManagerAbi = require("../abi/troveManager.json");
 const log = require("../utils/logger");
@@ -23,12 +24,26 @@ function requireEnv(name) {
   return v;
 }
 
-const { buildProvider } = require("../utils/rpc");
-const FLR_SCAN_BLOCKS = Number(requireEnv("DATUM_FLR_SCAN_BLOCKS"));
-const FLR_PAUSE_MS = Number(requireEnv("DATUM_FLR_SCAN_PAUSE_MS"));
+const { buildProvider, hasRpcConfig, getLogsWithRetry } = require("../utils/rpc");
+const { createWindowSizer, scanPauseMs } = require("../utils/scanWindow");
+const { loadLoanContracts, groupByChain } = require("../utils/chainConfig");
+const { startScanRun, finishScanRun, startCursorRun, endCursorRun } = require("../utils/scanRuns");
+const { resolveTroveManagerTokens } = require("../utils/tokenMeta");
+const { refreshTrackedTroves, rebuildTrackedTroves, batchMemberIds } = require("../utils/trackedTroves");
+const { readAddressesRegistry } = require("../utils/branchDiscovery");
 const OVERLAP_BLOCKS = Number(requireEnv("DATUM_SCAN_OVERLAP_BLOCKS"));
 
 const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const troveManagerIface = new ethers.Interface(troveManagerAbi);
+const TROVE_MANAGER_TOPICS = [
+  troveManagerIface.getEvent("Redemption").topicHash,
+  troveManagerIface.getEvent("Liquidation").topicHash,
+  troveManagerIface.getEvent("RedemptionFeePaidToTrove").topicHash,
+  troveManagerIface.getEvent("TroveUpdated").topicHash,
+  troveManagerIface.getEvent("TroveOperation").topicHash,
+  troveManagerIface.getEvent("BatchUpdated").topicHash,
+  troveManagerIface.getEvent("BatchedTroveUpdated").topicHash,
+];
 const BURN_ADDRS = new Set([
   "0x0000000000000000000000000000000000000000",
   "0x000000000000000000000000000000000000dead",
@@ -38,38 +53,6 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function parseRetryAfterMs(err) {
-  const msg = String(err?.message || "");
-  const m = msg.match(/retry in\s+(\d+)\s*s/i);
-  if (!m) return null;
-  const sec = Number(m[1]);
-  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : null;
-}
-
-function isRateLimitError(err) {
-  const msg = String(err?.message || "").toLowerCase();
-  return msg.includes("rate limit") || msg.includes("too many requests") || msg.includes("-32090");
-}
-
-async function getLogsWithRetry(provider, filter, { maxAttempts = 6 } = {}) {
-  let attempt = 0;
-  let backoffMs = 750;
-  while (attempt < maxAttempts) {
-    attempt++;
-    try {
-      return { ok: true, logs: await provider.getLogs(filter) };
-    } catch (err) {
-      const retryAfter = parseRetryAfterMs(err);
-      const shouldRetry = isRateLimitError(err) || retryAfter != null;
-      log.warn(`getLogs failed (attempt ${attempt}/${maxAttempts}): ${err.message}`);
-      if (!shouldRetry || attempt >= maxAttempts) return { ok: false, error: err };
-      await sleep(retryAfter ?? backoffMs);
-      backoffMs = Math.min(backoffMs * 2, 10000);
-    }
-  }
-  return { ok: false, error: new Error("exhausted retries") };
-}
-
 function addressFromTopic(t) {
   return ethers.getAddress("0x" + t.slice(26));
 }
@@ -93,38 +76,6 @@ function isBurn(addrLower) {
   return BURN_ADDRS.has(addrLower);
 }
 
-async function resolveBlockTimestamps(provider, logs) {
-  const uniqueBlocks = [];
-  const seen = new Set();
-  for (const lg of logs) {
-    const bn = lg.blockNumber;
-    if (!Number.isInteger(bn)) continue;
-    if (seen.has(bn)) continue;
-    seen.add(bn);
-    uniqueBlocks.push(bn);
-  }
-
-  const map = new Map();
-  await Promise.all(
-    uniqueBlocks.map(async (bn) => {
-      const blk = await provider.getBlock(bn);
-      if (blk && Number.isInteger(blk.timestamp)) {
-        map.set(bn, blk.timestamp);
-      }
-    })
-  );
-  return map;
-}
-
-function readJson(p) {
-  const raw = fs.readFileSync(p, "utf8");
-  return JSON.parse(raw);
-}
-
-function scanWindowCount(fromBlock, latestBlock, maxBlocks) {
-  return Math.ceil((latestBlock - fromBlock + 1) / (maxBlocks + 1));
-}
-
 function openDb() {
   const db = openDatumDb();
   initSchema(db);
@@ -133,31 +84,96 @@ function openDb() {
 
 async function ensureContracts(db, provider, contracts) {
   const upsert = db.prepare(`
-    INSERT INTO loan_contracts (contract_key, protocol, address_eip55, default_start_block, trove_manager_address)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO loan_contracts (
+      contract_key, chain_id, protocol, address_eip55, default_start_block, trove_manager_address,
+      price_feed_address
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(contract_key) DO UPDATE SET
+      chain_id = excluded.chain_id,
       protocol = excluded.protocol,
       address_eip55 = excluded.address_eip55,
       default_start_block = excluded.default_start_block,
       trove_manager_address = COALESCE(excluded.trove_manager_address, loan_contracts.trove_manager_address),
+      price_feed_address = COALESCE(excluded.price_feed_address, loan_contracts.price_feed_address),
       updated_at = datetime('now')
   `);
+  const hasTokens = db.prepare(
+    "SELECT 1 FROM loan_contracts WHERE contract_key = ? AND coll_token_address IS NOT NULL AND debt_token_address IS NOT NULL"
+  );
+  const hasTrackedTroves = db.prepare("SELECT 1 FROM tracked_troves WHERE contract_key = ? LIMIT 1");
+  const hasPool = db.prepare(
+    "SELECT 1 FROM loan_contracts WHERE contract_key = ? AND stability_pool_address IS NOT NULL"
+  );
+  const hasPriceFeed = db.prepare(
+    "SELECT 1 FROM loan_contracts WHERE contract_key = ? AND price_feed_address IS NOT NULL"
+  );
+  const setPool = db.prepare(
+    "UPDATE loan_contracts SET stability_pool_address = ?, updated_at = datetime('now') WHERE contract_key = ?"
+  );
+  const setTokens = db.prepare(`
+    UPDATE loan_contracts SET
+      coll_token_address = ?, coll_symbol = ?, coll_decimals = ?,
+      debt_token_address = ?, debt_symbol = ?, debt_decimals = ?,
+      updated_at = datetime('now')
+    WHERE contract_key = ?
+  `);
 
   for (const c of contracts) {
     const nft = new ethers.Contract(c.address, troveNftAbi, provider);
     const tmAddr = await nft.troveManager();
-    upsert.run(c.key, c.protocol, ethers.getAddress(c.address), c.default_start_block, tmAddr);
+    const priceFeed =
+      c.addresses_registry && !hasPriceFeed.get(c.key) ? await registryPriceFeed(provider, c, tmAddr) : null;
+    upsert.run(c.key, c.chain, c.protocol, ethers.getAddress(c.address), c.default_start_block, tmAddr, priceFeed);
+
+    // Databases indexed before tracked_troves was maintained.
+    if (!hasTrackedTroves.get(c.key)) {
+      const n = rebuildTrackedTroves(db, c.chain, c.key);
+      if (n) log.info(`[scanRedemptions] ${c.key}: rebuilt ${n} tracked troves`);
+    }
+
+    // Pool and token addresses never change for a branch, so resolve them once.
+    if (!hasPool.get(c.key)) {
+      const tm = new ethers.Contract(tmAddr, troveManagerAbi, provider);
+      setPool.run(ethers.getAddress(await tm.stabilityPool()), c.key);
+    }
+    if (hasTokens.get(c.key)) continue;
+    const { coll, debt } = await resolveTroveManagerTokens(provider, tmAddr);
+    setTokens.run(coll.address, coll.symbol, coll.decimals, debt.address, debt.symbol, debt.decimals, c.key);
+    log.info(`[scanRedemptions] ${c.key}: collateral ${coll.symbol} (${coll.decimals}), debt ${debt.symbol} (${debt.decimals})`);
   }
 }
 
-function ensureCursor(db, cursorKey, startBlock) {
+// The PriceFeed in a contract's configured AddressesRegistry, if it is that branch's registry.
+async function registryPriceFeed(provider, c, tmAddr) {
+  const { troveManager, priceFeed } = await readAddressesRegistry(provider, c.addresses_registry);
+  if (troveManager.toLowerCase() !== tmAddr.toLowerCase()) {
+    log.warn(`[scanRedemptions] ${c.key}: addresses_registry ${c.addresses_registry} belongs to another branch; ignoring it`);
+    return null;
+  }
+  log.info(`[scanRedemptions] ${c.key}: price feed ${priceFeed}`);
+  return priceFeed;
+}
+
+// Contracts whose TroveManager address is known (set by ensureContracts).
+function withTroveManagers(db, contracts) {
+  const stmt = db.prepare("SELECT trove_manager_address FROM loan_contracts WHERE contract_key = ?");
+  const out = [];
+  for (const c of contracts) {
+    const row = stmt.get(c.key);
+    if (!row?.trove_manager_address) continue;
+    out.push({ ...c, troveManager: row.trove_manager_address });
+  }
+  return out;
+}
+
+function ensureCursor(db, cursorKey, chain, startBlock) {
   db.prepare(
     `
-    INSERT INTO scan_cursors (cursor_key, start_block, last_scanned_block)
-    VALUES (?, ?, 0)
+    INSERT INTO scan_cursors (cursor_key, chain_id, start_block, last_scanned_block)
+    VALUES (?, ?, ?, 0)
     ON CONFLICT(cursor_key) DO NOTHING
   `
-  ).run(cursorKey, startBlock);
+  ).run(cursorKey, chain, startBlock);
 }
 
 function updateCursor(db, cursorKey, lastBlock) {
@@ -170,106 +186,150 @@ function updateCursor(db, cursorKey, lastBlock) {
   ).run(lastBlock, cursorKey);
 }
 
-async function scanLoanNftTransfers(db, provider, contract) {
+function parseTransferLogs(logs, blockTsMap) {
+  const events = [];
+  for (const lg of logs) {
+    if (!lg.topics || lg.topics.length < 4) continue;
+    const li = getStableLogIndex(lg);
+    if (li == null) continue;
+    const txHash = lg.transactionHash;
+    if (!txHash) continue;
+    const from = addressFromTopic(lg.topics[1]);
+    const to = addressFromTopic(lg.topics[2]);
+    const fromLower = from.toLowerCase();
+    const toLower = to.toLowerCase();
+    const tokenId = tokenIdFromTopic(lg.topics[3]);
+    const burned = isBurn(toLower);
+    events.push({
+      blockNumber: lg.blockNumber,
+      blockHash: lg.blockHash,
+      blockTimestamp: blockTsMap.get(lg.blockNumber) ?? null,
+      txHash,
+      logIndex: li,
+      fromLower,
+      toLower,
+      tokenId,
+      isBurned: burned,
+    });
+  }
+  return events;
+}
+
+async function scanLoanNftTransfers(
+  db,
+  provider,
+  contract,
+  sizer,
+  scriptRun,
+  { headBlock = null, quiet = false } = {}
+) {
+  const info = quiet ? log.debug : log.info;
+  const pauseMs = scanPauseMs(contract.chain);
   const cursorKey = `loan_nft:${contract.key}:transfer`;
-  ensureCursor(db, cursorKey, contract.default_start_block);
+  ensureCursor(db, cursorKey, contract.chain, contract.default_start_block);
   const cursor = db
     .prepare("SELECT start_block, last_scanned_block FROM scan_cursors WHERE cursor_key = ?")
     .get(cursorKey);
   const startBlock = cursor.start_block;
   const lastScanned = cursor.last_scanned_block;
-  const latestBlock = await provider.getBlockNumber();
+  const latestBlock = headBlock ?? (await provider.getBlockNumber());
   let fromBlock = lastScanned > 0 ? Math.max(startBlock, lastScanned - OVERLAP_BLOCKS) : startBlock;
   if (fromBlock > latestBlock) return;
 
-  const totalWindows = scanWindowCount(fromBlock, latestBlock, FLR_SCAN_BLOCKS);
+  const run = startCursorRun(db, {
+    script: "scanTroves",
+    cursorKey,
+    startBlock: fromBlock,
+    targetBlock: latestBlock,
+    parent: scriptRun,
+  });
   let lastGoodBlock = fromBlock - 1;
   let windowIndex = 0;
-  log.info(`\n=== FLR LOAN_NFT ${contract.key} ===`);
-  log.info(`  start_block=${startBlock} last_scanned=${lastScanned}`);
-  log.info(`  latestBlock=${latestBlock}`);
-  log.info("  mode=all-transfers");
-  log.debug(
-    `  windows=${totalWindows} window_size=${FLR_SCAN_BLOCKS} overlap=${OVERLAP_BLOCKS} pause=${FLR_PAUSE_MS}ms`
-  );
+  info(`\n=== ${contract.chain} LOAN_NFT ${contract.key} ===`);
+  info(`  start_block=${startBlock} last_scanned=${lastScanned}`);
+  info(`  latestBlock=${latestBlock}`);
+  info("  mode=all-transfers");
+  log.debug(`  window_size=${sizer.size()} overlap=${OVERLAP_BLOCKS} pause=${pauseMs}ms`);
 
   const insertTransfer = db.prepare(`
     INSERT INTO loan_nft_transfers (
-      contract_key, block_number, block_timestamp, tx_hash, log_index, from_addr, to_addr, token_id, is_burned
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      chain_id, contract_key, block_number, block_timestamp, tx_hash, log_index, from_addr, to_addr, token_id, is_burned
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(contract_key, tx_hash, log_index) DO NOTHING
   `);
 
-  for (let b = fromBlock; b <= latestBlock; b += FLR_SCAN_BLOCKS + 1) {
-    const toBlock = Math.min(b + FLR_SCAN_BLOCKS, latestBlock);
-    windowIndex++;
-
-    log.debug(`      [${windowIndex}/${totalWindows}] blocks ${b} → ${toBlock}`);
-
-    const res = await getLogsWithRetry(provider, {
-      address: ethers.getAddress(contract.address),
-      fromBlock: b,
-      toBlock,
-      topics: [TRANSFER_TOPIC],
-    });
-    if (!res.ok) break;
-
-    const blockTsMap = await resolveBlockTimestamps(provider, res.logs);
-    const events = [];
-    for (const lg of res.logs) {
-      if (!lg.topics || lg.topics.length < 4) continue;
-      const li = getStableLogIndex(lg);
-      if (li == null) continue;
-      const txHash = lg.transactionHash;
-      if (!txHash) continue;
-      const from = addressFromTopic(lg.topics[1]);
-      const to = addressFromTopic(lg.topics[2]);
-      const fromLower = from.toLowerCase();
-      const toLower = to.toLowerCase();
-      const tokenId = tokenIdFromTopic(lg.topics[3]);
-      const burned = isBurn(toLower);
-      events.push({
-        blockNumber: lg.blockNumber,
-        blockTimestamp: blockTsMap.get(lg.blockNumber) ?? null,
-        txHash,
-        logIndex: li,
-        fromLower,
-        toLower,
-        tokenId,
-        isBurned: burned,
-      });
-    }
-
-    if (events.length) {
-      const tx = db.transaction((items) => {
-        for (const e of items) {
-          insertTransfer.run(
-            contract.key,
-            e.blockNumber,
-            e.blockTimestamp,
-            e.txHash,
-            e.logIndex,
-            e.fromLower,
-            e.toLower,
-            e.tokenId,
-            e.isBurned ? 1 : 0
-          );
-        }
+  try {
+    let b = fromBlock;
+    while (b <= latestBlock) {
+      const toBlock = Math.min(b + sizer.size(), latestBlock);
+      windowIndex++;
+      run.windowsAttempted++;
+
+      log.debug(`      [${windowIndex}] blocks ${b} → ${toBlock}`);
+
+      const res = await getLogsWithRetry(provider, {
+        address: ethers.getAddress(contract.address),
+        fromBlock: b,
+        toBlock,
+        topics: [TRANSFER_TOPIC],
       });
-      tx(events);
-    }
+      if (!res.ok) {
+        if (res.rangeTooLarge && sizer.shrink()) continue;
+        run.error = res.error;
+        break;
+      }
+      sizer.grow();
+      run.logsIngested += res.logs.length;
+
+      const blockTsMap = await resolveBlockTimestamps(
+        db,
+        provider,
+        res.logs.map((lg) => lg.blockNumber)
+      );
+      const events = parseTransferLogs(res.logs, blockTsMap);
+
+      if (events.length) {
+        const tx = db.transaction((items) => {
+          for (const e of items) {
+            insertTransfer.run(
+              contract.chain,
+              contract.key,
+              e.blockNumber,
+              e.blockTimestamp,
+              e.txHash,
+              e.logIndex,
+              e.fromLower,
+              e.toLower,
+              e.tokenId,
+              e.isBurned ? 1 : 0
+            );
+          }
+          refreshTrackedTroves(db, contract.chain, contract.key, items.map((e) => e.tokenId));
+          recordBlockHashes(db, contract.chain, items);
+        });
+        tx(events);
+      }
 
-    log.debug(`        logs=${res.logs.length} matched=${events.length}`);
-    if (FLR_PAUSE_MS > 0) log.debug(`        pause ${FLR_PAUSE_MS}ms`);
+      log.debug(`        logs=${res.logs.length} matched=${events.length}`);
+      if (pauseMs > 0) log.debug(`        pause ${pauseMs}ms`);
 
-    lastGoodBlock = toBlock;
-    if (FLR_PAUSE_MS > 0) await sleep(FLR_PAUSE_MS);
+      lastGoodBlock = toBlock;
+      run.endBlock = toBlock;
+      run.windowsCompleted++;
+      b = toBlock + 1;
+      if (pauseMs > 0) await sleep(pauseMs);
+    }
+  } catch (err) {
+    endCursorRun(db, run, err);
+    throw err;
   }
 
   if (lastGoodBlock >= fromBlock) {
     updateCursor(db, cursorKey, lastGoodBlock);
-    log.info(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${latestBlock - fromBlock + 1} blocks)`);
+    await recordCursorTip(db, provider, lastGoodBlock);
+    info(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${latestBlock - fromBlock + 1} blocks)`);
   }
+  endCursorRun(db, run);
 }
 
 function buildEventData(parsed) {
@@ -284,161 +344,325 @@ function buildEventData(parsed) {
   return data;
 }
 
-async function scanTroveManagerEvents(db, provider, contract) {
+function parseTroveManagerLogs(logs, blockTsMap) {
+  const items = [];
+  for (const lg of logs) {
+    const li = getStableLogIndex(lg);
+    if (li == null) continue;
+    const txHash = lg.transactionHash;
+    if (!txHash) continue;
+    const blockTimestamp = blockTsMap.get(lg.blockNumber) ?? null;
+    let parsed;
+    try {
+      parsed = troveManagerIface.parseLog({ topics: lg.topics, data: lg.data });
+    } catch {
+      continue;
+    }
+
+    if (parsed.name === "Redemption") {
+      const args = parsed.args;
+      items.push({
+        kind: "redemption",
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        attemptedBold: args._attemptedBoldAmount.toString(),
+        actualBold: args._actualBoldAmount.toString(),
+        ethSent: args._ETHSent.toString(),
+        ethFee: args._ETHFee.toString(),
+        price: args._price.toString(),
+        redemptionPrice: args._redemptionPrice.toString(),
+      });
+      continue;
+    }
+
+    if (parsed.name === "Liquidation") {
+      const args = parsed.args;
+      items.push({
+        kind: "liquidation",
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        debtOffsetBySP: args._debtOffsetBySP.toString(),
+        debtRedistributed: args._debtRedistributed.toString(),
+        boldGasCompensation: args._boldGasCompensation.toString(),
+        collGasCompensation: args._collGasCompensation.toString(),
+        collSentToSP: args._collSentToSP.toString(),
+        collRedistributed: args._collRedistributed.toString(),
+        collSurplus: args._collSurplus.toString(),
+        price: args._price.toString(),
+      });
+      continue;
+    }
+
+    if (parsed.name === "BatchUpdated") {
+      const args = parsed.args;
+      items.push({
+        kind: "batch",
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        batchManager: args._interestBatchManager,
+        operation: Number(args._operation),
+        debt: args._debt.toString(),
+        coll: args._coll.toString(),
+        annualInterestRate: args._annualInterestRate.toString(),
+        annualManagementFee: args._annualManagementFee.toString(),
+        totalDebtShares: args._totalDebtShares.toString(),
+        debtIncreaseFromUpfrontFee: args._debtIncreaseFromUpfrontFee.toString(),
+      });
+      continue;
+    }
+
+    if (
+      parsed.name === "RedemptionFeePaidToTrove" ||
+      parsed.name === "TroveUpdated" ||
+      parsed.name === "TroveOperation" ||
+      parsed.name === "BatchedTroveUpdated"
+    ) {
+      const troveId = parsed.args._troveId?.toString();
+      if (!troveId) continue;
+      const data = buildEventData(parsed);
+      items.push({
+        kind: "trove",
+        eventName: parsed.name,
+        blockNumber: lg.blockNumber,
+        blockHash: lg.blockHash,
+        blockTimestamp,
+        txHash,
+        logIndex: li,
+        troveId,
+        dataJson: JSON.stringify(data),
+      });
+    }
+  }
+  return items;
+}
+
+async function scanTroveManagerEvents(
+  db,
+  provider,
+  contract,
+  sizer,
+  scriptRun,
+  { headBlock = null, quiet = false } = {}
+) {
+  const info = quiet ? log.debug : log.info;
+  const pauseMs = scanPauseMs(contract.chain);
   const cursorKey = `trove_manager:${contract.key}:events`;
-  ensureCursor(db, cursorKey, contract.default_start_block);
+  ensureCursor(db, cursorKey, contract.chain, contract.default_start_block);
   const cursor = db
     .prepare("SELECT start_block, last_scanned_block FROM scan_cursors WHERE cursor_key = ?")
     .get(cursorKey);
   const startBlock = cursor.start_block;
   const lastScanned = cursor.last_scanned_block;
-  const latestBlock = await provider.getBlockNumber();
+  const latestBlock = headBlock ?? (await provider.getBlockNumber());
   let fromBlock = lastScanned > 0 ? Math.max(startBlock, lastScanned - OVERLAP_BLOCKS) : startBlock;
   if (fromBlock > latestBlock) return;
 
-  const iface = new ethers.Interface(troveManagerAbi);
-  const topics = [
-    iface.getEvent("Redemption").topicHash,
-    iface.getEvent("RedemptionFeePaidToTrove").topicHash,
-    iface.getEvent("TroveUpdated").topicHash,
-    iface.getEvent("TroveOperation").topicHash,
-  ];
-
   const insertRedemption = db.prepare(`
     INSERT INTO redemption_events (
-      contract_key, block_number, block_timestamp, tx_hash, log_index,
+      chain_id, contract_key, block_number, block_timestamp, tx_hash, log_index,
       attempted_bold, actual_bold, eth_sent, eth_fee, price, redemption_price
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(contract_key, tx_hash, log_index) DO NOTHING
+  `);
+
+  const insertLiquidation = db.prepare(`
+    INSERT INTO liquidation_events (
+      chain_id, contract_key, block_number, block_timestamp, tx_hash, log_index,
+      debt_offset_by_sp, debt_redistributed, bold_gas_compensation, coll_gas_compensation,
+      coll_sent_to_sp, coll_redistributed, coll_surplus, price
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(contract_key, tx_hash, log_index) DO NOTHING
+  `);
+
+  const insertBatch = db.prepare(`
+    INSERT INTO batch_events (
+      chain_id, contract_key, batch_manager, block_number, block_timestamp, tx_hash, log_index,
+      operation, debt, coll, annual_interest_rate, annual_management_fee,
+      total_debt_shares, debt_increase_from_upfront_fee
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(contract_key, tx_hash, log_index) DO NOTHING
   `);
 
   const insertTroveEvent = db.prepare(`
     INSERT INTO trove_events (
-      contract_key, event_name, block_number, block_timestamp, tx_hash, log_index, trove_id, data_json
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      chain_id, contract_key, event_name, block_number, block_timestamp, tx_hash, log_index, trove_id, data_json
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(contract_key, tx_hash, log_index) DO NOTHING
   `);
 
-  log.info(`\n=== FLR TROVE_EVENTS ${contract.key} ===`);
-  log.info(`  start_block=${startBlock} last_scanned=${lastScanned}`);
-  log.info(`  latestBlock=${latestBlock}`);
-  log.info("  mode=all-events");
-  const totalWindows = scanWindowCount(fromBlock, latestBlock, FLR_SCAN_BLOCKS);
-  log.debug(
-    `  windows=${totalWindows} window_size=${FLR_SCAN_BLOCKS} overlap=${OVERLAP_BLOCKS} pause=${FLR_PAUSE_MS}ms`
-  );
-
+  info(`\n=== ${contract.chain} TROVE_EVENTS ${contract.key} ===`);
+  info(`  start_block=${startBlock} last_scanned=${lastScanned}`);
+  info(`  latestBlock=${latestBlock}`);
+  info("  mode=all-events");
+  log.debug(`  window_size=${sizer.size()} overlap=${OVERLAP_BLOCKS} pause=${pauseMs}ms`);
+
+  const run = startCursorRun(db, {
+    script: "scanTroves",
+    cursorKey,
+    startBlock: fromBlock,
+    targetBlock: latestBlock,
+    parent: scriptRun,
+  });
   let lastGoodBlock = fromBlock - 1;
-  for (let b = fromBlock; b <= latestBlock; b += FLR_SCAN_BLOCKS + 1) {
-    const toBlock = Math.min(b + FLR_SCAN_BLOCKS, latestBlock);
-    const windowIndex = Math.floor((b - fromBlock) / (FLR_SCAN_BLOCKS + 1)) + 1;
-    log.debug(`      [${windowIndex}/${totalWindows}] blocks ${b} → ${toBlock}`);
-    const res = await getLogsWithRetry(provider, {
-      address: ethers.getAddress(contract.troveManager),
-      fromBlock: b,
-      toBlock,
-      topics: [topics],
-    });
-    if (!res.ok) break;
-
-    const blockTsMap = await resolveBlockTimestamps(provider, res.logs);
-    const items = [];
-    for (const lg of res.logs) {
-      const li = getStableLogIndex(lg);
-      if (li == null) continue;
-      const txHash = lg.transactionHash;
-      if (!txHash) continue;
-      const blockTimestamp = blockTsMap.get(lg.blockNumber) ?? null;
-      let parsed;
-      try {
-        parsed = iface.parseLog({ topics: lg.topics, data: lg.data });
-      } catch {
-        continue;
+  let windowIndex = 0;
+  try {
+    let b = fromBlock;
+    while (b <= latestBlock) {
+      const toBlock = Math.min(b + sizer.size(), latestBlock);
+      windowIndex++;
+      run.windowsAttempted++;
+      log.debug(`      [${windowIndex}] blocks ${b} → ${toBlock}`);
+      const res = await getLogsWithRetry(provider, {
+        address: ethers.getAddress(contract.troveManager),
+        fromBlock: b,
+        toBlock,
+        topics: [TROVE_MANAGER_TOPICS],
+      });
+      if (!res.ok) {
+        if (res.rangeTooLarge && sizer.shrink()) continue;
+        run.error = res.error;
+        break;
       }
-
-      if (parsed.name === "Redemption") {
-        const args = parsed.args;
-        items.push({
-          kind: "redemption",
-          blockNumber: lg.blockNumber,
-          blockTimestamp,
-          txHash,
-          logIndex: li,
-          attemptedBold: args._attemptedBoldAmount.toString(),
-          actualBold: args._actualBoldAmount.toString(),
-          ethSent: args._ETHSent.toString(),
-          ethFee: args._ETHFee.toString(),
-          price: args._price.toString(),
-          redemptionPrice: args._redemptionPrice.toString(),
+      sizer.grow();
+      run.logsIngested += res.logs.length;
+
+      const blockTsMap = await resolveBlockTimestamps(
+        db,
+        provider,
+        res.logs.map((lg) => lg.blockNumber)
+      );
+      const items = parseTroveManagerLogs(res.logs, blockTsMap);
+
+      if (items.length) {
+        const tx = db.transaction((arr) => {
+          for (const it of arr) {
+            if (it.kind === "redemption") {
+              insertRedemption.run(
+                contract.chain,
+                contract.key,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.attemptedBold,
+                it.actualBold,
+                it.ethSent,
+                it.ethFee,
+                it.price,
+                it.redemptionPrice
+              );
+            } else if (it.kind === "liquidation") {
+              insertLiquidation.run(
+                contract.chain,
+                contract.key,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.debtOffsetBySP,
+                it.debtRedistributed,
+                it.boldGasCompensation,
+                it.collGasCompensation,
+                it.collSentToSP,
+                it.collRedistributed,
+                it.collSurplus,
+                it.price
+              );
+            } else if (it.kind === "batch") {
+              insertBatch.run(
+                contract.chain,
+                contract.key,
+                it.batchManager,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.operation,
+                it.debt,
+                it.coll,
+                it.annualInterestRate,
+                it.annualManagementFee,
+                it.totalDebtShares,
+                it.debtIncreaseFromUpfrontFee
+              );
+            } else if (it.kind === "trove") {
+              insertTroveEvent.run(
+                contract.chain,
+                contract.key,
+                it.eventName,
+                it.blockNumber,
+                it.blockTimestamp,
+                it.txHash,
+                it.logIndex,
+                it.troveId,
+                it.dataJson
+              );
+            }
+          }
+          const troveIds = arr.filter((it) => it.kind === "trove").map((it) => it.troveId);
+          const batchManagers = arr.filter((it) => it.kind === "batch").map((it) => it.batchManager);
+          troveIds.push(...batchMemberIds(db, contract.key, batchManagers));
+          refreshTrackedTroves(db, contract.chain, contract.key, troveIds);
+          recordBlockHashes(db, contract.chain, arr);
         });
-        continue;
+        tx(items);
       }
 
-      if (
-        parsed.name === "RedemptionFeePaidToTrove" ||
-        parsed.name === "TroveUpdated" ||
-        parsed.name === "TroveOperation"
-      ) {
-        const troveId = parsed.args._troveId?.toString();
-        if (!troveId) continue;
-        const data = buildEventData(parsed);
-        items.push({
-          kind: "trove",
-          eventName: parsed.name,
-          blockNumber: lg.blockNumber,
-          blockTimestamp,
-          txHash,
-          logIndex: li,
-          troveId,
-          dataJson: JSON.stringify(data),
-        });
-      }
-    }
+      log.debug(`        logs=${res.logs.length} items=${items.length}`);
+      if (pauseMs > 0) log.debug(`        pause ${pauseMs}ms`);
 
-    if (items.length) {
-      const tx = db.transaction((arr) => {
-        for (const it of arr) {
-          if (it.kind === "redemption") {
-            insertRedemption.run(
-              contract.key,
-              it.blockNumber,
-              it.blockTimestamp,
-              it.txHash,
-              it.logIndex,
-              it.attemptedBold,
-              it.actualBold,
-              it.ethSent,
-              it.ethFee,
-              it.price,
-              it.redemptionPrice
-            );
-          } else if (it.kind === "trove") {
-            insertTroveEvent.run(
-              contract.key,
-              it.eventName,
-              it.blockNumber,
-              it.blockTimestamp,
-              it.txHash,
-              it.logIndex,
-              it.troveId,
-              it.dataJson
-            );
-          }
-        }
-      });
-      tx(items);
+      lastGoodBlock = toBlock;
+      run.endBlock = toBlock;
+      run.windowsCompleted++;
+      b = toBlock + 1;
+      if (pauseMs > 0) await sleep(pauseMs);
     }
-
-    log.debug(`        logs=${res.logs.length} items=${items.length}`);
-    if (FLR_PAUSE_MS > 0) log.debug(`        pause ${FLR_PAUSE_MS}ms`);
-
-    lastGoodBlock = toBlock;
-    if (FLR_PAUSE_MS > 0) await sleep(FLR_PAUSE_MS);
+  } catch (err) {
+    endCursorRun(db, run, err);
+    throw err;
   }
 
   if (lastGoodBlock >= fromBlock) {
     updateCursor(db, cursorKey, lastGoodBlock);
-    log.info(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${latestBlock - fromBlock + 1} blocks)`);
+    await recordCursorTip(db, provider, lastGoodBlock);
+    info(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${latestBlock - fromBlock + 1} blocks)`);
+  }
+  endCursorRun(db, run);
+}
+
+async function scanChain(db, chain, contracts, scriptRun) {
+  log.info(`[scanRedemptions] Initializing ${chain} RPC provider...`);
+  const provider = buildProvider(chain);
+  try {
+    const network = await Promise.race([
+      provider.getNetwork(),
+      // unref: a pending timer would keep the process (and its lock) alive after the scan.
+      new Promise((_, reject) => setTimeout(() => reject(new Error("RPC init timeout")), 15000).unref()),
+    ]);
+    log.info(`[scanRedemptions] RPC ready: chainId=${network.chainId}`);
+
+    await detectAndRollbackReorg(db, provider);
+    await ensureContracts(db, provider, contracts);
+    const sizer = createWindowSizer(db, chain);
+    for (const c of contracts) {
+      log.info(`[scanRedemptions] Scan transfers: ${c.key}`);
+      await scanLoanNftTransfers(db, provider, c, sizer, scriptRun);
+    }
+    for (const c of withTroveManagers(db, contracts)) {
+      log.info(`[scanRedemptions] Scan trove events: ${c.key}`);
+      await scanTroveManagerEvents(db, provider, c, sizer, scriptRun);
+    }
+  } finally {
+    provider.logHealth();
   }
 }
 
@@ -460,45 +684,50 @@ async function main() {
   });
 
   log.info("[scanRedemptions] Starting scan...");
-  const cfg = readJson(path.join(__dirname, "..", "data", "loan_contracts.json"));
-  const contracts = cfg?.chains?.FLR?.contracts || [];
+  const db = openDb();
+  const contracts = loadLoanContracts(db);
   if (!contracts.length) {
     log.error("[scanRedemptions] No contracts found.");
+    db.close();
     process.exit(1);
   }
 
-  log.info("[scanRedemptions] Initializing RPC provider...");
-  const provider = buildProvider();
-  const network = await Promise.race([
-    provider.getNetwork(),
-    new Promise((_, reject) => setTimeout(() => reject(new Error("RPC init timeout")), 15000)),
-  ]);
-  log.info(`[scanRedemptions] RPC ready: chainId=${network.chainId}`);
-
-  const db = openDb();
+  const scriptRun = startScanRun(db, { script: "scanTroves" });
+  let firstErr = null;
   try {
-    await ensureContracts(db, provider, contracts);
-    for (const c of contracts) {
-      log.info(`[scanRedemptions] Scan transfers: ${c.key}`);
-      await scanLoanNftTransfers(db, provider, c);
-    }
-    for (const c of contracts) {
-      const row = db
-        .prepare("SELECT trove_manager_address FROM loan_contracts WHERE contract_key = ?")
-        .get(c.key);
-      if (!row?.trove_manager_address) continue;
-      log.info(`[scanRedemptions] Scan trove events: ${c.key}`);
-      await scanTroveManagerEvents(db, provider, {
-        ...c,
-        troveManager: row.trove_manager_address,
-      });
+    for (const [chain, chainContracts] of groupByChain(contracts)) {
+      if (!hasRpcConfig(chain)) {
+        log.warn(`[scanRedemptions] DATUM_${chain}_SCAN_RPC not set; skipping ${chain}`);
+        continue;
+      }
+      try {
+        await scanChain(db, chain, chainContracts, scriptRun);
+      } catch (err) {
+        log.error(`[scanRedemptions] ${chain} scan failed:`, err);
+        firstErr = firstErr || err;
+      }
     }
+    finishScanRun(db, scriptRun, firstErr);
   } finally {
     db.close();
   }
+  if (firstErr) throw firstErr;
 }
 
-main().catch((err) => {
-  log.error("[scanRedemptions] FATAL:", err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    log.error("[scanRedemptions] FATAL:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  TROVE_MANAGER_TOPICS,
+  parseTransferLogs,
+  parseTroveManagerLogs,
+  ensureContracts,
+  withTroveManagers,
+  scanLoanNftTransfers,
+  scanTroveManagerEvents,
+};
@@ -1,5 +1,4 @@
 const path = require("path");
-const { ethers } = require("ethers");
 
 require("dotenv").config({
   path: path.join(__dirname, "..", ".env"),
@@ -18,11 +17,13 @@ function requireEnv(name) {
   return v;
 }
 
-const BLOCKS = Number(requireEnv("DATUM_FLR_SCAN_BLOCKS"));
+// Optional first argument picks the chain, e.g. `node scripts/testRpcLogs.js SGB`.
+const CHAIN = (process.argv[2] || "FLR").toUpperCase();
+const BLOCKS = Number(requireEnv(`DATUM_${CHAIN}_SCAN_BLOCKS`));
 const OVERLAP = Number(requireEnv("DATUM_SCAN_OVERLAP_BLOCKS"));
 
 if (!Number.isInteger(BLOCKS) || BLOCKS <= 0) {
-  log.error("[testRpcLogs] DATUM_FLR_SCAN_BLOCKS must be a positive integer");
+  log.error(`[testRpcLogs] DATUM_${CHAIN}_SCAN_BLOCKS must be a positive integer`);
   process.exit(1);
 }
 if (!Number.isInteger(OVERLAP) || OVERLAP < 0) {
@@ -30,23 +31,36 @@ if (!Number.isInteger(OVERLAP) || OVERLAP < 0) {
   process.exit(1);
 }
 
-async function main() {
-  const provider = buildProvider();
-  const latest = await provider.getBlockNumber();
+async function testEndpoint(ep) {
+  const latest = await ep.provider.getBlockNumber();
   const toBlock = latest;
   const fromBlock = Math.max(0, latest - BLOCKS);
 
   const t0 = Date.now();
-  log.info(`[testRpcLogs] Testing eth_getLogs window ${fromBlock} → ${toBlock}`);
+  log.info(`[testRpcLogs] ${ep.label}: testing eth_getLogs window ${fromBlock} → ${toBlock}`);
 
-  const res = await provider.getLogs({
+  const res = await ep.provider.getLogs({
     fromBlock,
     toBlock,
   });
 
   const ms = Date.now() - t0;
-  log.info(`[testRpcLogs] Success. logs=${res.length} elapsed_ms=${ms}`);
-  log.info(`[testRpcLogs] If this fails, reduce DATUM_FLR_SCAN_BLOCKS or add pause.`);
+  log.info(`[testRpcLogs] ${ep.label}: success. logs=${res.length} elapsed_ms=${ms}`);
+}
+
+async function main() {
+  const provider = buildProvider(CHAIN);
+  let failed = 0;
+  for (const ep of provider.endpoints) {
+    try {
+      await testEndpoint(ep);
+    } catch (err) {
+      failed++;
+      log.error(`[testRpcLogs] ${ep.label}: failed:`, err?.message || err);
+    }
+  }
+  log.info(`[testRpcLogs] If this fails, reduce DATUM_${CHAIN}_SCAN_BLOCKS or add pause.`);
+  if (failed === provider.endpoints.length) process.exit(1);
 }
 
 main().catch((err) => {
@@ -0,0 +1,440 @@
+// ./utils/alerts.js
+
+const { EmbedBuilder } = require("discord.js");
+const { ethers } = require("ethers");
+const { initSchema } = require("../db");
+const { openDatumDb } = require("./db");
+const { getUserWallets } = require("./sentinel");
+const { loadOwnedTroves, ownerAt } = require("./troveOwnership");
+const { loadLoanTokenMeta, loadPoolTokenMeta } = require("./tokenMeta");
+const { branchPool, estimateDepositorShare } = require("./spGains");
+const log = require("./logger");
+
+const POLL_MS = Number(process.env.DATUM_ALERT_POLL_MS || "30000");
+const DIGEST_HOURS = Number(process.env.DATUM_ALERT_DIGEST_HOURS || "24");
+const MAX_ATTEMPTS = 3;
+const MAX_DIGEST_CHARS = 4000;
+
+const TROVE_ALERT_OPS = {
+  5: "liquidated",
+  6: "redeemed against",
+};
+
+function parseJsonSafe(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function formatSigned(value, decimals) {
+  if (value == null) return "n/a";
+  const v = BigInt(value);
+  const neg = v < 0n;
+  const s = ethers.formatUnits(neg ? -v : v, decimals);
+  return neg ? `-${s}` : `+${s}`;
+}
+
+function shortId(troveId) {
+  const s = String(troveId);
+  return s.length > 10 ? `…${s.slice(-8)}` : s;
+}
+
+function shortAddr(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
+}
+
+function blockValue(p) {
+  return p.block_timestamp ? `${p.block_number} (<t:${p.block_timestamp}:f>)` : String(p.block_number);
+}
+
+function whenSuffix(p) {
+  return p.block_timestamp ? ` · <t:${p.block_timestamp}:f>` : ` · block ${p.block_number}`;
+}
+
+// New liquidations and redemptions on troves the user held at that block.
+function collectTroveAlerts(db, sub, maxId) {
+  const wallets = getUserWallets(db, sub.discord_id);
+  if (!wallets.length) return [];
+  const owned = loadOwnedTroves(db, wallets);
+  if (!owned.size) return [];
+
+  const rows = db
+    .prepare(
+      `
+      SELECT chain_id, contract_key, trove_id, block_number, block_timestamp, tx_hash, log_index, data_json
+      FROM trove_events
+      WHERE id > ? AND id <= ? AND event_name = 'TroveOperation'
+      ORDER BY id
+    `
+    )
+    .all(sub.last_event_id, maxId);
+
+  const alerts = [];
+  for (const row of rows) {
+    const periods = owned.get(row.contract_key)?.get(row.trove_id);
+    if (!periods) continue;
+    const op = parseJsonSafe(row.data_json);
+    const opCode = Number(op?._operation);
+    if (!TROVE_ALERT_OPS[opCode]) continue;
+    const owner = ownerAt(periods, row.block_number, row.log_index);
+    if (!owner) continue;
+    alerts.push({
+      eventKey: `${row.contract_key}:${row.tx_hash}:${row.log_index}`,
+      chainId: row.chain_id,
+      payload: {
+        contract_key: row.contract_key,
+        trove_id: row.trove_id,
+        owner,
+        op: opCode,
+        debt_delta: op._debtChangeFromOperation ?? null,
+        coll_delta: op._collChangeFromOperation ?? null,
+        tx_hash: row.tx_hash,
+        block_number: row.block_number,
+        block_timestamp: row.block_timestamp,
+      },
+    });
+  }
+  return alerts;
+}
+
+function renderTroveAlert(db, chainId, p) {
+  const meta = loadLoanTokenMeta(db)(p.contract_key);
+  const embed = new EmbedBuilder()
+    .setTitle(`Datum — Trove ${TROVE_ALERT_OPS[p.op]}`)
+    .setDescription(`${chainId} · ${meta.symbol} trove ${shortId(p.trove_id)} held by ${p.owner}`)
+    .addFields(
+      { name: "Debt change", value: `${formatSigned(p.debt_delta, meta.debtDecimals)} ${meta.debtSymbol}`, inline: true },
+      { name: "Collateral change", value: `${formatSigned(p.coll_delta, meta.decimals)} ${meta.symbol}`, inline: true },
+      { name: "Tx", value: `\`${p.tx_hash}\``, inline: false },
+      { name: "Block", value: blockValue(p), inline: false }
+    );
+  return { embeds: [embed] };
+}
+
+function summarizeTroveAlert(db, chainId, p) {
+  const meta = loadLoanTokenMeta(db)(p.contract_key);
+  return (
+    `${chainId} · ${meta.symbol} trove ${shortId(p.trove_id)} ${TROVE_ALERT_OPS[p.op]}: ` +
+    `debt ${formatSigned(p.debt_delta, meta.debtDecimals)} ${meta.debtSymbol}${whenSuffix(p)}`
+  );
+}
+
+// Offsets still waiting for the pool scanner to index the pool balance at their block.
+function latestSpEventId(db) {
+  const pending = db
+    .prepare(
+      `
+      SELECT MIN(le.id) AS id
+      FROM liquidation_events le
+      JOIN loan_contracts lc ON lc.contract_key = le.contract_key
+      JOIN stability_pools sp
+        ON sp.chain_id = lc.chain_id AND lower(sp.address_eip55) = lower(lc.stability_pool_address)
+      LEFT JOIN sp_cursors c ON c.cursor_key = 'sp:' || sp.pool_key || ':deposit_ops'
+      WHERE COALESCE(c.last_scanned_block, 0) < le.block_number
+    `
+    )
+    .get();
+  if (pending.id != null) return pending.id - 1;
+  return db.prepare("SELECT COALESCE(MAX(id), 0) AS id FROM liquidation_events").get().id;
+}
+
+// New liquidations offset against a pool the user's wallets had a deposit in.
+function collectSpAlerts(db, sub, maxId) {
+  const wallets = getUserWallets(db, sub.discord_id);
+  if (!wallets.length) return [];
+
+  const rows = db
+    .prepare(
+      `
+      SELECT chain_id, contract_key, block_number, block_timestamp, tx_hash, log_index,
+             debt_offset_by_sp, coll_sent_to_sp
+      FROM liquidation_events
+      WHERE id > ? AND id <= ? AND debt_offset_by_sp != '0'
+      ORDER BY id
+    `
+    )
+    .all(sub.last_event_id, maxId);
+
+  const alerts = [];
+  for (const row of rows) {
+    const pool = branchPool(db, row.contract_key);
+    if (!pool) continue;
+    for (const w of wallets) {
+      if (w.chain_id !== row.chain_id) continue;
+      const share = estimateDepositorShare(db, row.contract_key, pool.pool_key, w.address_eip55, row);
+      if (!share || (share.debtBurned === 0n && share.collGained === 0n)) continue;
+      alerts.push({
+        eventKey: `${pool.pool_key}:${row.tx_hash}:${row.log_index}:${w.address_eip55.toLowerCase()}`,
+        chainId: row.chain_id,
+        payload: {
+          pool_key: pool.pool_key,
+          depositor: ethers.getAddress(w.address_eip55),
+          deposit: share.deposit.toString(),
+          pool_before: share.poolBefore.toString(),
+          debt_burned: share.debtBurned.toString(),
+          coll_gained: share.collGained.toString(),
+          pool_offset: row.debt_offset_by_sp,
+          pool_coll: row.coll_sent_to_sp,
+          tx_hash: row.tx_hash,
+          block_number: row.block_number,
+          block_timestamp: row.block_timestamp,
+        },
+      });
+    }
+  }
+  return alerts;
+}
+
+function sharePct(p) {
+  const before = BigInt(p.pool_before);
+  if (before === 0n) return "n/a";
+  return `${(Number((BigInt(p.deposit) * 1000000n) / before) / 10000).toFixed(4)}%`;
+}
+
+function renderSpAlert(db, chainId, p) {
+  const meta = loadPoolTokenMeta(db)(p.pool_key);
+  const embed = new EmbedBuilder()
+    .setTitle("Datum — Stability pool liquidation")
+    .setDescription(
+      `${chainId} · ${meta.symbol} pool · deposit of ${p.depositor}\n` +
+        "Estimated from the pool balance; exact amounts are settled at your next deposit operation."
+    )
+    .addFields(
+      { name: "Debt burned (est.)", value: `${ethers.formatUnits(p.debt_burned, meta.debtDecimals)} ${meta.debtSymbol}`, inline: true },
+      { name: "Collateral gained (est.)", value: `${ethers.formatUnits(p.coll_gained, meta.decimals)} ${meta.symbol}`, inline: true },
+      {
+        name: "Your deposit (est.)",
+        value: `${ethers.formatUnits(p.deposit, meta.debtDecimals)} ${meta.debtSymbol} · ${sharePct(p)} of pool`,
+        inline: false,
+      },
+      {
+        name: "Pool offset",
+        value:
+          `${ethers.formatUnits(p.pool_offset, meta.debtDecimals)} ${meta.debtSymbol} for ` +
+          `${ethers.formatUnits(p.pool_coll, meta.decimals)} ${meta.symbol}`,
+        inline: false,
+      },
+      { name: "Tx", value: `\`${p.tx_hash}\``, inline: false },
+      { name: "Block", value: blockValue(p), inline: false }
+    );
+  return { embeds: [embed] };
+}
+
+function summarizeSpAlert(db, chainId, p) {
+  const meta = loadPoolTokenMeta(db)(p.pool_key);
+  return (
+    `${chainId} · ${meta.symbol} pool · ${shortAddr(p.depositor)}: ` +
+    `-${ethers.formatUnits(p.debt_burned, meta.debtDecimals)} ${meta.debtSymbol}, ` +
+    `+${ethers.formatUnits(p.coll_gained, meta.decimals)} ${meta.symbol}${whenSuffix(p)}`
+  );
+}
+
+/**
+ * Alert kinds users can opt into. Each reads new rows of one append-only
+ * source table (by id) and renders a DM, or one digest line, from the stored
+ * payload.
+ */
+const ALERT_TYPES = {
+  trove: {
+    label: "Trove redemptions & liquidations",
+    latestEventId: (db) => db.prepare("SELECT COALESCE(MAX(id), 0) AS id FROM trove_events").get().id,
+    collect: collectTroveAlerts,
+    render: renderTroveAlert,
+    summarize: summarizeTroveAlert,
+  },
+  sp: {
+    label: "Stability pool liquidation gains",
+    latestEventId: latestSpEventId,
+    collect: collectSpAlerts,
+    render: renderSpAlert,
+    summarize: summarizeSpAlert,
+  },
+};
+
+const ALERT_MODES = {
+  event: "Each event",
+  digest: "Periodic summary",
+};
+
+/**
+ * Turn one alert type on or off for a Discord user. Enabling starts from the
+ * newest indexed row, so only events ingested from now on are sent. In digest
+ * mode the first summary goes out DIGEST_HOURS after switching to it.
+ */
+function setSubscription(db, discordId, alertType, enabled, mode = "event") {
+  if (!enabled) {
+    db.prepare(
+      `
+      UPDATE alert_subscriptions SET enabled = 0, updated_at = datetime('now')
+      WHERE discord_id = ? AND alert_type = ?
+    `
+    ).run(discordId, alertType);
+    return;
+  }
+  const latest = ALERT_TYPES[alertType].latestEventId(db);
+  db.prepare(
+    `
+    INSERT INTO alert_subscriptions (discord_id, alert_type, enabled, last_event_id, mode, last_digest_at)
+    VALUES (?, ?, 1, ?, ?, datetime('now'))
+    ON CONFLICT(discord_id, alert_type) DO UPDATE SET
+      last_event_id = CASE WHEN alert_subscriptions.enabled = 1
+        THEN alert_subscriptions.last_event_id ELSE excluded.last_event_id END,
+      last_digest_at = CASE WHEN alert_subscriptions.enabled = 1 AND alert_subscriptions.mode = excluded.mode
+        THEN alert_subscriptions.last_digest_at ELSE excluded.last_digest_at END,
+      enabled = 1,
+      mode = excluded.mode,
+      updated_at = datetime('now')
+  `
+  ).run(discordId, alertType, latest, mode);
+}
+
+function getSubscriptions(db, discordId) {
+  return db
+    .prepare("SELECT alert_type, enabled, mode FROM alert_subscriptions WHERE discord_id = ?")
+    .all(discordId);
+}
+
+function queueAlerts(db) {
+  const enqueue = db.prepare(`
+    INSERT INTO alert_deliveries (discord_id, alert_type, event_key, chain_id, payload_json)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(discord_id, alert_type, event_key) DO NOTHING
+  `);
+  const advance = db.prepare(`
+    UPDATE alert_subscriptions SET last_event_id = ?, updated_at = datetime('now')
+    WHERE discord_id = ? AND alert_type = ?
+  `);
+
+  let queued = 0;
+  for (const [type, spec] of Object.entries(ALERT_TYPES)) {
+    const maxId = spec.latestEventId(db);
+    const subs = db
+      .prepare(
+        `
+        SELECT discord_id, last_event_id FROM alert_subscriptions
+        WHERE alert_type = ? AND enabled = 1 AND last_event_id < ?
+      `
+      )
+      .all(type, maxId);
+    for (const sub of subs) {
+      const alerts = spec.collect(db, sub, maxId);
+      db.transaction(() => {
+        for (const a of alerts) {
+          queued += enqueue.run(sub.discord_id, type, a.eventKey, a.chainId, JSON.stringify(a.payload)).changes;
+        }
+        advance.run(maxId, sub.discord_id, type);
+      })();
+    }
+  }
+  return queued;
+}
+
+// One DM listing a user's pending alerts of one type.
+function renderDigest(db, alertType, rows) {
+  const spec = ALERT_TYPES[alertType];
+  let description = "";
+  let shown = 0;
+  for (const d of rows) {
+    const line = spec.summarize(db, d.chain_id, JSON.parse(d.payload_json));
+    if (description.length + line.length + 1 > MAX_DIGEST_CHARS) break;
+    description += `${line}\n`;
+    shown += 1;
+  }
+  if (shown < rows.length) description += `…and ${rows.length - shown} more`;
+  const embed = new EmbedBuilder()
+    .setTitle(`Datum — ${spec.label} (${rows.length})`)
+    .setDescription(description.trim());
+  return { embeds: [embed] };
+}
+
+async function deliverAlerts(client, db) {
+  const pending = db
+    .prepare(
+      `
+      SELECT d.discord_id, d.alert_type, d.event_key, d.chain_id, d.payload_json, s.mode,
+             (s.last_digest_at IS NULL OR s.last_digest_at <= datetime('now', ?)) AS digest_due
+      FROM alert_deliveries d
+      JOIN alert_subscriptions s ON s.discord_id = d.discord_id AND s.alert_type = d.alert_type
+      WHERE d.status != 'sent' AND d.attempts < ?
+      ORDER BY d.created_at
+    `
+    )
+    .all(`-${DIGEST_HOURS} hours`, MAX_ATTEMPTS);
+  const markSent = db.prepare(`
+    UPDATE alert_deliveries
+    SET status = 'sent', attempts = attempts + 1, last_error = NULL, delivered_at = datetime('now')
+    WHERE discord_id = ? AND alert_type = ? AND event_key = ?
+  `);
+  const markFailed = db.prepare(`
+    UPDATE alert_deliveries
+    SET status = 'failed', attempts = attempts + 1, last_error = ?
+    WHERE discord_id = ? AND alert_type = ? AND event_key = ?
+  `);
+  const markDigest = db.prepare(`
+    UPDATE alert_subscriptions SET last_digest_at = datetime('now')
+    WHERE discord_id = ? AND alert_type = ?
+  `);
+
+  // Send one DM covering `rows`; returns whether it went out.
+  const send = async (rows, render) => {
+    const first = rows[0];
+    try {
+      const user = await client.users.fetch(first.discord_id);
+      await user.send(render());
+      db.transaction(() => {
+        for (const d of rows) markSent.run(d.discord_id, d.alert_type, d.event_key);
+      })();
+      return true;
+    } catch (err) {
+      for (const d of rows) markFailed.run(String(err.message || err), d.discord_id, d.alert_type, d.event_key);
+      log.warn(`[alerts] ${first.alert_type} alert ${first.event_key} to ${first.discord_id} failed: ${err.message || err}`);
+      return false;
+    }
+  };
+
+  const digests = new Map();
+  for (const d of pending) {
+    if (d.mode === "digest") {
+      if (!d.digest_due) continue;
+      const key = `${d.discord_id}:${d.alert_type}`;
+      if (!digests.has(key)) digests.set(key, []);
+      digests.get(key).push(d);
+      continue;
+    }
+    await send([d], () => ALERT_TYPES[d.alert_type].render(db, d.chain_id, JSON.parse(d.payload_json)));
+  }
+  for (const rows of digests.values()) {
+    const { discord_id: discordId, alert_type: alertType } = rows[0];
+    if (await send(rows, () => renderDigest(db, alertType, rows))) markDigest.run(discordId, alertType);
+  }
+}
+
+/**
+ * Poll for new indexed events and DM subscribed users. Runs in the bot
+ * process; the scanners only write the events.
+ */
+function startAlertLoop(client) {
+  if (!(POLL_MS > 0)) {
+    log.info("[alerts] DATUM_ALERT_POLL_MS is 0; DM alerts disabled");
+    return;
+  }
+  const db = openDatumDb();
+  initSchema(db);
+
+  const poll = async () => {
+    try {
+      const queued = queueAlerts(db);
+      if (queued) log.info(`[alerts] queued ${queued} new alerts`);
+      await deliverAlerts(client, db);
+    } catch (err) {
+      log.warn(`[alerts] poll failed: ${err.message || err}`);
+    }
+    setTimeout(poll, POLL_MS);
+  };
+  setTimeout(poll, POLL_MS);
+  log.startup(`[alerts] DM alerts polling every ${POLL_MS}ms`);
+}
+
+module.exports = { ALERT_TYPES, ALERT_MODES, DIGEST_HOURS, setSubscription, getSubscriptions, startAlertLoop };
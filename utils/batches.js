@@ -0,0 +1,130 @@
+// ./utils/batches.js
+
+const { ethers } = require("ethers");
+
+// Liquity v2 BatchUpdated operation codes.
+const BATCH_OPERATIONS = [
+  "registerBatchManager",
+  "lowerBatchManagerAnnualFee",
+  "setBatchManagerAnnualInterestRate",
+  "applyBatchInterestAndFeePermissionless",
+  "joinBatch",
+  "exitBatch",
+  "troveChange",
+];
+
+/** Batch manager address from a BatchedTroveUpdated payload; null outside a batch. */
+function batchManagerOf(data) {
+  const addr = data?._interestBatchManager;
+  if (!addr || addr === ethers.ZeroAddress) return null;
+  return addr;
+}
+
+/**
+ * Every BatchUpdated of one batch, oldest first, with amounts as bigints.
+ *
+ * @returns {Array<{ block_number: number, log_index: number, block_timestamp: number|null, operation: number,
+ *   debt: bigint, rate: bigint, fee: bigint, totalShares: bigint }>}
+ */
+function loadBatchUpdates(db, contractKey, manager) {
+  return db
+    .prepare(
+      `
+      SELECT block_number, log_index, block_timestamp, operation, debt,
+             annual_interest_rate, annual_management_fee, total_debt_shares
+      FROM batch_events
+      WHERE contract_key = ? AND lower(batch_manager) = lower(?)
+      ORDER BY block_number ASC, log_index ASC
+    `
+    )
+    .all(contractKey, manager)
+    .map((r) => ({
+      block_number: r.block_number,
+      log_index: r.log_index,
+      block_timestamp: r.block_timestamp,
+      operation: r.operation,
+      debt: BigInt(r.debt),
+      rate: BigInt(r.annual_interest_rate),
+      fee: BigInt(r.annual_management_fee),
+      totalShares: BigInt(r.total_debt_shares),
+    }));
+}
+
+/** loadBatchUpdates memoized per contract and batch manager. */
+function batchUpdatesLoader(db) {
+  const cache = new Map();
+  return (contractKey, manager) => {
+    const key = `${contractKey}:${manager.toLowerCase()}`;
+    if (!cache.has(key)) cache.set(key, loadBatchUpdates(db, contractKey, manager));
+    return cache.get(key);
+  };
+}
+
+/**
+ * The batch as of the end of `block`. A trove's share changes and the batch
+ * update they cause land in the same transaction, so block granularity keeps
+ * the two consistent whichever is logged first.
+ */
+function batchStateAt(updates, block) {
+  let state = null;
+  for (const u of updates) {
+    if (u.block_number > block) break;
+    state = u;
+  }
+  return state;
+}
+
+/** A member's part of the batch's recorded debt. */
+function sharesToDebt(state, shares) {
+  if (!state || state.totalShares === 0n) return 0n;
+  return (state.debt * shares) / state.totalShares;
+}
+
+/**
+ * Manager, debt and batch rates of a trove as of one of its BatchedTroveUpdated
+ * events. Debt and rates are null when the batch has no update indexed yet.
+ *
+ * @param {(manager: string) => Array} updatesOf BatchUpdated rows of a batch
+ */
+function batchedTroveSnapshot(updatesOf, block, data) {
+  const manager = batchManagerOf(data);
+  const state = manager ? batchStateAt(updatesOf(manager), block) : null;
+  return {
+    manager,
+    debt: state ? sharesToDebt(state, BigInt(data._batchDebtShares ?? 0)) : null,
+    rate: state?.rate ?? null,
+    fee: state?.fee ?? null,
+  };
+}
+
+/**
+ * Debt, collateral, rate and batch manager recorded by a TroveUpdated or
+ * BatchedTroveUpdated row, as bigints; null when not known.
+ *
+ * @param {ReturnType<typeof batchUpdatesLoader>} loadBatch
+ */
+function troveUpdateState(loadBatch, contractKey, row, data) {
+  if (!data) return null;
+  const coll = data._coll != null ? BigInt(data._coll) : null;
+  if (row.event_name === "BatchedTroveUpdated") {
+    const snap = batchedTroveSnapshot((m) => loadBatch(contractKey, m), row.block_number, data);
+    return { debt: snap.debt, coll, rate: snap.rate, manager: snap.manager };
+  }
+  return {
+    debt: data._debt != null ? BigInt(data._debt) : null,
+    coll,
+    rate: data._annualInterestRate != null ? BigInt(data._annualInterestRate) : null,
+    manager: null,
+  };
+}
+
+module.exports = {
+  BATCH_OPERATIONS,
+  batchManagerOf,
+  loadBatchUpdates,
+  batchUpdatesLoader,
+  batchStateAt,
+  sharesToDebt,
+  batchedTroveSnapshot,
+  troveUpdateState,
+};
@@ -0,0 +1,103 @@
+// ./utils/blockTimestamps.js
+
+const log = require("./logger");
+
+const LOOKUP_CONCURRENCY = Number(process.env.DATUM_BLOCK_TS_CONCURRENCY || "4");
+const SQL_CHUNK = 500;
+
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+function readCached(db, chain, blockNumbers) {
+  const map = new Map();
+  for (let i = 0; i < blockNumbers.length; i += SQL_CHUNK) {
+    const chunk = blockNumbers.slice(i, i + SQL_CHUNK);
+    const placeholders = chunk.map(() => "?").join(",");
+    const rows = db
+      .prepare(
+        `SELECT block_number, block_timestamp FROM block_timestamps
+         WHERE chain_id = ? AND block_number IN (${placeholders})`
+      )
+      .all(chain, ...chunk);
+    for (const r of rows) map.set(r.block_number, r.block_timestamp);
+  }
+  return map;
+}
+
+/**
+ * Resolve timestamps for a set of blocks, reading the block_timestamps cache
+ * first and fetching only missing blocks from RPC (at most
+ * DATUM_BLOCK_TS_CONCURRENCY lookups in flight). Fetched timestamps are
+ * written back to the cache unless `persist` is false.
+ *
+ * Blocks whose lookup fails are left out of the map; callers store NULL and
+ * scripts/repairTimestamps.js backfills them later.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} provider  RPC pool; its `chain` keys the cache
+ * @param {number[]} blockNumbers
+ * @param {{ persist?: boolean }} [opts]
+ * @returns {Promise<Map<number, number>>}
+ */
+async function resolveBlockTimestamps(db, provider, blockNumbers, { persist = true } = {}) {
+  const unique = Array.from(new Set(blockNumbers.filter((bn) => Number.isInteger(bn))));
+  if (!unique.length) return new Map();
+
+  const chain = provider.chain;
+  const map = readCached(db, chain, unique);
+  const missing = unique.filter((bn) => !map.has(bn));
+  if (!missing.length) return map;
+
+  const fetched = [];
+  await mapWithConcurrency(missing, LOOKUP_CONCURRENCY, async (bn) => {
+    try {
+      const blk = await provider.getBlock(bn);
+      if (blk && Number.isInteger(blk.timestamp)) {
+        map.set(bn, blk.timestamp);
+        fetched.push([bn, blk.timestamp]);
+      } else {
+        log.warn(`[blockTimestamps] No timestamp returned for ${chain} block ${bn}`);
+      }
+    } catch (err) {
+      log.warn(`[blockTimestamps] ${chain} getBlock(${bn}) failed: ${err.message || err}`);
+    }
+  });
+
+  if (persist && fetched.length) {
+    const insert = db.prepare(`
+      INSERT INTO block_timestamps (chain_id, block_number, block_timestamp)
+      VALUES (?, ?, ?)
+      ON CONFLICT(chain_id, block_number) DO UPDATE SET block_timestamp = excluded.block_timestamp
+    `);
+    db.transaction((rows) => {
+      for (const [bn, ts] of rows) insert.run(chain, bn, ts);
+    })(fetched);
+  }
+
+  return map;
+}
+
+/**
+ * Last block of `chain` with a cached timestamp at or before unix time `ts`.
+ * Every block with indexed logs is cached, so events up to that block are
+ * exactly the indexed events at or before `ts`. Null when none is that old.
+ */
+function lastBlockAtOrBefore(db, chain, ts) {
+  const row = db
+    .prepare(
+      `SELECT MAX(block_number) AS block_number FROM block_timestamps
+       WHERE chain_id = ? AND block_timestamp <= ?`
+    )
+    .get(chain, ts);
+  return row?.block_number ?? null;
+}
+
+module.exports = { resolveBlockTimestamps, lastBlockAtOrBefore };
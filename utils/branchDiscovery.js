@@ -0,0 +1,194 @@
+// ./utils/branchDiscovery.js
+
+const { ethers } = require("ethers");
+const collateralRegistryAbi = require("../abi/collateralRegistry.json");
+const addressesRegistryAbi = require("../abi/addressesRegistry.json");
+const troveManagerAbi = require("../abi/troveManager.json");
+const { resolvePoolTokens } = require("./tokenMeta");
+const { loadLoanContracts, loadStabilityPools } = require("./chainConfig");
+const log = require("./logger");
+
+// The configured address may be the CollateralRegistry itself or any
+// branch's AddressesRegistry, which points at it. `addressesRegistry` is set
+// in the second case.
+async function resolveCollateralRegistry(provider, address) {
+  const registry = new ethers.Contract(address, collateralRegistryAbi, provider);
+  try {
+    await registry.totalCollaterals();
+    return { registry, addressesRegistry: null };
+  } catch (err) {
+    if (err?.code !== "CALL_EXCEPTION") throw err;
+  }
+  const addresses = new ethers.Contract(address, addressesRegistryAbi, provider);
+  return {
+    registry: new ethers.Contract(await addresses.collateralRegistry(), collateralRegistryAbi, provider),
+    addressesRegistry: address,
+  };
+}
+
+/**
+ * A branch's TroveManager and PriceFeed, read from its AddressesRegistry.
+ *
+ * @returns {Promise<{ troveManager: string, priceFeed: string }>}
+ */
+async function readAddressesRegistry(provider, address) {
+  const registry = new ethers.Contract(address, addressesRegistryAbi, provider);
+  const [troveManager, priceFeed] = await Promise.all([registry.troveManager(), registry.priceFeed()]);
+  return { troveManager: ethers.getAddress(troveManager), priceFeed: ethers.getAddress(priceFeed) };
+}
+
+// PriceFeed addresses by lower-case TroveManager address, for the branches
+// whose AddressesRegistry is known.
+async function priceFeedsByTroveManager(provider, addressesRegistries) {
+  const feeds = new Map();
+  for (const address of addressesRegistries) {
+    const { troveManager, priceFeed } = await readAddressesRegistry(provider, address);
+    feeds.set(troveManager.toLowerCase(), priceFeed);
+  }
+  return feeds;
+}
+
+/**
+ * First block at which `address` has code, by binary search over eth_getCode.
+ * Needs historical state; returns null when the endpoint can't serve it.
+ */
+async function findDeploymentBlock(provider, address, headBlock) {
+  try {
+    if ((await provider.getCode(address, headBlock)) === "0x") return null;
+    let lo = 0;
+    let hi = headBlock;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((await provider.getCode(address, mid)) === "0x") lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  } catch (err) {
+    log.warn(`[discovery] ${provider.chain} deployment block lookup failed for ${address}: ${err.message || err}`);
+    return null;
+  }
+}
+
+function slugify(symbol) {
+  return String(symbol).toLowerCase().replace(/[^a-z0-9]/g, "") || "coll";
+}
+
+function uniqueKey(base, taken) {
+  let key = base;
+  for (let n = 2; taken.has(key); n++) key = `${base}_${n}`;
+  taken.add(key);
+  return key;
+}
+
+function knownAddresses(db, table, configured) {
+  const rows = db.prepare(`SELECT address_eip55 FROM ${table}`).all();
+  const addrs = [...rows.map((r) => r.address_eip55), ...configured.map((c) => c.address)];
+  return new Set(addrs.map((a) => a.toLowerCase()));
+}
+
+function knownKeys(db, table, keyCol, configured) {
+  const rows = db.prepare(`SELECT ${keyCol} AS key FROM ${table}`).all();
+  return new Set([...rows.map((r) => r.key), ...configured.map((c) => c.key)]);
+}
+
+/**
+ * Enumerate every branch behind the given registries (all on the provider's
+ * chain) and register the ones not yet known in loan_contracts and
+ * stability_pools. The scanners pick them up on their next run. Branches
+ * whose AddressesRegistry is known (the configured address, or one listed in
+ * the entry's `addresses_registries`) also get their PriceFeed recorded.
+ *
+ * @returns {Promise<number>} branches registered
+ */
+async function discoverBranches(db, provider, registries) {
+  const chain = provider.chain;
+  const loanConfig = loadLoanContracts();
+  const poolConfig = loadStabilityPools();
+  const loanAddrs = knownAddresses(db, "loan_contracts", loanConfig);
+  const poolAddrs = knownAddresses(db, "stability_pools", poolConfig);
+  const loanKeys = knownKeys(db, "loan_contracts", "contract_key", loanConfig);
+  const poolKeys = knownKeys(db, "stability_pools", "pool_key", poolConfig);
+
+  const insertLoan = db.prepare(`
+    INSERT INTO loan_contracts (
+      contract_key, chain_id, protocol, address_eip55, default_start_block, trove_manager_address,
+      price_feed_address, coll_token_address, coll_symbol, coll_decimals, debt_token_address, debt_symbol,
+      debt_decimals, discovered_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(contract_key) DO NOTHING
+  `);
+  const setPriceFeed = db.prepare(`
+    UPDATE loan_contracts SET price_feed_address = ?, updated_at = datetime('now')
+    WHERE lower(address_eip55) = lower(?) AND price_feed_address IS NULL
+  `);
+  const insertPool = db.prepare(`
+    INSERT INTO stability_pools (
+      pool_key, chain_id, protocol, address_eip55, default_start_block,
+      coll_token_address, coll_symbol, coll_decimals, debt_token_address, debt_symbol, debt_decimals,
+      discovered_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(pool_key) DO NOTHING
+  `);
+
+  let added = 0;
+  let headBlock = null;
+  for (const reg of registries) {
+    const { registry, addressesRegistry } = await resolveCollateralRegistry(provider, reg.address);
+    const total = Number(await registry.totalCollaterals());
+    log.debug(`[discovery] ${chain} ${reg.key}: ${total} branches`);
+    const feeds = await priceFeedsByTroveManager(provider, [
+      ...(addressesRegistry ? [addressesRegistry] : []),
+      ...(reg.addresses_registries || []),
+    ]);
+
+    for (let i = 0; i < total; i++) {
+      const tmAddr = await registry.getTroveManager(i);
+      const tm = new ethers.Contract(tmAddr, troveManagerAbi, provider);
+      const [nftAddr, spAddr] = (await Promise.all([tm.troveNFT(), tm.stabilityPool()])).map((a) =>
+        ethers.getAddress(a)
+      );
+      const priceFeed = feeds.get(tmAddr.toLowerCase()) ?? null;
+      const newLoan = !loanAddrs.has(nftAddr.toLowerCase());
+      const newPool = !poolAddrs.has(spAddr.toLowerCase());
+      if (!newLoan && priceFeed && setPriceFeed.run(priceFeed, nftAddr).changes) {
+        log.info(`[discovery] ${chain} ${reg.key}: price feed ${priceFeed} for ${nftAddr}`);
+      }
+      if (!newLoan && !newPool) continue;
+
+      headBlock ??= await provider.getBlockNumber();
+      const { coll, debt } = await resolvePoolTokens(provider, spAddr);
+      const slug = slugify(coll.symbol);
+      const sym = slug.toUpperCase();
+      const tokenCols = [coll.address, coll.symbol, coll.decimals, debt.address, debt.symbol, debt.decimals];
+
+      if (newLoan) {
+        const startBlock = (await findDeploymentBlock(provider, nftAddr, headBlock)) ?? reg.default_start_block;
+        const key = uniqueKey(`${reg.key}_${slug}`, loanKeys);
+        insertLoan.run(
+          key,
+          chain,
+          `${reg.protocol}_LOAN_${sym}`,
+          nftAddr,
+          startBlock,
+          ethers.getAddress(tmAddr),
+          priceFeed,
+          ...tokenCols,
+          reg.key
+        );
+        loanAddrs.add(nftAddr.toLowerCase());
+        log.info(`[discovery] ${chain} ${reg.key}: registered loan contract ${key} (${nftAddr}) from block ${startBlock}`);
+      }
+      if (newPool) {
+        const startBlock = (await findDeploymentBlock(provider, spAddr, headBlock)) ?? reg.default_start_block;
+        const key = uniqueKey(`${reg.key}_sp_${slug}`, poolKeys);
+        insertPool.run(key, chain, `${reg.protocol}_SP_${sym}`, spAddr, startBlock, ...tokenCols, reg.key);
+        poolAddrs.add(spAddr.toLowerCase());
+        log.info(`[discovery] ${chain} ${reg.key}: registered stability pool ${key} (${spAddr}) from block ${startBlock}`);
+      }
+      added++;
+    }
+  }
+  return added;
+}
+
+module.exports = { discoverBranches, readAddressesRegistry };
@@ -0,0 +1,96 @@
+// ./utils/chainConfig.js
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+/**
+ * Flatten a `{ chains: { <CHAIN>: { contracts: [...] } } }` config file into
+ * one list, tagging each entry with its chain. Keys double as cursor and row
+ * keys, so they must be unique across chains.
+ */
+function loadChainEntries(fileName) {
+  const cfg = JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), "utf8"));
+  const out = [];
+  const seen = new Map();
+  for (const [chain, chainCfg] of Object.entries(cfg?.chains || {})) {
+    for (const entry of chainCfg?.contracts || []) {
+      if (seen.has(entry.key)) {
+        throw new Error(`${fileName}: key "${entry.key}" is used on both ${seen.get(entry.key)} and ${chain}`);
+      }
+      seen.set(entry.key, chain);
+      out.push({ ...entry, chain });
+    }
+  }
+  return out;
+}
+
+// Append branches registered by discovery. A configured entry wins over a
+// discovered one with the same key or address.
+function withDiscovered(entries, discovered) {
+  const keys = new Set(entries.map((e) => e.key));
+  const addrs = new Set(entries.map((e) => e.address.toLowerCase()));
+  const out = [...entries];
+  for (const d of discovered) {
+    if (keys.has(d.key) || addrs.has(d.address.toLowerCase())) continue;
+    out.push(d);
+  }
+  return out;
+}
+
+/**
+ * Loan contracts from the config file, plus, when a datum db is given, those
+ * found by branch discovery.
+ */
+function loadLoanContracts(db = null) {
+  const entries = loadChainEntries("loan_contracts.json");
+  if (!db) return entries;
+  const discovered = db
+    .prepare(
+      `
+      SELECT contract_key AS key, chain_id AS chain, protocol, address_eip55 AS address, default_start_block
+      FROM loan_contracts
+      WHERE discovered_by IS NOT NULL
+      ORDER BY contract_key
+    `
+    )
+    .all();
+  return withDiscovered(entries, discovered);
+}
+
+function loadStabilityPools(db = null) {
+  const entries = loadChainEntries("stability_pools.json");
+  if (!db) return entries;
+  const discovered = db
+    .prepare(
+      `
+      SELECT pool_key AS key, chain_id AS chain, protocol, address_eip55 AS address, default_start_block
+      FROM stability_pools
+      WHERE discovered_by IS NOT NULL
+      ORDER BY pool_key
+    `
+    )
+    .all();
+  return withDiscovered(entries, discovered);
+}
+
+function loadRegistries() {
+  return loadChainEntries("collateral_registries.json");
+}
+
+/**
+ * Group config entries by chain, preserving config order.
+ *
+ * @returns {Map<string, object[]>}
+ */
+function groupByChain(entries) {
+  const byChain = new Map();
+  for (const e of entries) {
+    if (!byChain.has(e.chain)) byChain.set(e.chain, []);
+    byChain.get(e.chain).push(e);
+  }
+  return byChain;
+}
+
+module.exports = { loadLoanContracts, loadStabilityPools, loadRegistries, groupByChain };
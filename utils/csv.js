@@ -1,23 +1,73 @@
-function csvEscape(v) {
+const { DEFAULT_LOCALE, decimalSeparator } = require("./intlNumberFormats");
+
+function csvEscape(v, delimiter = ",") {
   if (v == null) return "";
   const s = String(v);
   if (s.includes("\"")) {
     const escaped = s.replace(/\"/g, "\"\"");
     return `"${escaped}"`;
   }
-  if (s.includes(",") || s.includes("\n")) {
+  if (s.includes(delimiter) || s.includes("\n")) {
     return `"${s}"`;
   }
   return s;
 }
 
-function toCsv(headers, rows) {
+/**
+ * CSV text of some rows. For a locale that writes decimals with a comma
+ * (e.g. de-DE), plain decimal numbers get a comma and cells are separated by
+ * ";", the way spreadsheets in that locale open CSV files.
+ */
+function toCsv(headers, rows, { locale = DEFAULT_LOCALE } = {}) {
+  const comma = decimalSeparator(locale) === ",";
+  const delimiter = comma ? ";" : ",";
+  const cell = (v) =>
+    csvEscape(comma && v != null && /^-?\d+\.\d+$/.test(String(v)) ? String(v).replace(".", ",") : v, delimiter);
   const out = [];
-  out.push(headers.map(csvEscape).join(","));
+  out.push(headers.map(cell).join(delimiter));
   for (const row of rows) {
-    out.push(row.map(csvEscape).join(","));
+    out.push(row.map(cell).join(delimiter));
   }
   return out.join("\n") + "\n";
 }
 
-module.exports = { toCsv };
+// Rows of a CSV file as arrays of strings; handles quoted fields and "" escapes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+module.exports = { toCsv, parseCsv };
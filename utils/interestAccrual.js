@@ -0,0 +1,227 @@
+// ./utils/interestAccrual.js
+
+const { batchManagerOf, batchUpdatesLoader, batchStateAt, sharesToDebt } = require("./batches");
+
+// Liquity v2 accrues simple interest on a trove's recorded debt and applies it
+// at the trove's next update. Troves in a batch share the batch's rate and also
+// pay its annual management fee; both are applied at every batch update.
+const ONE_YEAR = 365n * 24n * 60n * 60n;
+const DECIMAL_PRECISION = 10n ** 18n;
+
+function parseJsonSafe(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function accrue(debt, rate, seconds) {
+  if (seconds <= 0) return 0n;
+  return (debt * rate * BigInt(seconds)) / (ONE_YEAR * DECIMAL_PRECISION);
+}
+
+/**
+ * Interest-bearing stretches of one trove while the user's wallets held it.
+ * Each TroveUpdated starts a segment at its debt and rate; the next update
+ * ends it and applies the interest (`endPos`). While the trove is in a batch
+ * (BatchedTroveUpdated), its debt is its share of the batch debt and every
+ * BatchUpdated of that batch ends a segment too. The segment after the last
+ * update stays open (`to` null). Stretches held by someone else are cut out,
+ * as are ownership periods whose transfer timestamp is not known yet.
+ *
+ * @param {Array<{ owner: string, from: object|null, to: object|null }>} periods from loadOwnedTroves
+ * @returns {Array<{ owner: string, from: number, to: number|null, debt: bigint, rate: bigint, fee: bigint,
+ *   manager: string|null, endPos: object|null }>}
+ *   `from` / `to` in unix seconds, `fee` the batch management fee rate, `endPos` the `{ block, logIndex }`
+ *   of the applying update
+ */
+function loadTroveSegments(db, contractKey, troveId, periods) {
+  const updates = db
+    .prepare(
+      `
+      SELECT block_number, block_timestamp, log_index, event_name, data_json
+      FROM trove_events
+      WHERE contract_key = ? AND trove_id = ? AND event_name IN ('TroveUpdated', 'BatchedTroveUpdated')
+      ORDER BY block_number ASC, log_index ASC
+    `
+    )
+    .all(contractKey, troveId);
+
+  const held = periods
+    .filter((p) => (!p.from || p.from.ts != null) && (!p.to || p.to.ts != null))
+    .map((p) => ({ owner: p.owner, from: p.from?.ts ?? -Infinity, to: p.to?.ts ?? Infinity }));
+
+  const loadBatch = batchUpdatesLoader(db);
+
+  const stretches = [];
+  for (let i = 0; i < updates.length; i++) {
+    const u = updates[i];
+    const next = updates[i + 1] || null;
+    const data = parseJsonSafe(u.data_json);
+    if (!data || u.block_timestamp == null || (next && next.block_timestamp == null)) continue;
+    const end = next ? next.block_timestamp : Infinity;
+    const nextPos = next ? { block: next.block_number, logIndex: next.log_index } : null;
+
+    if (u.event_name === "TroveUpdated") {
+      stretches.push({
+        from: u.block_timestamp,
+        to: end,
+        debt: BigInt(data._debt ?? 0),
+        rate: BigInt(data._annualInterestRate ?? 0),
+        fee: 0n,
+        manager: null,
+        endPos: nextPos,
+      });
+      continue;
+    }
+
+    const manager = batchManagerOf(data);
+    if (!manager) continue;
+    const shares = BigInt(data._batchDebtShares ?? 0);
+    const batchUpdates = loadBatch(contractKey, manager);
+    let from = u.block_timestamp;
+    let state = batchStateAt(batchUpdates, u.block_number);
+    const push = (to, endPos) =>
+      stretches.push({
+        from,
+        to,
+        debt: sharesToDebt(state, shares),
+        rate: state?.rate ?? 0n,
+        fee: state?.fee ?? 0n,
+        manager,
+        endPos,
+      });
+    for (const b of batchUpdates) {
+      if (b.block_number <= u.block_number) continue;
+      if (next && b.block_number >= next.block_number) break;
+      if (b.block_timestamp == null) continue;
+      push(b.block_timestamp, { block: b.block_number, logIndex: b.log_index });
+      from = b.block_timestamp;
+      state = batchStateAt(batchUpdates, b.block_number);
+    }
+    push(end, nextPos);
+  }
+
+  const segments = [];
+  for (const st of stretches) {
+    if (st.debt === 0n || (st.rate === 0n && st.fee === 0n)) continue;
+    for (const p of held) {
+      const from = Math.max(st.from, p.from);
+      const to = Math.min(st.to, p.to);
+      if (to <= from) continue;
+      const applied = st.endPos && to === st.to;
+      segments.push({
+        owner: p.owner,
+        from,
+        to: to === Infinity ? null : to,
+        debt: st.debt,
+        rate: st.rate,
+        fee: st.fee,
+        manager: st.manager,
+        endPos: applied ? st.endPos : null,
+      });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Split the segments' interest and batch management fees at the given
+ * boundaries (unix seconds, ascending); bucket i covers [boundaries[i],
+ * boundaries[i + 1]). Open segments accrue up to `asOf`. `unrealized` and
+ * `unrealizedFees` are what had accrued by the bucket end without being
+ * applied by an update yet.
+ *
+ * @returns {Array<{ from: number, to: number, accrued: bigint, unrealized: bigint, fees: bigint, unrealizedFees: bigint }>}
+ */
+function allocateAccrual(segments, boundaries, asOf) {
+  const buckets = [];
+  for (let i = 0; i + 1 < boundaries.length; i++) {
+    buckets.push({ from: boundaries[i], to: boundaries[i + 1], accrued: 0n, unrealized: 0n, fees: 0n, unrealizedFees: 0n });
+  }
+  for (const seg of segments) {
+    const segEnd = Math.min(seg.to ?? asOf, asOf);
+    for (const b of buckets) {
+      const seconds = Math.min(segEnd, b.to) - Math.max(seg.from, b.from);
+      b.accrued += accrue(seg.debt, seg.rate, seconds);
+      b.fees += accrue(seg.debt, seg.fee, seconds);
+      const cutoff = Math.min(b.to, asOf);
+      if (seg.from < cutoff && (seg.to == null || seg.to > cutoff)) {
+        b.unrealized += accrue(seg.debt, seg.rate, cutoff - seg.from);
+        b.unrealizedFees += accrue(seg.debt, seg.fee, cutoff - seg.from);
+      }
+    }
+  }
+  return buckets;
+}
+
+/**
+ * Interest and batch management fees applied to the trove by the update at
+ * `pos`, i.e. cost realized by that operation.
+ *
+ * @returns {{ interest: bigint, fees: bigint }}
+ */
+function interestAppliedAt(segments, pos) {
+  const out = { interest: 0n, fees: 0n };
+  for (const seg of segments) {
+    if (seg.endPos?.block !== pos.block || seg.endPos?.logIndex !== pos.logIndex) continue;
+    out.interest += accrue(seg.debt, seg.rate, seg.to - seg.from);
+    out.fees += accrue(seg.debt, seg.fee, seg.to - seg.from);
+  }
+  return out;
+}
+
+/**
+ * Period boundaries split at each calendar (tax) year start in between.
+ * A null start begins at the earliest segment.
+ */
+function yearBoundaries(start, end, segments) {
+  const first = start ?? Math.min(end, ...segments.map((s) => s.from));
+  const out = [first];
+  for (let y = new Date(first * 1000).getUTCFullYear() + 1; ; y++) {
+    const ts = Date.UTC(y, 0, 1) / 1000;
+    if (ts >= end) break;
+    out.push(ts);
+  }
+  out.push(end);
+  return out;
+}
+
+/**
+ * Time-based interest and batch management fees of every trove the user held,
+ * per wallet, batch manager (null outside a batch) and tax year within
+ * [start, end). Also returns each trove's segments so operation rows can show
+ * what their update applied.
+ *
+ * @param {Map} owned from loadOwnedTroves
+ * @param {number|null} start unix seconds, or null for all history
+ * @param {number} end unix seconds (exclusive), at most now
+ */
+function accrueOwnedTroves(db, owned, start, end) {
+  const chainOf = db.prepare("SELECT chain_id FROM loan_contracts WHERE contract_key = ?");
+  const segmentsByTrove = new Map();
+  const rows = [];
+  for (const [contractKey, periodsById] of owned.entries()) {
+    const chainId = chainOf.get(contractKey)?.chain_id ?? null;
+    for (const [troveId, periods] of periodsById.entries()) {
+      const segments = loadTroveSegments(db, contractKey, troveId, periods);
+      segmentsByTrove.set(`${contractKey}:${troveId}`, segments);
+      const groups = new Map();
+      for (const seg of segments) {
+        const key = `${seg.owner}:${seg.manager ?? ""}`;
+        if (!groups.has(key)) groups.set(key, { owner: seg.owner, manager: seg.manager, segments: [] });
+        groups.get(key).segments.push(seg);
+      }
+      for (const g of groups.values()) {
+        for (const b of allocateAccrual(g.segments, yearBoundaries(start, end, g.segments), end)) {
+          if (b.accrued === 0n && b.unrealized === 0n && b.fees === 0n && b.unrealizedFees === 0n) continue;
+          rows.push({ chainId, contractKey, troveId, owner: g.owner, manager: g.manager, ...b });
+        }
+      }
+    }
+  }
+  return { rows, segmentsByTrove };
+}
+
+module.exports = { loadTroveSegments, allocateAccrual, interestAppliedAt, yearBoundaries, accrueOwnedTroves };
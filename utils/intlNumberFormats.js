@@ -11,14 +11,14 @@ function assertFractionDigits(min, max) {
   }
 }
 
-function createCurrencyFormatter(currency, minFractionDigits, maxFractionDigits) {
+function createCurrencyFormatter(currency, minFractionDigits, maxFractionDigits, locale = DEFAULT_LOCALE) {
   if (!currency || typeof currency !== "string") {
     throw new Error("Currency code must be a non-empty string (e.g. 'USD').");
   }
 
   assertFractionDigits(minFractionDigits, maxFractionDigits);
 
-  return new Intl.NumberFormat(DEFAULT_LOCALE, {
+  return new Intl.NumberFormat(locale, {
     style: "currency",
     currency,
     minimumFractionDigits: minFractionDigits,
@@ -26,28 +26,52 @@ function createCurrencyFormatter(currency, minFractionDigits, maxFractionDigits)
   });
 }
 
-function createDecimalFormatter(minFractionDigits, maxFractionDigits) {
+function createDecimalFormatter(minFractionDigits, maxFractionDigits, locale = DEFAULT_LOCALE) {
   assertFractionDigits(minFractionDigits, maxFractionDigits);
 
-  return new Intl.NumberFormat(DEFAULT_LOCALE, {
+  return new Intl.NumberFormat(locale, {
     style: "decimal",
     minimumFractionDigits: minFractionDigits,
     maximumFractionDigits: maxFractionDigits,
   });
 }
 
-function createPercentFormatter(minFractionDigits, maxFractionDigits) {
+function createPercentFormatter(minFractionDigits, maxFractionDigits, locale = DEFAULT_LOCALE) {
   assertFractionDigits(minFractionDigits, maxFractionDigits);
 
-  return new Intl.NumberFormat(DEFAULT_LOCALE, {
+  return new Intl.NumberFormat(locale, {
     style: "percent",
     minimumFractionDigits: minFractionDigits,
     maximumFractionDigits: maxFractionDigits,
   });
 }
 
+// Calendar dates in UTC, so a report's dates match its UTC period bounds.
+function createDateFormatter(locale = DEFAULT_LOCALE) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeZone: "UTC" });
+}
+
+// Canonical form of a BCP 47 locale tag this runtime can format, or null.
+function resolveLocale(tag) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(String(tag || "").trim());
+    return canonical && Intl.NumberFormat.supportedLocalesOf(canonical).length ? canonical : null;
+  } catch {
+    return null;
+  }
+}
+
+function decimalSeparator(locale = DEFAULT_LOCALE) {
+  const part = new Intl.NumberFormat(locale).formatToParts(1.5).find((p) => p.type === "decimal");
+  return part ? part.value : ".";
+}
+
 module.exports = {
+  DEFAULT_LOCALE,
   createCurrencyFormatter,
   createDecimalFormatter,
   createPercentFormatter,
+  createDateFormatter,
+  resolveLocale,
+  decimalSeparator,
 };
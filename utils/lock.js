@@ -12,7 +12,8 @@ function ensureDir(dir) {
   return true;
 }
 
-function acquireLock(name) {
+// quiet: a held lock is expected (the indexer polls for it), log at debug.
+function acquireLock(name, { quiet = false } = {}) {
   const lockDir = path.join(__dirname, "..", "locks");
   if (!ensureDir(lockDir)) return null;
   const lockPath = path.join(lockDir, `${name}.lock`);
@@ -28,7 +29,7 @@ function acquireLock(name) {
     return lockPath;
   } catch (err) {
     if (err.code === "EEXIST") {
-      log.warn(`[LOCK] Lock already exists: ${lockPath}`);
+      (quiet ? log.debug : log.warn)(`[LOCK] Lock already exists: ${lockPath}`);
       return null;
     }
     log.error(`[LOCK] Failed to acquire lock: ${lockPath}`, err.message || err);
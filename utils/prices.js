@@ -0,0 +1,154 @@
+// ./utils/prices.js
+
+const { ethers } = require("ethers");
+
+// 0 = use the nearest earlier price (or FX rate) however old it is.
+const MAX_AGE_HOURS = Number(process.env.DATUM_PRICE_MAX_AGE_HOURS || "0");
+const FX_MAX_AGE_HOURS = Number(process.env.DATUM_FX_MAX_AGE_HOURS || "0");
+
+/** Price table key of a token symbol. */
+function normalizeAsset(symbol) {
+  return String(symbol || "").trim().toUpperCase();
+}
+
+/**
+ * Lookup of the USD price of an asset at a unix time. For a row with a
+ * `chain` and `block_number`, a collateral's latest oracle price recorded at
+ * or before that block (scripts/scanPrices.js) comes first: the row's own
+ * branch when it has a `contract_key` (a loan contract or its stability
+ * pool), else any branch with that collateral.
+ * Otherwise it is the nearest imported price at or before the time. Either
+ * is null when there is none, or when it is older than
+ * DATUM_PRICE_MAX_AGE_HOURS. With another `currency`, the USD
+ * price is converted at the nearest FX rate at or before the time (within
+ * DATUM_FX_MAX_AGE_HOURS). Lookups are memoized for the life of the lookup.
+ *
+ * @returns {(symbol: string, ts: number|null, row?: object) => number|null}
+ */
+function loadPriceLookup(db, currency = "USD") {
+  const stmt = db.prepare(`
+    SELECT price_timestamp, price_usd FROM prices
+    WHERE asset = ? AND price_timestamp <= ?
+    ORDER BY price_timestamp DESC
+    LIMIT 1
+  `);
+  // A row's key is its loan contract, or a stability pool priced by its branch.
+  const oracleByContract = db.prepare(`
+    SELECT o.price, o.block_timestamp FROM oracle_prices o
+    JOIN loan_contracts lc ON lc.contract_key = o.contract_key
+    WHERE o.block_number <= @block AND upper(lc.coll_symbol) = @asset
+      AND (
+        lc.contract_key = @key
+        OR lower(lc.stability_pool_address) = (SELECT lower(address_eip55) FROM stability_pools WHERE pool_key = @key)
+      )
+    ORDER BY o.block_number DESC
+    LIMIT 1
+  `);
+  const oracleBySymbol = db.prepare(`
+    SELECT o.price, o.block_timestamp FROM oracle_prices o
+    JOIN loan_contracts lc ON lc.contract_key = o.contract_key
+    WHERE o.chain_id = ? AND o.block_number <= ? AND upper(lc.coll_symbol) = ?
+    ORDER BY o.block_number DESC, o.contract_key
+    LIMIT 1
+  `);
+  const fxStmt = db.prepare(`
+    SELECT rate_timestamp, units_per_usd FROM fx_rates
+    WHERE currency = ? AND rate_timestamp <= ?
+    ORDER BY rate_timestamp DESC
+    LIMIT 1
+  `);
+  const fiat = normalizeAsset(currency);
+  const cache = new Map();
+  const memo = (key, fn) => {
+    if (!cache.has(key)) cache.set(key, fn());
+    return cache.get(key);
+  };
+
+  const isFresh = (ts, priceTs) =>
+    MAX_AGE_HOURS <= 0 || (ts != null && priceTs != null && ts - priceTs <= MAX_AGE_HOURS * 3600);
+
+  const usdPrice = (asset, ts, row) => {
+    if (row?.chain && Number.isInteger(row.block_number)) {
+      const scope = row.contract_key || row.chain;
+      const oracle = memo(`${asset}:${scope}:${row.block_number}:${ts}`, () => {
+        const hit = row.contract_key
+          ? oracleByContract.get({ key: row.contract_key, block: row.block_number, asset })
+          : oracleBySymbol.get(row.chain, row.block_number, asset);
+        return hit && isFresh(ts, hit.block_timestamp) ? Number(ethers.formatUnits(hit.price, 18)) : null;
+      });
+      if (oracle != null) return oracle;
+    }
+    if (ts == null) return null;
+    return memo(`${asset}:${ts}`, () => {
+      const hit = stmt.get(asset, Math.floor(ts));
+      return hit && isFresh(ts, hit.price_timestamp) ? hit.price_usd : null;
+    });
+  };
+  const fxRate = (ts) => {
+    if (fiat === "USD") return 1;
+    if (ts == null) return null;
+    return memo(`fx:${ts}`, () => {
+      const hit = fxStmt.get(fiat, Math.floor(ts));
+      const fresh = hit && (FX_MAX_AGE_HOURS <= 0 || ts - hit.rate_timestamp <= FX_MAX_AGE_HOURS * 3600);
+      return fresh ? hit.units_per_usd : null;
+    });
+  };
+
+  return (symbol, ts, row) => {
+    if (!symbol) return null;
+    const price = usdPrice(normalizeAsset(symbol), ts, row);
+    const rate = price != null ? fxRate(ts) : null;
+    return rate != null ? price * rate : null;
+  };
+}
+
+/**
+ * Add a `<column>_<currency>` value (e.g. `coll_delta_eur`) to each row for
+ * every `[column, symbolColumn]` pair, valuing the row's amount in that
+ * column at the price of the symbol in `symbolColumn` at the row's block or
+ * as of `tsOf(row)`. Rows without an amount or a price get "". Returns the
+ * added header names, to append to the export's headers.
+ *
+ * @param {Array<[string, string]>} columns
+ * @param {string} currency the lookup's currency, for the column names
+ * @param {(row: object) => number|null} tsOf unix seconds
+ */
+function addValueColumns(rows, columns, priceAt, currency, tsOf) {
+  const suffix = valueSuffix(currency);
+  for (const row of rows) {
+    const ts = tsOf(row);
+    for (const [column, symbolColumn] of columns) {
+      const amount = row[column] === "" || row[column] == null ? NaN : Number(row[column]);
+      const price = Number.isFinite(amount) ? priceAt(row[symbolColumn], ts, row) : null;
+      row[`${column}${suffix}`] = price != null ? (amount * price).toFixed(6) : "";
+    }
+  }
+  return columns.map(([column]) => `${column}${suffix}`);
+}
+
+function valueSuffix(currency) {
+  return `_${normalizeAsset(currency).toLowerCase()}`;
+}
+
+/**
+ * Embed field with the total value of some amount columns, as
+ * `[column, label]` pairs, in the report's currency and locale (`fmt`, from
+ * createReportFormat). Rows with an amount but no price are counted so a
+ * partial total is never shown as complete.
+ */
+function valueTotalsField(rows, fmt, totals) {
+  const suffix = valueSuffix(fmt.currency);
+  const lines = totals.map(([column, label]) => {
+    const valueColumn = `${column}${suffix}`;
+    let sum = 0;
+    let missing = 0;
+    for (const row of rows) {
+      if (row[valueColumn] !== "" && row[valueColumn] != null) sum += Number(row[valueColumn]);
+      else if (row[column] !== "" && row[column] != null) missing += 1;
+    }
+    return `${label}: ${fmt.money(sum)}${missing ? ` (${missing} without a price)` : ""}`;
+  });
+  return { name: `${fmt.currency} Value`, value: lines.join("\n").slice(0, 1024) || "n/a", inline: false };
+}
+
+module.exports = { normalizeAsset, loadPriceLookup, addValueColumns, valueTotalsField };
@@ -0,0 +1,166 @@
+// ./utils/reorg.js
+
+const log = require("./logger");
+const { refreshTrackedTroves } = require("./trackedTroves");
+
+const REORG_CHECK_BLOCKS = Number(process.env.DATUM_REORG_CHECK_BLOCKS || "200");
+
+const EVENT_TABLES = [
+  "loan_nft_transfers",
+  "trove_events",
+  "redemption_events",
+  "liquidation_events",
+  "batch_events",
+  "sp_deposit_ops",
+  "sp_deposit_updates",
+  "sp_balance_updates",
+  "sp_global_updates",
+  "oracle_prices",
+  "oracle_price_failures",
+];
+
+const CURSOR_TABLES = ["scan_cursors", "sp_cursors"];
+
+/**
+ * Remember the block hash of every block we wrote rows for.
+ * Call inside the same transaction as the event inserts.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} chain
+ * @param {Array<{ blockNumber: number, blockHash: string }>} items
+ */
+function recordBlockHashes(db, chain, items) {
+  const upsert = db.prepare(`
+    INSERT INTO block_hashes (chain_id, block_number, block_hash)
+    VALUES (?, ?, ?)
+    ON CONFLICT(chain_id, block_number) DO UPDATE SET
+      block_hash = excluded.block_hash,
+      updated_at = datetime('now')
+  `);
+  const seen = new Set();
+  for (const it of items) {
+    const bn = it.blockNumber;
+    if (!Number.isInteger(bn) || !it.blockHash || seen.has(bn)) continue;
+    seen.add(bn);
+    upsert.run(chain, bn, it.blockHash.toLowerCase());
+  }
+}
+
+/**
+ * Record the hash of the block a cursor was advanced to, so reorgs that only
+ * touch blocks without indexed logs are still detected on the next run.
+ */
+async function recordCursorTip(db, provider, blockNumber) {
+  try {
+    const blk = await provider.getBlock(blockNumber);
+    if (!blk?.hash) return;
+    recordBlockHashes(db, provider.chain, [{ blockNumber, blockHash: blk.hash }]);
+  } catch (err) {
+    log.warn(`[reorg] Failed to record ${provider.chain} tip hash for block ${blockNumber}: ${err.message || err}`);
+  }
+}
+
+/**
+ * Delete every indexed row of one chain at or above forkBlock and rewind that
+ * chain's cursors so the next scan re-indexes from the fork point. Troves
+ * touched by the deleted rows, including members of batches whose updates
+ * are deleted, get their tracked state recomputed.
+ */
+function rollbackFromBlock(db, chain, forkBlock) {
+  const tx = db.transaction(() => {
+    const touched = db
+      .prepare(
+        `
+        SELECT contract_key, token_id AS id FROM loan_nft_transfers WHERE chain_id = ? AND block_number >= ?
+        UNION
+        SELECT contract_key, trove_id AS id FROM trove_events WHERE chain_id = ? AND block_number >= ?
+        UNION
+        SELECT t.contract_key, t.token_id AS id FROM tracked_troves t
+        JOIN batch_events b ON b.contract_key = t.contract_key AND lower(b.batch_manager) = lower(t.batch_manager)
+        WHERE b.chain_id = ? AND b.block_number >= ?
+      `
+      )
+      .all(chain, forkBlock, chain, forkBlock, chain, forkBlock);
+    const deleted = {};
+    for (const table of EVENT_TABLES) {
+      deleted[table] = db
+        .prepare(`DELETE FROM ${table} WHERE chain_id = ? AND block_number >= ?`)
+        .run(chain, forkBlock).changes;
+    }
+    const byContract = new Map();
+    for (const t of touched) {
+      if (!byContract.has(t.contract_key)) byContract.set(t.contract_key, []);
+      byContract.get(t.contract_key).push(t.id);
+    }
+    for (const [contractKey, ids] of byContract) refreshTrackedTroves(db, chain, contractKey, ids);
+    db.prepare("DELETE FROM block_hashes WHERE chain_id = ? AND block_number >= ?").run(chain, forkBlock);
+    db.prepare("DELETE FROM block_timestamps WHERE chain_id = ? AND block_number >= ?").run(chain, forkBlock);
+    for (const table of CURSOR_TABLES) {
+      db.prepare(
+        `
+        UPDATE ${table}
+        SET last_scanned_block = ?, updated_at = datetime('now')
+        WHERE chain_id = ? AND last_scanned_block >= ?
+      `
+      ).run(Math.max(forkBlock - 1, 0), chain, forkBlock);
+    }
+    return deleted;
+  });
+  return tx();
+}
+
+/**
+ * Compare stored block hashes against the canonical chain, newest first.
+ * The first block that still matches proves every older block is canonical,
+ * so usually only one RPC call is needed. block_hashes only holds blocks that
+ * had logs, so on a mismatch the fork may lie anywhere after the newest
+ * matching block: rolls back from the block after it, or from the oldest
+ * checked block when none matched. A block the RPC can't return ends the
+ * check without a rollback.
+ *
+ * @returns {Promise<number|null>} fork block, or null when no reorg was found
+ */
+async function detectAndRollbackReorg(db, provider) {
+  const chain = provider.chain;
+  const rows = db
+    .prepare(
+      "SELECT block_number, block_hash FROM block_hashes WHERE chain_id = ? ORDER BY block_number DESC LIMIT ?"
+    )
+    .all(chain, REORG_CHECK_BLOCKS);
+  if (!rows.length) return null;
+
+  let mismatched = false;
+  let lastMatchedBlock = null;
+  for (const r of rows) {
+    const blk = await provider.getBlock(r.block_number);
+    if (!blk?.hash) {
+      // A lagging or pruned node can't prove a fork; check again next run.
+      log.warn(`[reorg] ${chain} block ${r.block_number} not returned by the RPC; skipping the reorg check`);
+      return null;
+    }
+    if (blk.hash.toLowerCase() === r.block_hash) {
+      lastMatchedBlock = r.block_number;
+      break;
+    }
+    mismatched = true;
+  }
+  if (!mismatched) return null;
+
+  const matched = lastMatchedBlock != null;
+  const forkBlock = matched ? lastMatchedBlock + 1 : rows[rows.length - 1].block_number;
+  if (!matched && rows.length >= REORG_CHECK_BLOCKS) {
+    log.warn(
+      `[reorg] No matching ${chain} hash in the newest ${REORG_CHECK_BLOCKS} recorded blocks; ` +
+        "rolling back to the oldest checked block, the next run will continue the check"
+    );
+  }
+
+  const deleted = rollbackFromBlock(db, chain, forkBlock);
+  const summary = Object.entries(deleted)
+    .map(([table, n]) => `${table}=${n}`)
+    .join(" ");
+  log.warn(`[reorg] ${chain} reorg detected at block ${forkBlock}; rolled back ${summary}`);
+  return forkBlock;
+}
+
+module.exports = { recordBlockHashes, recordCursorTip, rollbackFromBlock, detectAndRollbackReorg };
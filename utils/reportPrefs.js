@@ -0,0 +1,94 @@
+// ./utils/reportPrefs.js
+
+const log = require("./logger");
+const {
+  DEFAULT_LOCALE,
+  createCurrencyFormatter,
+  createDecimalFormatter,
+  createDateFormatter,
+  resolveLocale,
+} = require("./intlNumberFormats");
+
+// Currencies offered by /datum-settings; each needs FX rates except USD.
+const REPORT_CURRENCIES = {
+  USD: "US dollar",
+  EUR: "Euro",
+  GBP: "Pound sterling",
+  CHF: "Swiss franc",
+  CAD: "Canadian dollar",
+  AUD: "Australian dollar",
+};
+
+// DATUM_REPORT_CURRENCY if it is one of REPORT_CURRENCIES, else USD.
+function resolveDefaultCurrency(raw) {
+  const currency = String(raw || "USD").trim().toUpperCase();
+  if (REPORT_CURRENCIES[currency]) return currency;
+  log.warn(`[reportPrefs] DATUM_REPORT_CURRENCY=${raw} is not a supported report currency; using USD`);
+  return "USD";
+}
+
+const DEFAULT_CURRENCY = resolveDefaultCurrency(process.env.DATUM_REPORT_CURRENCY);
+const FALLBACK_LOCALE = resolveLocale(process.env.DATUM_REPORT_LOCALE) || DEFAULT_LOCALE;
+
+/**
+ * A user's report currency and locale, falling back to DATUM_REPORT_CURRENCY
+ * and DATUM_REPORT_LOCALE for anything they haven't set.
+ *
+ * @returns {{ currency: string, locale: string, isDefault: boolean }}
+ */
+function getReportPrefs(db, discordId) {
+  const row = db.prepare("SELECT currency, locale FROM report_prefs WHERE discord_id = ?").get(discordId);
+  return {
+    currency: row?.currency || DEFAULT_CURRENCY,
+    locale: resolveLocale(row?.locale) || FALLBACK_LOCALE,
+    isDefault: !row?.currency && !row?.locale,
+  };
+}
+
+// Set the given fields; null clears one back to the default, undefined keeps it.
+function setReportPrefs(db, discordId, { currency, locale }) {
+  db.prepare(
+    `
+    INSERT INTO report_prefs (discord_id, currency, locale)
+    VALUES (@discordId, @currency, @locale)
+    ON CONFLICT(discord_id) DO UPDATE SET
+      currency = CASE WHEN @keepCurrency THEN report_prefs.currency ELSE excluded.currency END,
+      locale = CASE WHEN @keepLocale THEN report_prefs.locale ELSE excluded.locale END,
+      updated_at = datetime('now')
+  `
+  ).run({
+    discordId,
+    currency: currency ?? null,
+    locale: locale ?? null,
+    keepCurrency: currency === undefined ? 1 : 0,
+    keepLocale: locale === undefined ? 1 : 0,
+  });
+}
+
+/**
+ * Number, money and date formatting for one report, in the user's locale and
+ * currency. Formatters are cached per fraction-digit count.
+ */
+function createReportFormat({ currency, locale }) {
+  const decimals = new Map();
+  const money = createCurrencyFormatter(currency, 2, 2, locale);
+  const dates = createDateFormatter(locale);
+  return {
+    currency,
+    locale,
+    number(value, digits) {
+      if (value == null || !Number.isFinite(value)) return "";
+      if (!decimals.has(digits)) decimals.set(digits, createDecimalFormatter(digits, digits, locale));
+      return decimals.get(digits).format(value);
+    },
+    money(value) {
+      return money.format(value);
+    },
+    // A calendar date (UTC) from a Date or epoch milliseconds.
+    date(value) {
+      return dates.format(new Date(value));
+    },
+  };
+}
+
+module.exports = { REPORT_CURRENCIES, getReportPrefs, setReportPrefs, createReportFormat };
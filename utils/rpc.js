@@ -1,21 +1,359 @@
 const { ethers } = require("ethers");
 const log = require("./logger");
 
+// Known chain ids; override with DATUM_<CHAIN>_CHAIN_ID for anything else.
+const CHAIN_IDS = {
+  FLR: 14,
+  SGB: 19,
+};
+
+const RPC_TIMEOUT_MS = Number(process.env.DATUM_RPC_TIMEOUT_MS || "30000");
+const RPC_MAX_LAG_BLOCKS = Number(process.env.DATUM_RPC_MAX_LAG_BLOCKS || "10");
+const HEAD_REFRESH_MS = 15000;
+const ERROR_COOLDOWN_MS = 30000;
+const RATE_LIMIT_COOLDOWN_MS = 10000;
+const MAX_CONSECUTIVE_ERRORS = 3;
+const DEFAULT_LATENCY_MS = 500;
+
 function requireEnv(name) {
   const v = process.env[name];
-  if (!v || !v.trim()) {
-    log.error(`[rpc] Missing required env var: ${name}`);
-    process.exit(1);
-  }
+  if (!v || !v.trim()) throw new Error(`Missing required env var: ${name}`);
   return v.trim();
 }
 
-function buildProvider() {
-  const url = requireEnv("DATUM_FLR_SCAN_RPC");
+function parseRetryAfterMs(err) {
+  const msg = String(err?.message || "");
+  const m = msg.match(/retry in\s+(\d+)\s*s/i);
+  if (!m) return null;
+  const sec = Number(m[1]);
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : null;
+}
+
+function isRateLimitError(err) {
+  const msg = String(err?.message || "").toLowerCase();
+  return msg.includes("rate limit") || msg.includes("too many requests") || msg.includes("-32090");
+}
+
+function isRangeTooLargeError(err) {
+  const msg = String(err?.message || "").toLowerCase();
+  return (
+    msg.includes("block range") ||
+    msg.includes("range too large") ||
+    msg.includes("range is too large") ||
+    msg.includes("too many blocks") ||
+    msg.includes("response size") ||
+    msg.includes("response is too big") ||
+    msg.includes("too many results") ||
+    msg.includes("query returned more than")
+  );
+}
+
+function endpointLabel(url) {
+  // Never log the full URL: many providers embed the API key in the path.
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+function resolveChainId(chain) {
+  const override = process.env[`DATUM_${chain}_CHAIN_ID`];
+  if (override && override.trim()) return Number(override.trim());
+  return CHAIN_IDS[chain] ?? null;
+}
+
+function createEndpoint(url, chainId) {
+  const req = new ethers.FetchRequest(url);
+  req.timeout = RPC_TIMEOUT_MS;
+  // staticNetwork stops ethers from retrying network detection forever on a
+  // dead endpoint; getNetwork() below verifies the chain id instead.
+  const provider = new ethers.JsonRpcProvider(req, chainId, {
+    batchMaxCount: 1,
+    staticNetwork: true,
+  });
+  return {
+    url,
+    label: endpointLabel(url),
+    provider,
+    requests: 0,
+    errors: 0,
+    rateLimits: 0,
+    consecutiveErrors: 0,
+    latencyMs: null,
+    errorRate: 0,
+    cooldownUntil: 0,
+    head: null,
+    lagging: false,
+    disabled: false,
+  };
+}
+
+function score(ep) {
+  return (ep.latencyMs ?? DEFAULT_LATENCY_MS) * (1 + 4 * ep.errorRate);
+}
+
+function recordSuccess(ep, elapsedMs) {
+  ep.requests += 1;
+  ep.consecutiveErrors = 0;
+  ep.latencyMs = ep.latencyMs == null ? elapsedMs : ep.latencyMs * 0.8 + elapsedMs * 0.2;
+  ep.errorRate *= 0.8;
+}
+
+function recordFailure(ep, err) {
+  ep.requests += 1;
+  ep.errors += 1;
+  ep.consecutiveErrors += 1;
+  ep.errorRate = ep.errorRate * 0.8 + 0.2;
+
+  const retryAfter = parseRetryAfterMs(err);
+  if (isRateLimitError(err) || retryAfter != null) {
+    ep.rateLimits += 1;
+    ep.cooldownUntil = Date.now() + (retryAfter ?? RATE_LIMIT_COOLDOWN_MS);
+    return;
+  }
+  if (ep.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+    ep.cooldownUntil = Date.now() + ERROR_COOLDOWN_MS;
+    log.warn(
+      `[rpc] ${ep.label} failed ${ep.consecutiveErrors} times in a row, cooling down ${ERROR_COOLDOWN_MS}ms`
+    );
+  }
+}
+
+/**
+ * Provider pool over several RPC endpoints of one chain.
+ *
+ * Exposes the subset of the ethers provider API the scanners use
+ * (getNetwork, getBlockNumber, getBlock, getLogs, call) and can be passed as
+ * the runner of an ethers.Contract for read-only calls. Each request goes to
+ * the healthiest endpoint that has reached the requested block, and fails over
+ * to the next one on error, so a scan keeps its cursor position.
+ */
+function createRpcPool(chain, urls, chainId) {
+  const endpoints = urls.map((url) => createEndpoint(url, chainId));
+  let bestHead = null;
+  let headsAt = 0;
+
+  function pickEndpoints(minBlock) {
+    const now = Date.now();
+    const live = endpoints.filter((ep) => !ep.disabled);
+    const eligible = live
+      .filter((ep) => !ep.lagging && ep.cooldownUntil <= now)
+      .filter((ep) => minBlock == null || ep.head == null || ep.head >= minBlock)
+      .sort((a, b) => score(a) - score(b));
+    if (eligible.length) return eligible;
+    // Nothing healthy: try everything still enabled, soonest out of cooldown first.
+    return [...live].sort((a, b) => a.cooldownUntil - b.cooldownUntil || score(a) - score(b));
+  }
+
+  async function run(method, fn, { minBlock = null } = {}) {
+    const candidates = pickEndpoints(minBlock);
+    if (!candidates.length) throw new Error(`No usable ${chain} RPC endpoints`);
+    let lastErr = null;
+    for (const ep of candidates) {
+      const t0 = Date.now();
+      try {
+        const out = await fn(ep.provider);
+        recordSuccess(ep, Date.now() - t0);
+        return out;
+      } catch (err) {
+        // Reverts are answers, not endpoint failures.
+        if (err?.code === "CALL_EXCEPTION") throw err;
+        // Range limits differ per endpoint: try the next one, but don't
+        // count it against this endpoint's health.
+        if (isRangeTooLargeError(err)) {
+          lastErr = err;
+          log.debug(`[rpc] ${method} range rejected by ${ep.label}: ${err.message || err}`);
+          continue;
+        }
+        recordFailure(ep, err);
+        lastErr = err;
+        log.debug(`[rpc] ${method} failed on ${ep.label}: ${err.message || err}`);
+      }
+    }
+    throw lastErr;
+  }
+
+  async function refreshHeads() {
+    const live = endpoints.filter((ep) => !ep.disabled);
+    await Promise.all(
+      live.map(async (ep) => {
+        const t0 = Date.now();
+        try {
+          ep.head = await ep.provider.getBlockNumber();
+          recordSuccess(ep, Date.now() - t0);
+        } catch (err) {
+          recordFailure(ep, err);
+          log.debug(`[rpc] getBlockNumber failed on ${ep.label}: ${err.message || err}`);
+        }
+      })
+    );
+
+    const heads = live.map((ep) => ep.head).filter((h) => Number.isInteger(h));
+    if (!heads.length) throw new Error(`No ${chain} RPC endpoint returned a block number`);
+    bestHead = Math.max(...heads);
+    headsAt = Date.now();
+
+    for (const ep of live) {
+      const lagging = Number.isInteger(ep.head) && ep.head < bestHead - RPC_MAX_LAG_BLOCKS;
+      if (lagging && !ep.lagging) {
+        log.warn(`[rpc] ${ep.label} is lagging (head=${ep.head} best=${bestHead}); skipping it`);
+      } else if (!lagging && ep.lagging) {
+        log.info(`[rpc] ${ep.label} caught up (head=${ep.head}); using it again`);
+      }
+      ep.lagging = lagging;
+    }
+    return bestHead;
+  }
+
+  async function getNetwork() {
+    const results = await Promise.all(
+      endpoints.map(async (ep) => {
+        try {
+          const id = Number(await ep.provider.send("eth_chainId", []));
+          if (id !== chainId) {
+            ep.disabled = true;
+            log.error(`[rpc] ${ep.label} serves chainId=${id}, expected ${chainId} for ${chain}; disabled`);
+            return false;
+          }
+          return true;
+        } catch (err) {
+          recordFailure(ep, err);
+          log.warn(`[rpc] ${ep.label} unreachable during startup: ${err.message || err}`);
+          return false;
+        }
+      })
+    );
+    if (!results.some(Boolean)) throw new Error(`No reachable ${chain} RPC endpoints`);
+    return ethers.Network.from(chainId);
+  }
+
+  // Cached for HEAD_REFRESH_MS; callers that need the live head (the indexer
+  // daemon) call refreshHeads() directly.
+  async function getBlockNumber() {
+    if (bestHead != null && Date.now() - headsAt < HEAD_REFRESH_MS) return bestHead;
+    return refreshHeads();
+  }
+
+  function getBlock(blockNumber) {
+    const minBlock = Number.isInteger(blockNumber) ? blockNumber : null;
+    return run("getBlock", (p) => p.getBlock(blockNumber), { minBlock });
+  }
+
+  function getLogs(filter) {
+    const minBlock = Number.isInteger(filter?.toBlock) ? filter.toBlock : null;
+    return run("getLogs", (p) => p.getLogs(filter), { minBlock });
+  }
+
+  function call(tx) {
+    const minBlock = Number.isInteger(tx?.blockTag) ? tx.blockTag : null;
+    return run("call", (p) => p.call(tx), { minBlock });
+  }
+
+  function getCode(address, blockTag) {
+    const minBlock = Number.isInteger(blockTag) ? blockTag : null;
+    return run("getCode", (p) => p.getCode(address, blockTag), { minBlock });
+  }
+
+  function logHealth() {
+    for (const ep of endpoints) {
+      const state = ep.disabled ? "disabled" : ep.lagging ? "lagging" : ep.cooldownUntil > Date.now() ? "cooldown" : "ok";
+      const latency = ep.latencyMs == null ? "n/a" : `${Math.round(ep.latencyMs)}ms`;
+      log.info(
+        `[rpc] ${chain} ${ep.label} state=${state} requests=${ep.requests} errors=${ep.errors} ` +
+          `rate_limits=${ep.rateLimits} latency=${latency} head=${ep.head ?? "n/a"}`
+      );
+    }
+  }
+
+  return {
+    chain,
+    chainId,
+    endpoints,
+    getNetwork,
+    getBlockNumber,
+    refreshHeads,
+    getBlock,
+    getLogs,
+    call,
+    getCode,
+    logHealth,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  const options = { batchMaxCount: 1 };
+/**
+ * getLogs with backoff on rate limits. A rejected block range is returned
+ * as `rangeTooLarge` for the caller to shrink its window; any other error
+ * ends the attempt.
+ *
+ * @returns {Promise<{ ok: true, logs: Array } | { ok: false, error: Error, rangeTooLarge?: boolean }>}
+ */
+async function getLogsWithRetry(provider, filter, { maxAttempts = 6 } = {}) {
+  let attempt = 0;
+  let backoffMs = 750;
+  while (attempt < maxAttempts) {
+    attempt++;
+    try {
+      return { ok: true, logs: await provider.getLogs(filter) };
+    } catch (err) {
+      if (isRangeTooLargeError(err)) {
+        log.warn(`getLogs range rejected (${filter.fromBlock} → ${filter.toBlock}): ${err.message}`);
+        return { ok: false, error: err, rangeTooLarge: true };
+      }
+      const retryAfter = parseRetryAfterMs(err);
+      const shouldRetry = isRateLimitError(err) || retryAfter != null;
+      log.warn(`getLogs failed (attempt ${attempt}/${maxAttempts}): ${err.message}`);
+      if (!shouldRetry || attempt >= maxAttempts) return { ok: false, error: err };
+      await sleep(retryAfter ?? backoffMs);
+      backoffMs = Math.min(backoffMs * 2, 10000);
+    }
+  }
+  return { ok: false, error: new Error("exhausted retries") };
+}
+
+function hasRpcConfig(chain) {
+  return Boolean(process.env[`DATUM_${chain}_SCAN_RPC`]?.trim());
+}
+
+/**
+ * Build the RPC pool for a chain from DATUM_<CHAIN>_SCAN_RPC (or `envName`),
+ * which holds one or more comma-separated endpoint URLs. Throws when the
+ * variable is missing or the chain id is unknown.
+ */
+function buildProvider(chain = "FLR", envName = `DATUM_${chain}_SCAN_RPC`) {
+  const urls = requireEnv(envName)
+    .split(",")
+    .map((u) => u.trim())
+    .filter(Boolean);
+  if (!urls.length) throw new Error(`${envName} does not contain any RPC URL`);
+
+  const chainId = resolveChainId(chain);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Unknown chain id for ${chain}; set DATUM_${chain}_CHAIN_ID`);
+  }
+
+  return createRpcPool(chain, urls, chainId);
+}
 
-  return new ethers.JsonRpcProvider(url, undefined, options);
+/**
+ * RPC pool for reads at past blocks: DATUM_<CHAIN>_PRICE_RPC when set (an
+ * archive endpoint, or a local stand-in), otherwise the scan RPC.
+ */
+function buildPriceProvider(chain = "FLR") {
+  const envName = `DATUM_${chain}_PRICE_RPC`;
+  return buildProvider(chain, process.env[envName]?.trim() ? envName : undefined);
 }
 
-module.exports = { buildProvider };
+module.exports = {
+  buildProvider,
+  buildPriceProvider,
+  hasRpcConfig,
+  getLogsWithRetry,
+  parseRetryAfterMs,
+  isRateLimitError,
+  isRangeTooLargeError,
+};
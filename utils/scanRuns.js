@@ -0,0 +1,150 @@
+// ./utils/scanRuns.js
+
+const { isRateLimitError, isRangeTooLargeError } = require("./rpc");
+
+function classifyError(err) {
+  if (!err) return null;
+  if (isRateLimitError(err)) return "RATE_LIMIT";
+  if (isRangeTooLargeError(err)) return "RANGE_TOO_LARGE";
+  if (err.code) return String(err.code);
+  return err.name || "Error";
+}
+
+function parentRunIdFromEnv() {
+  const n = Number(process.env.DATUM_SCAN_RUN_ID || "");
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Open a scan_runs row in status "running".
+ *
+ * Script-level runs (cursorKey omitted) group the per-cursor runs of one
+ * process; per-cursor runs pass `parent` so their counters roll up into it.
+ * A script started by scanAll.js inherits scanAll's row as its parent via
+ * DATUM_SCAN_RUN_ID.
+ */
+function startScanRun(
+  db,
+  { script, cursorKey = null, startBlock = null, targetBlock = null, parent = null, keepCursorRunsOpen = false }
+) {
+  const parentId = parent ? parent.id : parentRunIdFromEnv();
+  const info = db
+    .prepare(
+      `
+      INSERT INTO scan_runs (parent_run_id, script, cursor_key, status, start_block, target_block)
+      VALUES (?, ?, ?, 'running', ?, ?)
+    `
+    )
+    .run(parentId, script, cursorKey, startBlock, targetBlock);
+  return {
+    id: Number(info.lastInsertRowid),
+    parent,
+    cursorKey,
+    cursorRuns: keepCursorRunsOpen ? new Map() : null,
+    startedMs: Date.now(),
+    targetBlock,
+    endBlock: null,
+    windowsAttempted: 0,
+    windowsCompleted: 0,
+    logsIngested: 0,
+    error: null,
+  };
+}
+
+/**
+ * Close a scan_runs row. Status is "ok" without an error, "partial" when some
+ * windows completed before the error, otherwise "failed".
+ */
+function finishScanRun(db, run, err = run.error) {
+  if (run.cursorRuns) {
+    for (const child of run.cursorRuns.values()) finishScanRun(db, child);
+    run.cursorRuns.clear();
+  }
+  const status = err ? (run.windowsCompleted > 0 ? "partial" : "failed") : "ok";
+  db.prepare(
+    `
+    UPDATE scan_runs
+    SET status = ?, end_block = ?, target_block = ?, windows_attempted = ?, windows_completed = ?,
+        logs_ingested = ?, error_class = ?, error_message = ?,
+        finished_at = datetime('now'), duration_ms = ?
+    WHERE id = ?
+  `
+  ).run(
+    status,
+    run.endBlock,
+    run.targetBlock,
+    run.windowsAttempted,
+    run.windowsCompleted,
+    run.logsIngested,
+    classifyError(err),
+    err ? String(err.message || err).slice(0, 1000) : null,
+    Date.now() - run.startedMs,
+    run.id
+  );
+
+  if (run.parent) {
+    run.parent.windowsAttempted += run.windowsAttempted;
+    run.parent.windowsCompleted += run.windowsCompleted;
+    run.parent.logsIngested += run.logsIngested;
+    if (err && !run.parent.error) run.parent.error = err;
+  }
+  return status;
+}
+
+/**
+ * Per-cursor run under a script run. Normally a fresh row per scan; when the
+ * parent was started with keepCursorRunsOpen (the indexer daemon), successive
+ * scans of the same cursor accumulate into one open row until the parent is
+ * finished, so polling every few seconds doesn't add a row per poll.
+ */
+function startCursorRun(db, { script, cursorKey, startBlock, targetBlock, parent }) {
+  const open = parent?.cursorRuns?.get(cursorKey);
+  if (open) {
+    open.targetBlock = targetBlock;
+    return open;
+  }
+  const run = startScanRun(db, { script, cursorKey, startBlock, targetBlock, parent });
+  if (parent?.cursorRuns) parent.cursorRuns.set(cursorKey, run);
+  return run;
+}
+
+/**
+ * Counterpart of startCursorRun. Errors always close the row so the failure
+ * shows up in health reporting right away.
+ */
+function endCursorRun(db, run, err = run.error) {
+  const open = run.parent?.cursorRuns;
+  if (open && !err) return "running";
+  if (open) open.delete(run.cursorKey);
+  return finishScanRun(db, run, err);
+}
+
+/**
+ * Latest finished run per cursor, for health reporting.
+ */
+function latestRunsByCursor(db) {
+  return db
+    .prepare(
+      `
+      SELECT r.*
+      FROM scan_runs r
+      JOIN (
+        SELECT cursor_key, MAX(id) AS id
+        FROM scan_runs
+        WHERE cursor_key IS NOT NULL AND status != 'running'
+        GROUP BY cursor_key
+      ) latest ON latest.id = r.id
+      ORDER BY r.cursor_key
+    `
+    )
+    .all();
+}
+
+module.exports = {
+  startScanRun,
+  finishScanRun,
+  startCursorRun,
+  endCursorRun,
+  latestRunsByCursor,
+  classifyError,
+};
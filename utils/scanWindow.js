@@ -0,0 +1,100 @@
+// ./utils/scanWindow.js
+
+const log = require("./logger");
+
+// Grow the window after this many successful getLogs calls in a row.
+const GROW_AFTER_SUCCESSES = 5;
+const GROW_FACTOR = 1.25;
+
+function envInt(name, fallback) {
+  const v = process.env[name];
+  if (v == null || !v.trim()) return fallback;
+  const n = Number(v.trim());
+  return Number.isInteger(n) ? n : fallback;
+}
+
+/**
+ * Window limits for a chain:
+ *   DATUM_<CHAIN>_SCAN_BLOCKS      starting window (used until one is learned)
+ *   DATUM_<CHAIN>_SCAN_BLOCKS_MIN  never shrink below this
+ *   DATUM_<CHAIN>_SCAN_BLOCKS_MAX  never grow above this
+ */
+function windowLimits(chain) {
+  const initial = envInt(`DATUM_${chain}_SCAN_BLOCKS`, 500);
+  const min = Math.max(1, envInt(`DATUM_${chain}_SCAN_BLOCKS_MIN`, Math.min(10, initial)));
+  const max = Math.max(min, envInt(`DATUM_${chain}_SCAN_BLOCKS_MAX`, Math.max(initial, 5000)));
+  return { initial: Math.min(Math.max(initial, min), max), min, max };
+}
+
+/**
+ * Pause between getLogs windows: DATUM_<CHAIN>_SCAN_PAUSE_MS.
+ */
+function scanPauseMs(chain) {
+  return Math.max(0, envInt(`DATUM_${chain}_SCAN_PAUSE_MS`, 500));
+}
+
+/**
+ * Adaptive getLogs window for one chain. The learned size is persisted in
+ * scan_window_sizes so every scanner process starts from the last good value
+ * (unless `persist` is false, for read-only runs).
+ *
+ * shrink() halves the window after a "range too large" style rejection and
+ * returns false once the minimum is reached. grow() is called after each
+ * successful window; it grows the window gradually, but not back up to a size
+ * that already failed during this run.
+ */
+function createWindowSizer(db, chain, { persist = true } = {}) {
+  const limits = windowLimits(chain);
+  const row = db.prepare("SELECT window_blocks FROM scan_window_sizes WHERE chain_id = ?").get(chain);
+  const learned = Number.isInteger(row?.window_blocks) ? row.window_blocks : limits.initial;
+
+  let size = Math.min(Math.max(learned, limits.min), limits.max);
+  let successes = 0;
+  let failedSize = null;
+
+  const upsert = db.prepare(`
+    INSERT INTO scan_window_sizes (chain_id, window_blocks)
+    VALUES (?, ?)
+    ON CONFLICT(chain_id) DO UPDATE SET
+      window_blocks = excluded.window_blocks,
+      updated_at = datetime('now')
+  `);
+  const save = (blocks) => {
+    if (persist) upsert.run(chain, blocks);
+  };
+
+  function shrink() {
+    successes = 0;
+    failedSize = failedSize == null ? size : Math.min(failedSize, size);
+    if (size <= limits.min) {
+      log.warn(`[scanWindow] ${chain} window already at minimum (${limits.min} blocks); giving up on this range`);
+      return false;
+    }
+    const prev = size;
+    size = Math.max(limits.min, Math.floor(size / 2));
+    save(size);
+    log.warn(`[scanWindow] ${chain} range rejected at ${prev} blocks; window → ${size}`);
+    return true;
+  }
+
+  function grow() {
+    successes++;
+    if (successes < GROW_AFTER_SUCCESSES) return;
+    successes = 0;
+    const cap = failedSize != null ? Math.min(limits.max, failedSize - 1) : limits.max;
+    if (size >= cap) return;
+    const prev = size;
+    size = Math.min(cap, Math.ceil(size * GROW_FACTOR));
+    save(size);
+    log.debug(`[scanWindow] ${chain} window ${prev} → ${size}`);
+  }
+
+  return {
+    limits,
+    size: () => size,
+    shrink,
+    grow,
+  };
+}
+
+module.exports = { createWindowSizer, windowLimits, scanPauseMs };
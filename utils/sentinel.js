@@ -31,6 +31,25 @@ function getUserWallets(db, discordId) {
     .all(userId);
 }
 
+/**
+ * SQL condition matching rows that belong to any of the user's wallets, each
+ * on its own chain. `addrCols` must yield lowercase addresses.
+ *
+ * @returns {{ sql: string, params: string[] }}
+ */
+function walletChainFilter(wallets, addrCols, chainCol = "chain_id") {
+  const clauses = [];
+  const params = [];
+  for (const w of wallets) {
+    const addr = w.address_eip55.toLowerCase();
+    for (const col of addrCols) {
+      clauses.push(`(${chainCol} = ? AND ${col} = ?)`);
+      params.push(w.chain_id, addr);
+    }
+  }
+  return { sql: clauses.join(" OR "), params };
+}
+
 async function requireWalletsOrReply(interaction, wallets) {
   if (wallets.length > 0) return true;
   const payload = {
@@ -47,4 +66,4 @@ async function requireWalletsOrReply(interaction, wallets) {
   return false;
 }
 
-module.exports = { getUserWallets, requireWalletsOrReply };
+module.exports = { getUserWallets, walletChainFilter, requireWalletsOrReply };
@@ -0,0 +1,102 @@
+// ./utils/spGains.js
+
+/**
+ * Liquidations absorbed by stability pools, and a depositor's estimated share
+ * of each. The pool only logs a depositor's losses and gains at their next
+ * operation, so the share is estimated from the pool's BOLD balance: a deposit
+ * D in a pool of B absorbs D/B of the offset debt and receives D/B of the
+ * collateral sent to the pool, and shrinks by the same fraction.
+ */
+
+// The stability pool a branch's liquidations are offset against, if indexed.
+function branchPool(db, contractKey) {
+  return (
+    db
+      .prepare(
+        `
+        SELECT sp.pool_key, sp.chain_id
+        FROM loan_contracts lc
+        JOIN stability_pools sp
+          ON sp.chain_id = lc.chain_id AND lower(sp.address_eip55) = lower(lc.stability_pool_address)
+        WHERE lc.contract_key = ?
+      `
+      )
+      .get(contractKey) || null
+  );
+}
+
+/**
+ * Offsets of one branch after `from` (exclusive) up to `to` (inclusive), each
+ * `{ block_number, log_index, offset, collSent, poolBefore }`. poolBefore is
+ * null when the pool balance at that point is not indexed.
+ */
+function loadPoolOffsets(db, contractKey, poolKey, from, to) {
+  const rows = db
+    .prepare(
+      `
+      SELECT block_number, log_index, debt_offset_by_sp, coll_sent_to_sp
+      FROM liquidation_events
+      WHERE contract_key = ? AND debt_offset_by_sp != '0'
+        AND (block_number > ? OR (block_number = ? AND log_index > ?))
+        AND (block_number < ? OR (block_number = ? AND log_index <= ?))
+      ORDER BY block_number, log_index
+    `
+    )
+    .all(contractKey, from.block_number, from.block_number, from.log_index, to.block_number, to.block_number, to.log_index);
+
+  // The offset lowers the pool balance before TroveManager logs the liquidation,
+  // so the last balance logged before it is the balance after the offset.
+  const lastBalance = db.prepare(`
+    SELECT bold_balance FROM sp_balance_updates
+    WHERE pool_key = ? AND (block_number < ? OR (block_number = ? AND log_index < ?))
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT 1
+  `);
+  return rows.map((r) => {
+    const offset = BigInt(r.debt_offset_by_sp);
+    const bal = lastBalance.get(poolKey, r.block_number, r.block_number, r.log_index);
+    return {
+      block_number: r.block_number,
+      log_index: r.log_index,
+      offset,
+      collSent: BigInt(r.coll_sent_to_sp),
+      poolBefore: bal ? BigInt(bal.bold_balance) + offset : null,
+    };
+  });
+}
+
+/**
+ * Estimated share of one liquidation for one depositor: the deposit from their
+ * last DepositUpdated before it, reduced by every offset since. Returns null
+ * when they had no deposit or a pool balance on the way is missing.
+ *
+ * @returns {{ deposit: bigint, debtBurned: bigint, collGained: bigint, poolBefore: bigint } | null}
+ */
+function estimateDepositorShare(db, contractKey, poolKey, depositor, liquidation) {
+  const last = db
+    .prepare(
+      `
+      SELECT block_number, log_index, new_deposit FROM sp_deposit_updates
+      WHERE pool_key = ? AND lower(depositor) = lower(?)
+        AND (block_number < ? OR (block_number = ? AND log_index < ?))
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `
+    )
+    .get(poolKey, depositor, liquidation.block_number, liquidation.block_number, liquidation.log_index);
+  if (!last) return null;
+
+  let deposit = BigInt(last.new_deposit);
+  for (const o of loadPoolOffsets(db, contractKey, poolKey, last, liquidation)) {
+    if (deposit === 0n) return null;
+    if (!o.poolBefore) return null;
+    const debtBurned = (deposit * o.offset) / o.poolBefore;
+    if (o.block_number === liquidation.block_number && o.log_index === liquidation.log_index) {
+      return { deposit, debtBurned, collGained: (deposit * o.collSent) / o.poolBefore, poolBefore: o.poolBefore };
+    }
+    deposit -= debtBurned;
+  }
+  return null;
+}
+
+module.exports = { branchPool, loadPoolOffsets, estimateDepositorShare };
@@ -0,0 +1,156 @@
+// ./utils/spMath.js
+
+/**
+ * Offline Liquity v2 stability pool math. A deposit is stored as its value at
+ * the depositor's last operation plus snapshots of the pool's running product
+ * P, the collateral and yield sums S and B, and the scale. Replaying the pool's
+ * indexed P / S / B / scale changes (sp_global_updates) up to a block gives the
+ * same compounded deposit and gains the contract's getters returned then.
+ */
+
+const SCALE_FACTOR = 10n ** 9n;
+// More scale changes than this round any deposit down to zero.
+const MAX_SCALE_FACTOR_EXPONENT = 8n;
+// Scale changes after which an untouched deposit stops earning gains.
+const SCALE_SPAN = 2n;
+
+/**
+ * The pool's P, current scale and S / B sums per scale as of the end of
+ * `block`. Values never indexed up to then are left null; resolveState fills
+ * them in for one deposit. `indexedFrom` is the first block the pool's
+ * sp_global_updates are indexed from (stability_pools.global_updates_from_block),
+ * null when they were never scanned.
+ *
+ * @returns {{ indexedFrom: number|null, P: bigint|null, scale: bigint|null,
+ *   S: (scale: bigint) => bigint|null, B: (scale: bigint) => bigint|null }}
+ */
+function loadPoolStateAt(db, poolKey, block) {
+  const last = db.prepare(`
+    SELECT value FROM sp_global_updates
+    WHERE pool_key = ? AND field = ? AND block_number <= ?
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT 1
+  `);
+  const lastAtScale = db.prepare(`
+    SELECT value FROM sp_global_updates
+    WHERE pool_key = ? AND field = ? AND scale = ? AND block_number <= ?
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT 1
+  `);
+  const coverage = db.prepare("SELECT global_updates_from_block FROM stability_pools WHERE pool_key = ?").get(poolKey);
+  const valueOf = (row) => (row ? BigInt(row.value) : null);
+  return {
+    indexedFrom: coverage?.global_updates_from_block ?? null,
+    P: valueOf(last.get(poolKey, "P", block)),
+    scale: valueOf(last.get(poolKey, "scale", block)),
+    S: (scale) => valueOf(lastAtScale.get(poolKey, "S", scale.toString(), block)),
+    B: (scale) => valueOf(lastAtScale.get(poolKey, "B", scale.toString(), block)),
+  };
+}
+
+/**
+ * Fill what the pool state is missing from the deposit's own snapshot: a
+ * value the pool never changed since the snapshot (as far as the index goes)
+ * is still the snapshot value, and a later scale's sums start at zero.
+ * `complete` is false unless the pool's updates are indexed from the
+ * snapshot's block on; before that, updates missing from the index would be
+ * read as "unchanged".
+ */
+function resolveState(snapshot, state) {
+  const sumAt = (get, snapValue) => (scale) => {
+    const v = get(scale);
+    if (v != null) return v;
+    return scale === snapshot.scale ? snapValue : 0n;
+  };
+  return {
+    complete: state.indexedFrom != null && state.indexedFrom <= snapshot.block,
+    P: state.P ?? snapshot.P,
+    scale: state.scale ?? snapshot.scale,
+    S: sumAt(state.S, snapshot.S),
+    B: sumAt(state.B, snapshot.B),
+  };
+}
+
+/** getCompoundedBoldDeposit: the deposit after every offset since its snapshot. */
+function compoundedDeposit(snapshot, state) {
+  if (snapshot.deposit === 0n || snapshot.P === 0n) return 0n;
+  const scaleDiff = state.scale - snapshot.scale;
+  if (scaleDiff > MAX_SCALE_FACTOR_EXPONENT) return 0n;
+  return (snapshot.deposit * state.P) / snapshot.P / SCALE_FACTOR ** scaleDiff;
+}
+
+// Gains from the sums of the snapshot's scale and the SCALE_SPAN scales after it.
+function gainFromSums(snapshot, snapSum, sumAt) {
+  if (snapshot.deposit === 0n || snapshot.P === 0n) return 0n;
+  let normalized = sumAt(snapshot.scale) - snapSum;
+  for (let i = 1n; i <= SCALE_SPAN; i++) {
+    normalized += sumAt(snapshot.scale + i) / SCALE_FACTOR ** i;
+  }
+  return (snapshot.deposit * normalized) / snapshot.P;
+}
+
+/** getDepositorCollGain: collateral earned from liquidations since the snapshot. */
+function depositorCollGain(snapshot, state) {
+  return gainFromSums(snapshot, snapshot.S, state.S);
+}
+
+/** getDepositorYieldGain: BOLD yield earned since the snapshot. */
+function depositorYieldGain(snapshot, state) {
+  return gainFromSums(snapshot, snapshot.B, state.B);
+}
+
+/**
+ * A depositor's position in one pool as of the end of `block`, from their
+ * last DepositUpdated at or before it and the pool's indexed changes since.
+ * Needs the pool's sp_global_updates indexed from that DepositUpdated on;
+ * when they are not, `complete` is false and the compounded deposit and
+ * gains are null. The contract additionally caps gains at the
+ * pool's balances, which are not indexed; the cap only matters for rounding dust.
+ *
+ * @returns {{ snapshotBlock: number, snapshotTimestamp: number|null, initialDeposit: bigint, stashedColl: bigint,
+ *   complete: boolean, deposit: bigint|null, collGain: bigint|null, yieldGain: bigint|null } | null}
+ *   null when no deposit was recorded by then
+ */
+function depositorPositionAt(db, poolKey, depositor, block) {
+  const row = db
+    .prepare(
+      `
+      SELECT block_number, block_timestamp, new_deposit, stashed_coll, snapshot_p, snapshot_s, snapshot_b, snapshot_scale
+      FROM sp_deposit_updates
+      WHERE pool_key = ? AND lower(depositor) = lower(?) AND block_number <= ?
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `
+    )
+    .get(poolKey, depositor, block);
+  if (!row) return null;
+
+  const snapshot = {
+    block: row.block_number,
+    deposit: BigInt(row.new_deposit),
+    P: BigInt(row.snapshot_p),
+    S: BigInt(row.snapshot_s),
+    B: BigInt(row.snapshot_b),
+    scale: BigInt(row.snapshot_scale),
+  };
+  const state = resolveState(snapshot, loadPoolStateAt(db, poolKey, block));
+  return {
+    snapshotBlock: row.block_number,
+    snapshotTimestamp: row.block_timestamp,
+    initialDeposit: snapshot.deposit,
+    stashedColl: BigInt(row.stashed_coll),
+    complete: state.complete,
+    deposit: state.complete ? compoundedDeposit(snapshot, state) : null,
+    collGain: state.complete ? depositorCollGain(snapshot, state) : null,
+    yieldGain: state.complete ? depositorYieldGain(snapshot, state) : null,
+  };
+}
+
+module.exports = {
+  loadPoolStateAt,
+  resolveState,
+  compoundedDeposit,
+  depositorCollGain,
+  depositorYieldGain,
+  depositorPositionAt,
+};
@@ -0,0 +1,79 @@
+// ./utils/spPositions.js
+
+const { ethers } = require("ethers");
+const stabilityPoolAbi = require("../abi/stabilityPool.json");
+const { buildProvider, hasRpcConfig } = require("./rpc");
+
+const CACHE_SECONDS = Number(process.env.DATUM_SP_POSITION_CACHE_SECONDS || "60");
+const READ_TIMEOUT_MS = 10000;
+// A failed read is remembered this long so a dead endpoint doesn't cost every command a timeout.
+const FAILURE_CACHE_MS = 15000;
+
+const providers = new Map();
+const cache = new Map();
+const failures = new Map();
+
+function getProvider(chain) {
+  if (!providers.has(chain)) providers.set(chain, buildProvider(chain));
+  return providers.get(chain);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("read timeout")), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function pruneCache(nowMs) {
+  for (const [key, entry] of cache.entries()) {
+    if (nowMs - entry.readAt * 1000 >= CACHE_SECONDS * 1000) cache.delete(key);
+  }
+  for (const [key, entry] of failures.entries()) {
+    if (nowMs - entry.failedAt >= FAILURE_CACHE_MS) failures.delete(key);
+  }
+}
+
+/**
+ * A depositor's current compounded BOLD deposit and pending collateral gain,
+ * read from the pool contract. Reads are cached per pool and depositor for
+ * DATUM_SP_POSITION_CACHE_SECONDS so repeated commands don't hit the RPC.
+ *
+ * Rejects when the chain's RPC is missing, misconfigured or unreachable; a
+ * failed read rejects again with the same error for FAILURE_CACHE_MS.
+ *
+ * @param {{ chain_id: string, address_eip55: string }} pool stability_pools row
+ * @returns {Promise<{ deposit: bigint, collGain: bigint, readAt: number }>} readAt in unix seconds
+ */
+async function readSpPosition(pool, depositor) {
+  if (!hasRpcConfig(pool.chain_id)) throw new Error(`no ${pool.chain_id} RPC configured`);
+  const key = `${pool.chain_id}:${pool.address_eip55.toLowerCase()}:${depositor.toLowerCase()}`;
+  const nowMs = Date.now();
+  const hit = cache.get(key);
+  if (hit && nowMs - hit.readAt * 1000 < CACHE_SECONDS * 1000) return hit;
+  const failed = failures.get(key);
+  if (failed && nowMs - failed.failedAt < FAILURE_CACHE_MS) throw failed.error;
+
+  let deposit;
+  let collGain;
+  try {
+    const sp = new ethers.Contract(pool.address_eip55, stabilityPoolAbi, getProvider(pool.chain_id));
+    [deposit, collGain] = await withTimeout(
+      Promise.all([sp.getCompoundedBoldDeposit(depositor), sp.getDepositorCollGain(depositor)]),
+      READ_TIMEOUT_MS
+    );
+  } catch (err) {
+    failures.set(key, { error: err, failedAt: Date.now() });
+    throw err;
+  }
+  pruneCache(nowMs);
+  failures.delete(key);
+  const entry = { deposit, collGain, readAt: Math.floor(nowMs / 1000) };
+  cache.set(key, entry);
+  return entry;
+}
+
+module.exports = { readSpPosition };
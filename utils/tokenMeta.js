@@ -0,0 +1,87 @@
+// ./utils/tokenMeta.js
+
+const { ethers } = require("ethers");
+const erc20Abi = require("../abi/erc20.json");
+const stabilityPoolAbi = require("../abi/stabilityPool.json");
+const troveManagerAbi = require("../abi/troveManager.json");
+
+async function readToken(provider, address) {
+  const token = new ethers.Contract(address, erc20Abi, provider);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address: ethers.getAddress(address), symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Collateral and debt token of a branch, read from its stability pool.
+ *
+ * @returns {Promise<{ coll: object, debt: object }>} each `{ address, symbol, decimals }`
+ */
+async function resolvePoolTokens(provider, poolAddress) {
+  const sp = new ethers.Contract(poolAddress, stabilityPoolAbi, provider);
+  const [collAddr, debtAddr] = await Promise.all([sp.collToken(), sp.boldToken()]);
+  const [coll, debt] = await Promise.all([readToken(provider, collAddr), readToken(provider, debtAddr)]);
+  return { coll, debt };
+}
+
+// A TroveManager has no token getters of its own; go through its stability pool.
+async function resolveTroveManagerTokens(provider, troveManagerAddress) {
+  const tm = new ethers.Contract(troveManagerAddress, troveManagerAbi, provider);
+  return resolvePoolTokens(provider, await tm.stabilityPool());
+}
+
+function buildLookup(rows, kind) {
+  const byKey = new Map();
+  for (const r of rows) {
+    if (r.coll_symbol == null || r.coll_decimals == null || r.debt_symbol == null || r.debt_decimals == null) {
+      continue;
+    }
+    byKey.set(r.key, {
+      symbol: r.coll_symbol,
+      decimals: r.coll_decimals,
+      debtSymbol: r.debt_symbol,
+      debtDecimals: r.debt_decimals,
+    });
+  }
+  // Guessing decimals would silently corrupt exports, so a missing entry is an error.
+  return (key) => {
+    const meta = byKey.get(key);
+    if (!meta) throw new Error(`No token metadata for ${kind} "${key}"; run the scanner to resolve it`);
+    return meta;
+  };
+}
+
+/**
+ * Lookup of `{ symbol, decimals, debtSymbol, debtDecimals }` by contract key,
+ * from what the trove scanner stored in loan_contracts.
+ */
+function loadLoanTokenMeta(db) {
+  const rows = db
+    .prepare(
+      `
+      SELECT contract_key AS key, coll_symbol, coll_decimals, debt_symbol, debt_decimals
+      FROM loan_contracts
+    `
+    )
+    .all();
+  return buildLookup(rows, "loan contract");
+}
+
+/** Same as loadLoanTokenMeta, by pool key from stability_pools. */
+function loadPoolTokenMeta(db) {
+  const rows = db
+    .prepare(
+      `
+      SELECT pool_key AS key, coll_symbol, coll_decimals, debt_symbol, debt_decimals
+      FROM stability_pools
+    `
+    )
+    .all();
+  return buildLookup(rows, "stability pool");
+}
+
+module.exports = {
+  resolvePoolTokens,
+  resolveTroveManagerTokens,
+  loadLoanTokenMeta,
+  loadPoolTokenMeta,
+};
@@ -0,0 +1,280 @@
+// ./utils/trackedTroves.js
+
+const { ethers } = require("ethers");
+const { walletChainFilter } = require("./sentinel");
+const { batchUpdatesLoader, batchedTroveSnapshot } = require("./batches");
+
+// Liquity v2 TroveOperation codes.
+const OP_OPEN = new Set([0, 7]);
+const OP_CLOSE = 1;
+const OP_LIQUIDATE = 5;
+const OP_REDEEM = 6;
+
+// The protocol's MIN_DEBT: a redemption leaving less makes the trove a zombie,
+// taken out of SortedTroves until it is topped back up or closed.
+const MIN_DEBT = ethers.parseUnits(process.env.DATUM_TROVE_MIN_DEBT || "2000", 18);
+
+function parseJsonSafe(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function byPosition(a, b) {
+  return a.block_number - b.block_number || a.log_index - b.log_index;
+}
+
+/**
+ * Current state of one trove from its NFT transfers and TroveManager events.
+ * Debt, collateral and rate are as of the last TroveUpdated; for a trove in a
+ * batch, its shares from the last BatchedTroveUpdated are priced at the
+ * batch's state as of `asOfBlock`, so later BatchUpdated rows move its debt
+ * and rate. Interest and redistributions accrued since are not included.
+ *
+ * @param {(manager: string) => Array} batchUpdatesOf BatchUpdated rows of a batch, from loadBatchUpdates
+ * @param {number} [asOfBlock] last block to take batch state from; the latest indexed by default
+ */
+function deriveTrove(transfers, events, batchUpdatesOf, asOfBlock = Infinity) {
+  const state = {
+    owner: null,
+    status: "open",
+    debt: null,
+    coll: null,
+    annual_interest_rate: null,
+    opened_block: null,
+    closed_block: null,
+    last_update_block: null,
+    last_update_timestamp: null,
+    first_seen_block: null,
+    last_seen_block: null,
+    is_burned: 0,
+    batch_manager: null,
+  };
+
+  let lastOp = null;
+  let redeemed = false;
+  for (const t of transfers) {
+    if (t.is_burned) {
+      state.is_burned = 1;
+      state.closed_block ??= t.block_number;
+    } else {
+      state.owner = t.to_addr;
+    }
+  }
+  for (const e of events) {
+    const data = parseJsonSafe(e.data_json);
+    if (!data) continue;
+    if (e.event_name === "TroveUpdated") {
+      state.debt = data._debt ?? null;
+      state.coll = data._coll ?? null;
+      state.annual_interest_rate = data._annualInterestRate ?? null;
+      state.last_update_block = e.block_number;
+      state.last_update_timestamp = e.block_timestamp;
+      state.batch_manager = null;
+    } else if (e.event_name === "BatchedTroveUpdated") {
+      const snap = batchedTroveSnapshot(batchUpdatesOf, asOfBlock, data);
+      state.debt = snap.debt?.toString() ?? null;
+      state.coll = data._coll ?? null;
+      state.annual_interest_rate = snap.rate?.toString() ?? null;
+      state.last_update_block = e.block_number;
+      state.last_update_timestamp = e.block_timestamp;
+      state.batch_manager = snap.manager;
+    } else if (e.event_name === "TroveOperation") {
+      const op = Number(data._operation);
+      if (OP_OPEN.has(op)) state.opened_block ??= e.block_number;
+      if (op === OP_CLOSE || op === OP_LIQUIDATE) state.closed_block = e.block_number;
+      if (op === OP_REDEEM) redeemed = true;
+      lastOp = op;
+    }
+  }
+
+  if (lastOp === OP_LIQUIDATE) state.status = "liquidated";
+  else if (lastOp === OP_CLOSE || state.is_burned) state.status = "closed";
+  else if (lastOp === OP_REDEEM && state.debt === "0") state.status = "redeemed_to_zero";
+  // Only a redemption takes an active trove below MIN_DEBT.
+  else if (redeemed && state.debt != null && BigInt(state.debt) < MIN_DEBT) state.status = "zombie";
+  if (state.status !== "closed" && state.status !== "liquidated") state.closed_block = null;
+
+  const blocks = [...transfers, ...events].map((r) => r.block_number);
+  state.first_seen_block = blocks.length ? Math.min(...blocks) : null;
+  state.last_seen_block = blocks.length ? Math.max(...blocks) : null;
+  return state;
+}
+
+/**
+ * Recompute the tracked_troves rows of the given troves from the stored events.
+ * Troves with no events left (e.g. after a reorg rollback) are removed.
+ * Call inside the same transaction as the event writes.
+ */
+function refreshTrackedTroves(db, chain, contractKey, tokenIds) {
+  const transfersOf = db.prepare(`
+    SELECT block_number, log_index, to_addr, is_burned
+    FROM loan_nft_transfers
+    WHERE contract_key = ? AND token_id = ?
+  `);
+  const eventsOf = db.prepare(`
+    SELECT block_number, block_timestamp, log_index, event_name, data_json
+    FROM trove_events
+    WHERE contract_key = ? AND trove_id = ? AND event_name IN ('TroveUpdated', 'BatchedTroveUpdated', 'TroveOperation')
+  `);
+  const remove = db.prepare("DELETE FROM tracked_troves WHERE contract_key = ? AND token_id = ?");
+  const upsert = db.prepare(`
+    INSERT INTO tracked_troves (
+      chain_id, contract_key, token_id, owner, status, debt, coll, annual_interest_rate,
+      opened_block, closed_block, last_update_block, last_update_timestamp,
+      first_seen_block, last_seen_block, is_burned, batch_manager
+    ) VALUES (
+      @chain_id, @contract_key, @token_id, @owner, @status, @debt, @coll, @annual_interest_rate,
+      @opened_block, @closed_block, @last_update_block, @last_update_timestamp,
+      @first_seen_block, @last_seen_block, @is_burned, @batch_manager
+    )
+    ON CONFLICT(contract_key, token_id) DO UPDATE SET
+      chain_id = excluded.chain_id,
+      owner = excluded.owner,
+      status = excluded.status,
+      debt = excluded.debt,
+      coll = excluded.coll,
+      annual_interest_rate = excluded.annual_interest_rate,
+      opened_block = excluded.opened_block,
+      closed_block = excluded.closed_block,
+      last_update_block = excluded.last_update_block,
+      last_update_timestamp = excluded.last_update_timestamp,
+      first_seen_block = excluded.first_seen_block,
+      last_seen_block = excluded.last_seen_block,
+      is_burned = excluded.is_burned,
+      batch_manager = excluded.batch_manager,
+      updated_at = datetime('now')
+  `);
+
+  const loadBatch = batchUpdatesLoader(db);
+  const batchUpdatesOf = (manager) => loadBatch(contractKey, manager);
+
+  for (const tokenId of new Set(tokenIds)) {
+    const transfers = transfersOf.all(contractKey, tokenId).sort(byPosition);
+    const events = eventsOf.all(contractKey, tokenId).sort(byPosition);
+    if (!transfers.length && !events.length) {
+      remove.run(contractKey, tokenId);
+      continue;
+    }
+    upsert.run({
+      chain_id: chain,
+      contract_key: contractKey,
+      token_id: tokenId,
+      ...deriveTrove(transfers, events, batchUpdatesOf),
+    });
+  }
+}
+
+/**
+ * State of one trove as of the end of `block`, derived like tracked_troves
+ * from the events up to then. Null when nothing was indexed by then.
+ */
+function troveStateAt(db, contractKey, tokenId, block) {
+  const transfers = db
+    .prepare(
+      `
+      SELECT block_number, log_index, to_addr, is_burned
+      FROM loan_nft_transfers
+      WHERE contract_key = ? AND token_id = ? AND block_number <= ?
+    `
+    )
+    .all(contractKey, tokenId, block)
+    .sort(byPosition);
+  const events = db
+    .prepare(
+      `
+      SELECT block_number, block_timestamp, log_index, event_name, data_json
+      FROM trove_events
+      WHERE contract_key = ? AND trove_id = ? AND block_number <= ?
+        AND event_name IN ('TroveUpdated', 'BatchedTroveUpdated', 'TroveOperation')
+    `
+    )
+    .all(contractKey, tokenId, block)
+    .sort(byPosition);
+  if (!transfers.length && !events.length) return null;
+  const loadBatch = batchUpdatesLoader(db);
+  return deriveTrove(transfers, events, (manager) => loadBatch(contractKey, manager), block);
+}
+
+/**
+ * Token ids of the troves whose latest batch membership in tracked_troves
+ * names one of `managers`. Their debt and rate follow the batch, so callers
+ * refresh them whenever BatchUpdated rows of those batches are written or
+ * removed.
+ */
+function batchMemberIds(db, contractKey, managers) {
+  const stmt = db.prepare(
+    "SELECT token_id FROM tracked_troves WHERE contract_key = ? AND lower(batch_manager) = lower(?)"
+  );
+  const ids = [];
+  for (const manager of new Set(managers.filter(Boolean).map((m) => m.toLowerCase()))) {
+    for (const r of stmt.all(contractKey, manager)) ids.push(r.token_id);
+  }
+  return ids;
+}
+
+/** Recompute every trove of one contract, e.g. to populate an existing DB. */
+function rebuildTrackedTroves(db, chain, contractKey) {
+  const ids = db
+    .prepare(
+      `
+      SELECT token_id AS id FROM loan_nft_transfers WHERE contract_key = ?
+      UNION
+      SELECT trove_id AS id FROM trove_events WHERE contract_key = ?
+    `
+    )
+    .all(contractKey, contractKey)
+    .map((r) => r.id);
+  db.transaction(() => refreshTrackedTroves(db, chain, contractKey, ids))();
+  return ids.length;
+}
+
+/**
+ * tracked_troves rows of the troves the user's wallets hold now, optionally
+ * limited to some statuses. Burned troves are never held.
+ */
+function loadWalletTroves(db, wallets, statuses = null) {
+  const filter = walletChainFilter(wallets, ["owner"]);
+  const statusSql = statuses ? `AND status IN (${statuses.map(() => "?").join(",")})` : "";
+  return db
+    .prepare(
+      `
+      SELECT chain_id, contract_key, token_id, owner, status, debt, coll, annual_interest_rate,
+             opened_block, closed_block, last_update_block, last_update_timestamp, batch_manager
+      FROM tracked_troves
+      WHERE is_burned = 0 AND (${filter.sql}) ${statusSql}
+      ORDER BY chain_id, contract_key, opened_block
+    `
+    )
+    .all(...filter.params, ...(statuses || []));
+}
+
+/**
+ * The given troves of one contract minus those tracked_troves rules out for a
+ * report: troves not updated since `sinceTs` (unix seconds), and with
+ * `statuses`, troves in any other status. Every trove operation emits a
+ * TroveUpdated or BatchedTroveUpdated, so a trove's last update bounds its
+ * activity. Troves without a tracked row yet are kept.
+ */
+function troveIdsActiveSince(db, contractKey, tokenIds, sinceTs, statuses = null) {
+  const stmt = db.prepare(
+    "SELECT status, last_update_timestamp FROM tracked_troves WHERE contract_key = ? AND token_id = ?"
+  );
+  return tokenIds.filter((id) => {
+    const t = stmt.get(contractKey, id);
+    if (!t) return true;
+    if (statuses && !statuses.includes(t.status)) return false;
+    return sinceTs == null || t.last_update_timestamp == null || t.last_update_timestamp >= sinceTs;
+  });
+}
+
+module.exports = {
+  refreshTrackedTroves,
+  rebuildTrackedTroves,
+  troveStateAt,
+  batchMemberIds,
+  loadWalletTroves,
+  troveIdsActiveSince,
+};
@@ -0,0 +1,84 @@
+// ./utils/troveOwnership.js
+
+const { walletChainFilter } = require("./sentinel");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function isAfter(block, logIndex, pos) {
+  return block > pos.block || (block === pos.block && logIndex > pos.logIndex);
+}
+
+// Holders of one trove NFT from its transfer history, oldest first. A burn
+// doesn't end the last holder's period: the closing events that follow it in
+// the same transaction are still theirs.
+function buildPeriods(transfers) {
+  const periods = [];
+  let current = null;
+  for (const t of transfers) {
+    const pos = { block: t.block_number, logIndex: t.log_index, ts: t.block_timestamp ?? null };
+    // Held since before the first transfer we scanned.
+    if (!current && t.from_addr !== ZERO_ADDRESS) {
+      current = { owner: t.from_addr, from: null, to: null };
+      periods.push(current);
+    }
+    if (t.is_burned || t.to_addr === ZERO_ADDRESS) continue;
+    if (current) current.to = pos;
+    current = { owner: t.to_addr, from: pos, to: null };
+    periods.push(current);
+  }
+  return periods;
+}
+
+/**
+ * Every trove the user's wallets ever held, with the periods each wallet held
+ * it, from loan_nft_transfers.
+ *
+ * @returns {Map<string, Map<string, Array<{ owner: string, from: object|null, to: object|null }>>>}
+ *   contract key → token id → periods; `owner` is the wallet's EIP-55 address
+ *   and `from` / `to` are `{ block, logIndex, ts }` of the transfers (null = open).
+ */
+function loadOwnedTroves(db, wallets) {
+  const filter = walletChainFilter(wallets, ["from_addr", "to_addr"]);
+  const troves = db
+    .prepare(
+      `
+      SELECT DISTINCT chain_id, contract_key, token_id
+      FROM loan_nft_transfers
+      WHERE ${filter.sql}
+    `
+    )
+    .all(...filter.params);
+
+  const walletByAddr = new Map(wallets.map((w) => [`${w.chain_id}:${w.address_eip55.toLowerCase()}`, w.address_eip55]));
+  const transfersOf = db.prepare(`
+    SELECT block_number, block_timestamp, log_index, from_addr, to_addr, is_burned
+    FROM loan_nft_transfers
+    WHERE contract_key = ? AND token_id = ?
+    ORDER BY block_number ASC, log_index ASC
+  `);
+
+  const owned = new Map();
+  for (const t of troves) {
+    const periods = [];
+    for (const p of buildPeriods(transfersOf.all(t.contract_key, t.token_id))) {
+      const owner = walletByAddr.get(`${t.chain_id}:${p.owner}`);
+      if (owner) periods.push({ ...p, owner });
+    }
+    if (!periods.length) continue;
+    if (!owned.has(t.contract_key)) owned.set(t.contract_key, new Map());
+    owned.get(t.contract_key).set(t.token_id, periods);
+  }
+  return owned;
+}
+
+/** Wallet that held the trove when the log at (block, logIndex) was emitted, or null. */
+function ownerAt(periods, block, logIndex) {
+  for (const p of periods || []) {
+    if (p.from && !isAfter(block, logIndex, p.from)) continue;
+    if (p.to && isAfter(block, logIndex, p.to)) continue;
+    return p.owner;
+  }
+  return null;
+}
+
+module.exports = { loadOwnedTroves, ownerAt };